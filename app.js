@@ -10,6 +10,24 @@ const materialRoutes = require('./routes/material.js')
 const employeeRoutes  = require('./routes/employee.js')
 const attendanceRoutes = require("./routes/attendance");
 const dprRoutes = require("./routes/dpr.js")
+const roleRoutes = require("./routes/roles.js");
+const settingsRoutes = require("./routes/settings.js");
+const loginEventRoutes = require("./routes/loginEvents.js");
+const deviceRoutes = require("./routes/devices.js");
+const auditRoutes = require("./routes/audit.js");
+const taskRoutes = require("./routes/tasks.js");
+const trashRoutes = require("./routes/trash.js");
+const budgetRoutes = require("./routes/budget.js");
+const reorderRoutes = require("./routes/reorder.js");
+const alertRoutes = require("./routes/alerts.js");
+const projectTemplateRoutes = require("./routes/projectTemplates.js");
+const materialItemRoutes = require("./routes/materialItems.js");
+const transferRoutes = require("./routes/transfers.js");
+const stockAdjustmentRoutes = require("./routes/stockAdjustments.js");
+const stockLedgerRoutes = require("./routes/stockLedger.js");
+const vendorRoutes = require("./routes/vendors.js");
+const purchaseOrderRoutes = require("./routes/purchaseOrders.js");
+const stockValuationRoutes = require("./routes/stockValuation.js");
 
 const app = express();
 
@@ -30,11 +48,29 @@ mongoose.connect(process.env.MONGODB_URI, {
 app.use('/api/auth', authRoutes);
 app.use('/api/users', userRoutes);
 app.use('/api/projects', projectRoutes);
+app.use('/api/projects/:projectId', taskRoutes);
+app.use('/api/projects/:projectId', budgetRoutes);
+app.use('/api/projects/:projectId', reorderRoutes);
 app.use('/api/materials', materialRoutes);
+app.use('/api/material-items', materialItemRoutes);
+app.use('/api/transfers', transferRoutes);
+app.use('/api/stock-adjustments', stockAdjustmentRoutes);
+app.use('/api/stock-ledger', stockLedgerRoutes);
+app.use('/api/stock-valuation', stockValuationRoutes);
+app.use('/api/vendors', vendorRoutes);
+app.use('/api/purchase-orders', purchaseOrderRoutes);
 app.use("/api/employees", employeeRoutes);
 app.use("/api/attendance", attendanceRoutes);
 app.use('/uploads', express.static('uploads'));
 app.use('/api/dpr',dprRoutes);
+app.use('/api/roles', roleRoutes);
+app.use('/api/settings', settingsRoutes);
+app.use('/api/login-events', loginEventRoutes);
+app.use('/api/devices', deviceRoutes);
+app.use('/api/audit', auditRoutes);
+app.use('/api/trash', trashRoutes);
+app.use('/api/alerts', alertRoutes);
+app.use('/api/project-templates', projectTemplateRoutes);
 app.use(cors({
   origin: '*', // For development only
   methods: ['GET', 'POST','DELETE','PUT']
@@ -0,0 +1,30 @@
+// config/projectStatus.js
+// Project lifecycle: which status changes are allowed and what each status
+// permits on site. Anything not listed here needs an admin override.
+
+const PROJECT_STATUSES = ["active", "on-hold", "completed", "cancelled"];
+
+const TRANSITIONS = {
+  active: ["on-hold", "completed", "cancelled"],
+  "on-hold": ["active", "completed", "cancelled"],
+  completed: [],
+  cancelled: [],
+};
+
+// Statuses in which material can be issued and attendance marked
+const OPERATIONAL_STATUSES = ["active"];
+
+const allowedTransitions = (from) => TRANSITIONS[from] || [];
+
+const canTransition = (from, to) => allowedTransitions(from).includes(to);
+
+const isOperational = (status) => OPERATIONAL_STATUSES.includes(status);
+
+module.exports = {
+  PROJECT_STATUSES,
+  TRANSITIONS,
+  OPERATIONAL_STATUSES,
+  allowedTransitions,
+  canTransition,
+  isOperational,
+};
@@ -0,0 +1,130 @@
+// config/roles.js
+// Central list of roles and the permissions each one holds out of the box.
+// Admins can override the non-admin mappings at runtime via /api/roles.
+
+const PERMISSIONS = {
+  "project:view": "View projects",
+  "project:manage": "Create, edit and delete projects",
+  "task:manage": "Plan project tasks and milestones and report their progress",
+  "material:view": "View material stock and history",
+  "material:add": "Receive new material into stock",
+  "material:issue": "Issue material from stock",
+  "material:adjust": "Record material returns, wastage and stock count adjustments",
+  "material:approve": "Approve or reject material returns, wastage and adjustments",
+  "material:reorder": "Set reorder levels and safety stock for project materials",
+  "material:manage": "Change material status and delete material lots",
+  "purchase:view": "View vendors, purchase orders and goods receipts",
+  "purchase:manage": "Maintain vendors and raise purchase orders",
+  "purchase:approve": "Approve or reject purchase orders",
+  "employee:view": "View employees",
+  "employee:manage": "Create, edit and delete employees",
+  "attendance:view": "View attendance records",
+  "attendance:mark": "Mark attendance",
+  "payroll:view": "View wages and salary totals",
+  "dpr:view": "View DPR reports",
+  "budget:view": "View project budgets and budget-vs-actual figures",
+  "budget:manage": "Set project budgets and record expenses",
+  "alert:view": "View system alerts",
+  "alert:manage": "Acknowledge and resolve alerts",
+  "user:view": "View user accounts",
+  "user:manage": "Create, edit and deactivate user accounts",
+  "role:manage": "Edit the role to permission mapping",
+  "security:review": "Review and flag login events",
+  "device:manage": "Approve, reject and de-register user devices",
+  "settings:manage": "Edit organisation settings such as notification recipients",
+  "audit:view": "View the audit trail of changes",
+};
+
+const ROLES = [
+  "admin",
+  "supervisor",
+  "storekeeper",
+  "accountant",
+  "viewer",
+  "user",
+];
+
+// How many approved devices each role may use; null means unlimited
+const DEFAULT_MAX_DEVICES = {
+  admin: null,
+  supervisor: 2,
+  storekeeper: 2,
+  accountant: 2,
+  viewer: 2,
+  user: 2,
+};
+
+// Roles a user can hold on an individual project
+const PROJECT_ROLES = ROLES.filter((role) => role !== "admin");
+
+// "*" grants every permission
+const DEFAULT_ROLE_PERMISSIONS = {
+  admin: ["*"],
+  supervisor: [
+    "project:view",
+    "task:manage",
+    "material:view",
+    "material:issue",
+    "material:adjust",
+    "material:approve",
+    "material:reorder",
+    "purchase:view",
+    "employee:view",
+    "attendance:view",
+    "attendance:mark",
+    "dpr:view",
+    "alert:view",
+  ],
+  storekeeper: [
+    "project:view",
+    "material:view",
+    "material:add",
+    "material:issue",
+    "material:adjust",
+    "material:reorder",
+    "purchase:view",
+    "dpr:view",
+    "alert:view",
+    "alert:manage",
+  ],
+  accountant: [
+    "project:view",
+    "material:view",
+    "purchase:view",
+    "purchase:manage",
+    "employee:view",
+    "attendance:view",
+    "payroll:view",
+    "dpr:view",
+    "budget:view",
+    "budget:manage",
+    "alert:view",
+    "alert:manage",
+  ],
+  viewer: [
+    "project:view",
+    "material:view",
+    "employee:view",
+    "attendance:view",
+    "dpr:view",
+  ],
+  // Legacy role kept for accounts created before site roles existed
+  user: [
+    "project:view",
+    "project:manage",
+    "task:manage",
+    "material:view",
+    "material:issue",
+    "attendance:view",
+    "attendance:mark",
+    "dpr:view",
+  ],
+};
+
+module.exports = {
+  PERMISSIONS,
+  ROLES,
+  PROJECT_ROLES,
+  DEFAULT_ROLE_PERMISSIONS,
+  DEFAULT_MAX_DEVICES,
+};
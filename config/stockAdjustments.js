@@ -0,0 +1,31 @@
+// config/stockAdjustments.js
+// Stock movements other than receipts, issues and transfers, and the reason
+// codes each may be recorded under. A return puts stock back on the lot it
+// was issued from, wastage writes damaged or lost stock off, and an
+// adjustment brings a lot in line with a physical count.
+
+const ADJUSTMENT_TYPES = ["return", "wastage", "adjustment"];
+
+const REASON_CODES = {
+  return: {
+    unused: "Unused material returned from site",
+    "excess-issue": "More was issued than the work needed",
+    "wrong-issue": "Issued against the wrong work or material",
+  },
+  wastage: {
+    damaged: "Damaged in store or on site",
+    breakage: "Broken in handling",
+    spillage: "Spilt or leaked",
+    expired: "Past its shelf life",
+    theft: "Stolen or missing",
+  },
+  adjustment: {
+    "count-variance": "Physical count differs from the book quantity",
+    "entry-error": "Correcting a wrong receipt or issue entry",
+  },
+};
+
+const isReasonCode = (type, code) =>
+  Boolean(REASON_CODES[type] && REASON_CODES[type][code]);
+
+module.exports = { ADJUSTMENT_TYPES, REASON_CODES, isReasonCode };
@@ -0,0 +1,55 @@
+// config/units.js
+// Standard units of measure. Units of the same dimension convert by their
+// factor to the dimension's reference unit; anything else (bags, pieces,
+// running metres of a given bar) is defined per item in the catalogue.
+
+const UNITS = {
+  // mass (kg)
+  kg: { dimension: "mass", factor: 1 },
+  g: { dimension: "mass", factor: 0.001 },
+  quintal: { dimension: "mass", factor: 100 },
+  tonne: { dimension: "mass", factor: 1000 },
+  // length (m)
+  m: { dimension: "length", factor: 1 },
+  mm: { dimension: "length", factor: 0.001 },
+  cm: { dimension: "length", factor: 0.01 },
+  ft: { dimension: "length", factor: 0.3048 },
+  // area (sqm)
+  sqm: { dimension: "area", factor: 1 },
+  sqft: { dimension: "area", factor: 0.09290304 },
+  // volume (cum)
+  cum: { dimension: "volume", factor: 1 },
+  cft: { dimension: "volume", factor: 0.028316846592 },
+  l: { dimension: "volume", factor: 0.001 },
+  // count (nos)
+  nos: { dimension: "count", factor: 1 },
+  dozen: { dimension: "count", factor: 12 },
+};
+
+// Common spellings mapped to the canonical unit
+const ALIASES = {
+  kgs: "kg",
+  kilogram: "kg",
+  t: "tonne",
+  ton: "tonne",
+  mt: "tonne",
+  qtl: "quintal",
+  metre: "m",
+  meter: "m",
+  rmt: "m",
+  feet: "ft",
+  rft: "ft",
+  "m2": "sqm",
+  "m3": "cum",
+  litre: "l",
+  liter: "l",
+  no: "nos",
+  pcs: "nos",
+};
+
+const normaliseUnit = (unit) => {
+  const key = String(unit || "").trim().toLowerCase();
+  return ALIASES[key] || key;
+};
+
+module.exports = { UNITS, ALIASES, normaliseUnit };
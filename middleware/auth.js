@@ -1,5 +1,10 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User.js');
+const Session = require('../models/Session.js');
+const {
+  getPermissionsForRoles,
+  hasPermission
+} = require('../services/permissions');
 
 const auth = async (req, res, next) => {
   try {
@@ -13,6 +18,22 @@ const auth = async (req, res, next) => {
     }
 
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    // Every access token belongs to a session; logout or revocation kills it
+    const session = decoded.sessionId
+      ? await Session.findById(decoded.sessionId)
+      : null;
+    if (
+      !session ||
+      !session.isActive() ||
+      session.user.toString() !== decoded.userId
+    ) {
+      return res.status(401).json({
+        success: false,
+        message: 'Session expired or revoked, please login again'
+      });
+    }
+
     const user = await User.findById(decoded.userId).select('-password');
     
     if (!user || !user.isActive) {
@@ -23,6 +44,7 @@ const auth = async (req, res, next) => {
     }
 
     req.user = user;
+    req.authSession = session;
     next();
   } catch (error) {
     res.status(401).json({ 
@@ -51,4 +73,44 @@ const adminAuth = async (req, res, next) => {
   }
 };
 
-module.exports = { auth, adminAuth };
+// Authenticate, then require every listed permission. A permission counts if
+// the caller's own role or any of their project roles grants it, so on its
+// own this only says the caller holds it somewhere: every route that reads
+// or changes a particular project's data must follow it with projectScope
+// and check req.hasProjectAccess(projectId) (or use req.projectFilter), and
+// use req.canInProject rather than req.can for per-project extras.
+// Exposes req.permissions and req.can(permission) to the route handler.
+const requirePermission = (...permissions) => async (req, res, next) => {
+  try {
+    await auth(req, res, async () => {
+      try {
+        const roles = [
+          req.user.role,
+          ...req.user.projectAssignments.map((a) => a.role)
+        ];
+        const granted = await getPermissionsForRoles(roles);
+        req.permissions = granted;
+        req.requiredPermissions = permissions;
+        req.can = (permission) => hasPermission(granted, permission);
+
+        const missing = permissions.filter((p) => !req.can(p));
+        if (missing.length) {
+          return res.status(403).json({
+            success: false,
+            message: `Access denied. Missing permission: ${missing.join(', ')}`
+          });
+        }
+        next();
+      } catch (error) {
+        next(error);
+      }
+    });
+  } catch (error) {
+    res.status(403).json({
+      success: false,
+      message: 'Access denied'
+    });
+  }
+};
+
+module.exports = { auth, adminAuth, requirePermission };
@@ -0,0 +1,88 @@
+// middleware/idempotency.js
+const crypto = require('crypto');
+const IdempotencyRecord = require('../models/IdempotencyRecord');
+
+const TTL_HOURS = parseInt(process.env.IDEMPOTENCY_TTL_HOURS || '24', 10);
+
+const hashRequest = (req) =>
+  crypto
+    .createHash('sha256')
+    .update(`${req.method} ${req.baseUrl}${req.path} ${JSON.stringify(req.body || {})}`)
+    .digest('hex');
+
+// Must run after authentication. When the request carries an Idempotency-Key
+// header, the first response for that key is stored and replayed to retries
+// from the same user instead of running the handler again:
+//   - a retry while the first request is still running gets 409
+//   - reusing a key for a different request gets 422
+//   - server errors are not stored, so the client may retry them
+const idempotency = async (req, res, next) => {
+  const key = req.get('Idempotency-Key');
+  if (!key) return next();
+
+  try {
+    const requestHash = hashRequest(req);
+    let record;
+    try {
+      record = await IdempotencyRecord.create({
+        key,
+        user: req.user._id,
+        method: req.method,
+        path: `${req.baseUrl}${req.path}`,
+        requestHash,
+        expiresAt: new Date(Date.now() + TTL_HOURS * 60 * 60 * 1000)
+      });
+    } catch (err) {
+      if (err.code !== 11000) throw err;
+
+      const existing = await IdempotencyRecord.findOne({ user: req.user._id, key });
+      if (!existing) {
+        return res.status(409).json({
+          success: false,
+          message: 'A request with this Idempotency-Key has just failed; try again'
+        });
+      }
+      if (existing.requestHash !== requestHash) {
+        return res.status(422).json({
+          success: false,
+          message: 'Idempotency-Key was already used for a different request'
+        });
+      }
+      if (existing.status !== 'completed') {
+        return res.status(409).json({
+          success: false,
+          message: 'A request with this Idempotency-Key is still in progress'
+        });
+      }
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(existing.responseStatus).json(existing.responseBody);
+    }
+
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      const settle =
+        res.statusCode >= 500
+          ? IdempotencyRecord.deleteOne({ _id: record._id })
+          : IdempotencyRecord.updateOne(
+              { _id: record._id },
+              { status: 'completed', responseStatus: res.statusCode, responseBody: body }
+            );
+      // Respond only once the outcome is stored, so a retry sent after the
+      // response always sees it
+      settle
+        .catch((error) => console.error('Idempotency record error:', error))
+        .finally(() => json(body));
+      return res;
+    };
+
+    next();
+  } catch (error) {
+    console.error('Idempotency error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while checking Idempotency-Key'
+    });
+  }
+};
+
+module.exports = idempotency;
@@ -0,0 +1,61 @@
+// middleware/projectScope.js
+const mongoose = require('mongoose');
+const {
+  getPermissionsForRoles,
+  hasPermission
+} = require('../services/permissions');
+
+// Must run after requirePermission(). Works out which projects the caller may
+// touch for the permissions the route requires and exposes:
+//   req.projectIds              – ObjectIds in scope, or null when unrestricted
+//   req.projectFilter(field)    – query fragment limiting `field` to the scope
+//   req.hasProjectAccess(id)    – whether a single project is in scope
+//   req.canInProject(id, perm)  – whether the caller's role on that project
+//                                 grants another permission (e.g. payroll:view)
+const projectScope = async (req, res, next) => {
+  try {
+    const required = req.requiredPermissions || [];
+    const grantedByProject = new Map();
+
+    if (req.user.role === 'admin') {
+      req.projectIds = null;
+    } else {
+      req.projectIds = [];
+      for (const assignment of req.user.projectAssignments) {
+        const granted = await getPermissionsForRoles([
+          req.user.role,
+          assignment.role
+        ]);
+        grantedByProject.set(assignment.project.toString(), granted);
+        if (required.every((p) => hasPermission(granted, p))) {
+          req.projectIds.push(new mongoose.Types.ObjectId(assignment.project));
+        }
+      }
+    }
+
+    req.projectFilter = (field = 'projectAssigned') =>
+      req.projectIds ? { [field]: { $in: req.projectIds } } : {};
+
+    req.hasProjectAccess = (projectId) => {
+      if (!req.projectIds) return true;
+      if (!projectId) return false;
+      return req.projectIds.some((id) => id.toString() === projectId.toString());
+    };
+
+    req.canInProject = (projectId, permission) => {
+      if (!req.projectIds) return true;
+      const granted = projectId && grantedByProject.get(projectId.toString());
+      return Boolean(granted) && hasPermission(granted, permission);
+    };
+
+    next();
+  } catch (error) {
+    console.error('Project scope error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while resolving project access'
+    });
+  }
+};
+
+module.exports = projectScope;
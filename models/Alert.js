@@ -0,0 +1,56 @@
+const mongoose = require("mongoose");
+
+// Something that needs a person's attention, raised by the system (budget
+// overruns, low stock…). `key` identifies the condition so the same alert is
+// not raised twice while it is still open.
+const alertSchema = new mongoose.Schema(
+  {
+    key: {
+      type: String,
+      required: true,
+    },
+    type: {
+      type: String,
+      required: true,
+    },
+    severity: {
+      type: String,
+      enum: ["info", "warning", "critical"],
+      default: "warning",
+    },
+    project: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Project",
+    },
+    message: {
+      type: String,
+      required: true,
+    },
+    data: mongoose.Schema.Types.Mixed,
+    status: {
+      type: String,
+      enum: ["open", "acknowledged", "resolved"],
+      default: "open",
+    },
+    acknowledgedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    acknowledgedAt: Date,
+    resolvedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    resolvedAt: Date,
+  },
+  { timestamps: true }
+);
+
+// At most one unresolved alert per condition
+alertSchema.index(
+  { key: 1 },
+  { unique: true, partialFilterExpression: { status: { $in: ["open", "acknowledged"] } } }
+);
+alertSchema.index({ project: 1, status: 1, createdAt: -1 });
+
+module.exports = mongoose.model("Alert", alertSchema);
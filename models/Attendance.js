@@ -1,4 +1,5 @@
 const mongoose = require("mongoose");
+const softDelete = require("./plugins/softDelete");
 
 const attendanceSchema = new mongoose.Schema(
   {
@@ -7,6 +8,11 @@ const attendanceSchema = new mongoose.Schema(
       ref: "Employee",
       required: true,
     },
+    project: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Project",
+      required: true,
+    },
     status: {
       type: String,
       enum: ["Present", "Absent"],
@@ -29,4 +35,6 @@ const attendanceSchema = new mongoose.Schema(
   { timestamps: true }
 );
 
+attendanceSchema.plugin(softDelete);
+
 module.exports = mongoose.model("Attendance", attendanceSchema);
@@ -0,0 +1,50 @@
+const mongoose = require("mongoose");
+
+// Append-only record of a create/update/delete/restore made through the API
+const auditLogSchema = new mongoose.Schema(
+  {
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    actorName: String,
+    action: {
+      type: String,
+      enum: ["create", "update", "delete", "restore"],
+      required: true,
+    },
+    method: String,
+    route: String,
+    entityType: {
+      type: String,
+      required: true,
+    },
+    entityId: mongoose.Schema.Types.ObjectId,
+    // Projects the entity belongs to, so project admins can review them
+    projects: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Project",
+      },
+    ],
+    summary: String,
+    changes: [
+      {
+        _id: false,
+        field: String,
+        before: mongoose.Schema.Types.Mixed,
+        after: mongoose.Schema.Types.Mixed,
+      },
+    ],
+    before: mongoose.Schema.Types.Mixed,
+    after: mongoose.Schema.Types.Mixed,
+    ip: String,
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+auditLogSchema.index({ entityType: 1, entityId: 1, createdAt: -1 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+auditLogSchema.index({ projects: 1, createdAt: -1 });
+
+module.exports = mongoose.model("AuditLog", auditLogSchema);
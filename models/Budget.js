@@ -0,0 +1,59 @@
+const mongoose = require("mongoose");
+
+const BUDGET_HEADS = ["materials", "labour", "equipment", "overheads"];
+
+const budgetHeadSchema = new mongoose.Schema(
+  {
+    head: {
+      type: String,
+      enum: BUDGET_HEADS,
+      required: true,
+    },
+    amount: {
+      type: Number,
+      min: 0,
+      required: true,
+    },
+    // Optional split of `amount` across months ("YYYY-MM")
+    phasing: [
+      {
+        _id: false,
+        month: {
+          type: String,
+          match: /^\d{4}-(0[1-9]|1[0-2])$/,
+          required: true,
+        },
+        amount: { type: Number, min: 0, required: true },
+      },
+    ],
+  },
+  { _id: false }
+);
+
+// The budget a project was bid against, one document per project
+const budgetSchema = new mongoose.Schema(
+  {
+    project: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Project",
+      required: true,
+      unique: true,
+    },
+    heads: [budgetHeadSchema],
+    // Percent-of-budget levels that raise an alert; empty uses the default
+    alertThresholds: {
+      type: [Number],
+      default: undefined,
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  { timestamps: true }
+);
+
+const Budget = mongoose.model("Budget", budgetSchema);
+Budget.BUDGET_HEADS = BUDGET_HEADS;
+
+module.exports = Budget;
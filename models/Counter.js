@@ -0,0 +1,25 @@
+const mongoose = require("mongoose");
+
+// Named sequence for human-readable document numbers (vouchers, challans…)
+const counterSchema = new mongoose.Schema({
+  _id: {
+    type: String,
+    required: true,
+  },
+  seq: {
+    type: Number,
+    default: 0,
+  },
+});
+
+// Atomically claim the next number in a sequence, creating it on first use
+counterSchema.statics.next = async function (name) {
+  const counter = await this.findOneAndUpdate(
+    { _id: name },
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true }
+  );
+  return counter.seq;
+};
+
+module.exports = mongoose.model("Counter", counterSchema);
@@ -0,0 +1,41 @@
+const mongoose = require("mongoose");
+
+// A phone or browser a user logs in from. Only approved devices may finish
+// the OTP step.
+const deviceSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    deviceId: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    label: {
+      type: String,
+      trim: true,
+    },
+    userAgent: String,
+    status: {
+      type: String,
+      enum: ["pending", "approved", "rejected", "revoked"],
+      default: "pending",
+    },
+    lastSeenAt: Date,
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    reviewedAt: Date,
+    reviewNote: String,
+  },
+  { timestamps: true }
+);
+
+deviceSchema.index({ user: 1, deviceId: 1 }, { unique: true });
+deviceSchema.index({ status: 1, createdAt: -1 });
+
+module.exports = mongoose.model("Device", deviceSchema);
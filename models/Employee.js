@@ -1,4 +1,5 @@
 const mongoose = require("mongoose");
+const softDelete = require("./plugins/softDelete");
 
 const employeeSchema = new mongoose.Schema({
   name: {
@@ -37,4 +38,6 @@ const employeeSchema = new mongoose.Schema({
   },
 });
 
+employeeSchema.plugin(softDelete);
+
 module.exports = mongoose.model("Employee", employeeSchema);
@@ -0,0 +1,46 @@
+const mongoose = require("mongoose");
+const softDelete = require("./plugins/softDelete");
+
+// Spend that is not captured elsewhere: equipment hire, fuel, site overheads.
+// Material purchases and wages come from Material and Attendance instead.
+const expenseSchema = new mongoose.Schema(
+  {
+    project: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Project",
+      required: true,
+    },
+    head: {
+      type: String,
+      enum: ["equipment", "overheads"],
+      required: true,
+    },
+    amount: {
+      type: Number,
+      min: 0,
+      required: true,
+    },
+    date: {
+      type: Date,
+      required: true,
+      default: Date.now,
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: 500,
+    },
+    recordedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+  },
+  { timestamps: true }
+);
+
+expenseSchema.index({ project: 1, date: 1 });
+
+expenseSchema.plugin(softDelete);
+
+module.exports = mongoose.model("Expense", expenseSchema);
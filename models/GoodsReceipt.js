@@ -0,0 +1,84 @@
+const mongoose = require("mongoose");
+
+// Goods received against a purchase order (GRN). Each line's accepted
+// quantity becomes a new stock lot on the order's project; quantity rejected
+// at the gate is recorded but never enters stock or counts as received.
+const goodsReceiptSchema = new mongoose.Schema(
+  {
+    grnNo: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    purchaseOrder: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "PurchaseOrder",
+      required: true,
+    },
+    poNo: String,
+    vendor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Vendor",
+      required: true,
+    },
+    project: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Project",
+      required: true,
+    },
+    lines: [
+      {
+        _id: false,
+        // The purchase order line received against
+        poLine: {
+          type: mongoose.Schema.Types.ObjectId,
+          required: true,
+        },
+        item: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "MaterialItem",
+        },
+        matCode: String,
+        // Base unit quantities, with the accepted quantity as entered
+        quantity: {
+          type: Number,
+          required: true,
+        },
+        rejectedQuantity: {
+          type: Number,
+          default: 0,
+        },
+        unit: String,
+        enteredQuantity: Number,
+        enteredUnit: String,
+        // Value of the accepted quantity at the order rate, before tax
+        amount: Number,
+        material: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Material",
+        },
+      },
+    ],
+    amount: Number,
+    // The vendor's paperwork
+    challanNo: String,
+    invoiceNo: String,
+    vehicleNo: String,
+    document: String,
+    remarks: String,
+    date: {
+      type: Date,
+      default: Date.now,
+    },
+    receivedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+  },
+  { timestamps: true }
+);
+
+goodsReceiptSchema.index({ purchaseOrder: 1, date: 1 });
+
+module.exports = mongoose.model("GoodsReceipt", goodsReceiptSchema);
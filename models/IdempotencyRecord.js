@@ -0,0 +1,36 @@
+const mongoose = require("mongoose");
+
+// Outcome of a request sent with an Idempotency-Key header, replayed when the
+// same caller retries with the same key
+const idempotencyRecordSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  method: String,
+  path: String,
+  // Hash of the request body, so a key cannot be reused for another request
+  requestHash: String,
+  status: {
+    type: String,
+    enum: ["in-progress", "completed"],
+    default: "in-progress",
+  },
+  responseStatus: Number,
+  responseBody: mongoose.Schema.Types.Mixed,
+  // Mongo drops the record once it is stale
+  expiresAt: {
+    type: Date,
+    required: true,
+    index: { expires: 0 },
+  },
+});
+
+idempotencyRecordSchema.index({ user: 1, key: 1 }, { unique: true });
+
+module.exports = mongoose.model("IdempotencyRecord", idempotencyRecordSchema);
@@ -0,0 +1,39 @@
+const mongoose = require("mongoose");
+
+const invitationSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    // sha256 of the single-use token sent to the invitee
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    channel: {
+      type: String,
+      enum: ["email", "sms"],
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    acceptedAt: Date,
+    revokedAt: Date,
+  },
+  { timestamps: true }
+);
+
+invitationSchema.methods.isUsable = function () {
+  return !this.acceptedAt && !this.revokedAt && this.expiresAt > new Date();
+};
+
+module.exports = mongoose.model("Invitation", invitationSchema);
@@ -0,0 +1,56 @@
+const mongoose = require("mongoose");
+const softDelete = require("./plugins/softDelete");
+
+// A site problem raised against a project (blocked access, missing drawings,
+// equipment breakdown…), shown on the project dashboard until resolved
+const issueSchema = new mongoose.Schema(
+  {
+    project: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Project",
+      required: true,
+    },
+    title: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 200,
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: 1000,
+    },
+    priority: {
+      type: String,
+      enum: ["low", "medium", "high"],
+      default: "medium",
+    },
+    status: {
+      type: String,
+      enum: ["open", "resolved"],
+      default: "open",
+    },
+    raisedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    resolvedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    resolvedAt: Date,
+    resolution: {
+      type: String,
+      trim: true,
+    },
+  },
+  { timestamps: true }
+);
+
+issueSchema.index({ project: 1, status: 1, createdAt: -1 });
+
+issueSchema.plugin(softDelete);
+
+module.exports = mongoose.model("Issue", issueSchema);
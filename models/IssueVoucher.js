@@ -0,0 +1,78 @@
+const mongoose = require("mongoose");
+
+// One material issue (POST /api/materials/take) and the stock lots it was
+// drawn from, oldest first. Vouchers are never edited.
+const issueVoucherSchema = new mongoose.Schema(
+  {
+    voucherNo: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    item: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "MaterialItem",
+      required: true,
+    },
+    matCode: {
+      type: String,
+      required: true,
+    },
+    name: String,
+    // Total issued, in the item's base unit, and as entered
+    quantity: {
+      type: Number,
+      required: true,
+    },
+    unit: String,
+    enteredQuantity: Number,
+    enteredUnit: String,
+    lines: [
+      {
+        _id: false,
+        material: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Material",
+          required: true,
+        },
+        project: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Project",
+        },
+        lotDate: Date,
+        quantity: {
+          type: Number,
+          required: true,
+        },
+        // At the lot's unit cost
+        unitCost: Number,
+        value: Number,
+      },
+    ],
+    // Cost of the whole issue, lot by lot (FIFO); missing if any lot drawn
+    // from had no amount
+    value: Number,
+    projects: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Project",
+      },
+    ],
+    takenBy: String,
+    date: {
+      type: Date,
+      default: Date.now,
+    },
+    issuedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    idempotencyKey: String,
+  },
+  { timestamps: true }
+);
+
+issueVoucherSchema.index({ projects: 1, date: -1 });
+issueVoucherSchema.index({ matCode: 1, date: -1 });
+
+module.exports = mongoose.model("IssueVoucher", issueVoucherSchema);
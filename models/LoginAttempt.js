@@ -0,0 +1,24 @@
+const mongoose = require("mongoose");
+
+// Failed-attempt counter for one throttle key (user:, phone: or ip:)
+const loginAttemptSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  failures: {
+    type: Number,
+    default: 0,
+  },
+  nextAttemptAt: Date,
+  lockedUntil: Date,
+  // Mongo drops the record once it is stale
+  expiresAt: {
+    type: Date,
+    required: true,
+    index: { expires: 0 },
+  },
+});
+
+module.exports = mongoose.model("LoginAttempt", loginAttemptSchema);
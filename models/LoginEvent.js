@@ -0,0 +1,63 @@
+const mongoose = require("mongoose");
+
+// One record per login attempt, kept as an evidence trail
+const loginEventSchema = new mongoose.Schema(
+  {
+    // Null when the username did not match any account
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    username: {
+      type: String,
+      trim: true,
+    },
+    // Projects the user was assigned to at the time, for per-project review
+    projects: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Project",
+      },
+    ],
+    status: {
+      type: String,
+      enum: ["failed", "otp-pending", "success"],
+      required: true,
+    },
+    failureReason: String,
+    selfie: {
+      filename: String,
+      path: String,
+    },
+    deviceId: String,
+    userAgent: String,
+    ip: String,
+    location: {
+      latitude: Number,
+      longitude: Number,
+      accuracy: Number,
+    },
+    session: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Session",
+    },
+    completedAt: Date,
+    flagged: {
+      type: Boolean,
+      default: false,
+    },
+    flagReason: String,
+    flaggedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    flaggedAt: Date,
+  },
+  { timestamps: true }
+);
+
+loginEventSchema.index({ user: 1, createdAt: -1 });
+loginEventSchema.index({ projects: 1, createdAt: -1 });
+
+module.exports = mongoose.model("LoginEvent", loginEventSchema);
@@ -1,11 +1,25 @@
 const mongoose = require('mongoose');
+const softDelete = require('./plugins/softDelete');
 
 const materialSchema = new mongoose.Schema({
+  // Catalogue entry; name and matCode are copied from it when the lot is added
+  item: { type: mongoose.Schema.Types.ObjectId, ref: 'MaterialItem' },
   name:{type:String, required:true},
   matCode: { type: String, required: true },
+  // Quantities are held in the catalogue item's base unit (`unit`); what the
+  // user actually entered is kept alongside
   quantity: { type: Number, required: true },
   availableQuantity: { type: Number },
+  unit: { type: String },
+  enteredQuantity: { type: Number },
+  enteredUnit: { type: String },
   amount: { type: Number },
+  // Set on lots received from another site
+  transfer: { type: mongoose.Schema.Types.ObjectId, ref: 'Transfer' },
+  // Set on lots bought on a purchase order and received on a GRN
+  vendor: { type: mongoose.Schema.Types.ObjectId, ref: 'Vendor' },
+  purchaseOrder: { type: mongoose.Schema.Types.ObjectId, ref: 'PurchaseOrder' },
+  goodsReceipt: { type: mongoose.Schema.Types.ObjectId, ref: 'GoodsReceipt' },
   date: { type: Date, default: Date.now, required: true },
   document: { type: String },
   addedBy: { type: String, required: true },
@@ -14,9 +28,28 @@ const materialSchema = new mongoose.Schema({
   enum: ['Available', 'Out of Stock', 'On Hold'],
   default: 'Available'
 },
+  // Stock that left the lot: consumed on site ('issue', the default for
+  // older entries) or sent to another site ('transfer')
   usageHistory: [{
+    type: { type: String, enum: ['issue', 'transfer'], default: 'issue' },
     takenBy: { type: String },
     quantity: Number,
+    enteredQuantity: Number,
+    enteredUnit: String,
+    // Cost of the quantity at the lot's unit cost, stamped when it left
+    unitCost: Number,
+    value: Number,
+    voucher: { type: mongoose.Schema.Types.ObjectId, ref: 'IssueVoucher' },
+    transfer: { type: mongoose.Schema.Types.ObjectId, ref: 'Transfer' },
+    date: { type: Date, default: Date.now }
+  }],
+  // Approved returns, wastage and count adjustments (see StockAdjustment);
+  // `quantity` is the signed change to availableQuantity
+  adjustments: [{
+    adjustment: { type: mongoose.Schema.Types.ObjectId, ref: 'StockAdjustment' },
+    type: { type: String, enum: ['return', 'wastage', 'adjustment'] },
+    reasonCode: String,
+    quantity: Number,
     date: { type: Date, default: Date.now }
   }],
   projectAssigned: {
@@ -28,4 +61,6 @@ const materialSchema = new mongoose.Schema({
   timestamps: true // ✅ Correct location
 });
 
+materialSchema.plugin(softDelete);
+
 module.exports = mongoose.model('Material', materialSchema);
@@ -0,0 +1,66 @@
+const mongoose = require("mongoose");
+const softDelete = require("./plugins/softDelete");
+const { normaliseUnit } = require("../config/units");
+
+// Catalogue entry for a material. Stock lots (Material) reference it, so a
+// code always means the same thing across projects.
+const materialItemSchema = new mongoose.Schema(
+  {
+    code: {
+      type: String,
+      required: true,
+      unique: true,
+      trim: true,
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    category: {
+      type: String,
+      trim: true,
+    },
+    // Unit stock is held and reported in; see config/units.js
+    baseUnit: {
+      type: String,
+      required: true,
+      set: normaliseUnit,
+      default: "nos",
+    },
+    // Item-specific units: `factor` base units make one `unit`
+    // (e.g. { unit: "bag", factor: 50 } for cement held in kg)
+    conversions: [
+      {
+        _id: false,
+        unit: { type: String, required: true, set: normaliseUnit },
+        factor: { type: Number, required: true, min: 0.000001 },
+      },
+    ],
+    hsnCode: {
+      type: String,
+      trim: true,
+      match: /^\d{4,8}$/,
+    },
+    // Stock level (in base units) at which the item should be reordered
+    reorderLevel: {
+      type: Number,
+      min: 0,
+      default: 0,
+    },
+    specs: {
+      type: Map,
+      of: String,
+    },
+    // Other names found on stock lots during migration, pending review
+    conflictingNames: [String],
+  },
+  { timestamps: true }
+);
+
+materialItemSchema.index({ name: 1 });
+materialItemSchema.index({ category: 1 });
+
+materialItemSchema.plugin(softDelete);
+
+module.exports = mongoose.model("MaterialItem", materialItemSchema);
@@ -0,0 +1,54 @@
+const mongoose = require("mongoose");
+
+// Events that send an email to the organisation's notification recipients
+const NOTIFICATION_EVENTS = [
+  "userCreated",
+  "invitationAccepted",
+  "passwordReset",
+  "deviceApprovalRequested",
+  "alertRaised",
+];
+
+const recipientsField = () => ({
+  type: [String],
+  default: [],
+});
+
+// Single settings document per organisation
+const organisationSettingsSchema = new mongoose.Schema(
+  {
+    key: {
+      type: String,
+      default: "default",
+      unique: true,
+    },
+    name: {
+      type: String,
+      trim: true,
+    },
+    notificationRecipients: Object.fromEntries(
+      NOTIFICATION_EVENTS.map((event) => [event, recipientsField()])
+    ),
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  { timestamps: true }
+);
+
+organisationSettingsSchema.statics.getSettings = async function () {
+  return this.findOneAndUpdate(
+    { key: "default" },
+    { $setOnInsert: { key: "default" } },
+    { new: true, upsert: true }
+  );
+};
+
+const OrganisationSettings = mongoose.model(
+  "OrganisationSettings",
+  organisationSettingsSchema
+);
+OrganisationSettings.NOTIFICATION_EVENTS = NOTIFICATION_EVENTS;
+
+module.exports = OrganisationSettings;
@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const { PROJECT_STATUSES } = require('../config/projectStatus');
+const softDelete = require('./plugins/softDelete');
 
 const projectSchema = new mongoose.Schema({
   name: {
@@ -24,15 +26,50 @@ const projectSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['active', 'completed', 'on-hold', 'cancelled'],
+    enum: PROJECT_STATUSES,
     default: 'active'
   },
+  // Every status change, oldest first
+  statusHistory: [{
+    _id: false,
+    from: { type: String, enum: PROJECT_STATUSES },
+    to: { type: String, enum: PROJECT_STATUSES, required: true },
+    reason: { type: String, required: true, trim: true },
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    changedAt: { type: Date, default: Date.now },
+    // Set when an admin forced a transition the lifecycle does not allow
+    override: { type: Boolean, default: false }
+  }],
   isActive: {
     type: Boolean,
     default: true
+  },
+  // Material codes the project expects to use, with planned quantities
+  plannedMaterials: [{
+    _id: false,
+    matCode: { type: String, required: true },
+    name: String,
+    plannedQuantity: { type: Number, min: 0, default: 0 }
+  }],
+  template: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ProjectTemplate'
+  },
+  // % complete, rolled up from the project's tasks
+  progress: {
+    type: Number,
+    min: 0,
+    max: 100,
+    default: 0
   }
 }, {
   timestamps: true
 });
 
+projectSchema.plugin(softDelete);
+
 module.exports = mongoose.model('Project', projectSchema);
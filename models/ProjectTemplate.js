@@ -0,0 +1,89 @@
+const mongoose = require("mongoose");
+const { BUDGET_HEADS } = require("./Budget");
+const { PROJECT_ROLES } = require("../config/roles");
+const softDelete = require("./plugins/softDelete");
+
+// Reusable starting point for a new project, captured from an existing one.
+// Dates are stored relative to the project start so they can be replayed.
+const projectTemplateSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 100,
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: 500,
+    },
+    sourceProject: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Project",
+    },
+    tasks: [
+      {
+        _id: false,
+        // Position in this list; dependencies refer to other tasks by key
+        key: { type: Number, required: true },
+        name: { type: String, required: true },
+        description: String,
+        type: { type: String, enum: ["task", "milestone"], default: "task" },
+        startOffsetDays: { type: Number, default: 0 },
+        durationDays: { type: Number, default: 0 },
+        dependencies: [Number],
+      },
+    ],
+    budget: {
+      heads: [
+        {
+          _id: false,
+          head: { type: String, enum: BUDGET_HEADS, required: true },
+          amount: { type: Number, min: 0, required: true },
+          // Months counted from the project's start month (0 = first month)
+          phasing: [
+            {
+              _id: false,
+              monthOffset: { type: Number, min: 0, required: true },
+              amount: { type: Number, min: 0, required: true },
+            },
+          ],
+        },
+      ],
+      alertThresholds: { type: [Number], default: undefined },
+    },
+    materials: [
+      {
+        _id: false,
+        matCode: { type: String, required: true },
+        name: String,
+        plannedQuantity: { type: Number, min: 0, default: 0 },
+      },
+    ],
+    // Default project roles for users, e.g. the usual site supervisor
+    assignments: [
+      {
+        _id: false,
+        user: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+        role: { type: String, enum: PROJECT_ROLES, required: true },
+      },
+    ],
+    crew: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Employee",
+      },
+    ],
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+  },
+  { timestamps: true }
+);
+
+projectTemplateSchema.plugin(softDelete);
+
+module.exports = mongoose.model("ProjectTemplate", projectTemplateSchema);
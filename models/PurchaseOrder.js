@@ -0,0 +1,128 @@
+const mongoose = require("mongoose");
+
+// draft → pending (submitted for approval) → approved or rejected; a rejected
+// order can be edited and submitted again. Goods receipts move an approved
+// order to partially-received and then received. An order with nothing
+// received can be cancelled; one part received is closed short instead.
+const PO_STATUSES = [
+  "draft",
+  "pending",
+  "approved",
+  "rejected",
+  "partially-received",
+  "received",
+  "closed",
+  "cancelled",
+];
+
+// Orders goods can still be received against
+const RECEIVABLE_STATUSES = ["approved", "partially-received"];
+
+const poLineSchema = new mongoose.Schema({
+  item: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "MaterialItem",
+    required: true,
+  },
+  matCode: {
+    type: String,
+    required: true,
+  },
+  name: String,
+  // Ordered quantity in the item's base unit, and as entered
+  quantity: {
+    type: Number,
+    required: true,
+    min: 0,
+  },
+  unit: String,
+  enteredQuantity: Number,
+  enteredUnit: String,
+  // Price per entered unit, before tax; `baseRate` is the same per base unit
+  rate: {
+    type: Number,
+    required: true,
+    min: 0,
+  },
+  baseRate: Number,
+  taxPercent: {
+    type: Number,
+    min: 0,
+    default: 0,
+  },
+  amount: Number,
+  // Accepted on goods receipts so far, in the base unit
+  receivedQuantity: {
+    type: Number,
+    default: 0,
+  },
+});
+
+const purchaseOrderSchema = new mongoose.Schema(
+  {
+    poNo: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    vendor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Vendor",
+      required: true,
+    },
+    // Site the goods are delivered to
+    project: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Project",
+      required: true,
+    },
+    lines: {
+      type: [poLineSchema],
+      validate: [(lines) => lines.length > 0, "A purchase order needs at least one line"],
+    },
+    // Before tax, tax, and the order total
+    subtotal: Number,
+    taxAmount: Number,
+    total: Number,
+    expectedDate: Date,
+    remarks: String,
+    status: {
+      type: String,
+      enum: PO_STATUSES,
+      default: "draft",
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    submittedAt: Date,
+    approvedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    approvedAt: Date,
+    rejectedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    rejectedAt: Date,
+    rejectReason: String,
+    closedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    closedAt: Date,
+    closeReason: String,
+  },
+  { timestamps: true }
+);
+
+purchaseOrderSchema.index({ vendor: 1, status: 1 });
+purchaseOrderSchema.index({ project: 1, status: 1 });
+
+const PurchaseOrder = mongoose.model("PurchaseOrder", purchaseOrderSchema);
+PurchaseOrder.PO_STATUSES = PO_STATUSES;
+PurchaseOrder.RECEIVABLE_STATUSES = RECEIVABLE_STATUSES;
+
+module.exports = PurchaseOrder;
@@ -0,0 +1,52 @@
+const mongoose = require("mongoose");
+
+// Stock levels that trigger reordering a material on one project. Without a
+// rule the catalogue item's reorderLevel applies. Quantities are in the
+// item's base unit.
+const reorderRuleSchema = new mongoose.Schema(
+  {
+    project: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Project",
+      required: true,
+    },
+    matCode: {
+      type: String,
+      required: true,
+    },
+    item: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "MaterialItem",
+    },
+    // Reorder when stock falls to this level…
+    reorderLevel: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    // …and treat it as critical at this one
+    safetyStock: {
+      type: Number,
+      min: 0,
+      default: 0,
+    },
+    // Suggested order size, and how long an order takes to arrive
+    reorderQuantity: {
+      type: Number,
+      min: 0,
+    },
+    leadTimeDays: {
+      type: Number,
+      min: 0,
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  { timestamps: true }
+);
+
+reorderRuleSchema.index({ project: 1, matCode: 1 }, { unique: true });
+
+module.exports = mongoose.model("ReorderRule", reorderRuleSchema);
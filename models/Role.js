@@ -0,0 +1,31 @@
+const mongoose = require("mongoose");
+const { ROLES } = require("../config/roles");
+
+// Admin overrides of the default permission set for a role
+const roleSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      enum: ROLES,
+      required: true,
+      unique: true,
+    },
+    // Unset means the role still uses its default permissions
+    permissions: {
+      type: [String],
+      default: undefined,
+    },
+    // Unset means the default cap; null means unlimited
+    maxDevices: {
+      type: Number,
+      min: 0,
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  { timestamps: true }
+);
+
+module.exports = mongoose.model("Role", roleSchema);
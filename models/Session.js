@@ -0,0 +1,40 @@
+const mongoose = require("mongoose");
+
+const sessionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    deviceId: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    userAgent: String,
+    ip: String,
+    // sha256 of the current refresh token secret – rotated on every refresh
+    refreshTokenHash: {
+      type: String,
+      required: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    lastUsedAt: Date,
+    revokedAt: Date,
+    revokedReason: String,
+  },
+  { timestamps: true }
+);
+
+sessionSchema.index({ user: 1, deviceId: 1 });
+
+sessionSchema.methods.isActive = function () {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+module.exports = mongoose.model("Session", sessionSchema);
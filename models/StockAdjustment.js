@@ -0,0 +1,93 @@
+const mongoose = require("mongoose");
+const { ADJUSTMENT_TYPES } = require("../config/stockAdjustments");
+
+// A return, wastage or count adjustment against one stock lot. It changes
+// the lot's availableQuantity only once approved by someone other than the
+// person who recorded it; see config/stockAdjustments.js.
+const stockAdjustmentSchema = new mongoose.Schema(
+  {
+    adjustmentNo: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    type: {
+      type: String,
+      enum: ADJUSTMENT_TYPES,
+      required: true,
+    },
+    reasonCode: {
+      type: String,
+      required: true,
+    },
+    remarks: String,
+    material: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Material",
+      required: true,
+    },
+    item: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "MaterialItem",
+    },
+    matCode: {
+      type: String,
+      required: true,
+    },
+    project: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Project",
+      required: true,
+    },
+    // Signed change to the lot's availableQuantity, in the item's base unit:
+    // positive for returns, negative for wastage, either for adjustments
+    quantity: {
+      type: Number,
+      required: true,
+    },
+    unit: String,
+    enteredQuantity: Number,
+    enteredUnit: String,
+    // Adjustments: the book figure when counted, and the count
+    bookQuantity: Number,
+    countedQuantity: Number,
+    // Returns: the issue the material came back from, when known
+    voucher: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "IssueVoucher",
+    },
+    photo: String,
+    // When the movement happened, as opposed to when it was approved
+    date: {
+      type: Date,
+      default: Date.now,
+    },
+    status: {
+      type: String,
+      enum: ["pending", "approved", "rejected"],
+      default: "pending",
+    },
+    requestedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    approvedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    approvedAt: Date,
+    rejectedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    rejectedAt: Date,
+    rejectionReason: String,
+  },
+  { timestamps: true }
+);
+
+stockAdjustmentSchema.index({ project: 1, status: 1, date: -1 });
+stockAdjustmentSchema.index({ material: 1, type: 1 });
+
+module.exports = mongoose.model("StockAdjustment", stockAdjustmentSchema);
@@ -0,0 +1,112 @@
+const mongoose = require("mongoose");
+
+const MOVEMENT_TYPES = [
+  "receipt",
+  "issue",
+  "return",
+  "transfer-out",
+  "transfer-in",
+  "wastage",
+  "adjustment",
+];
+
+// One change to a stock lot's quantity. The ledger is append-only: entries
+// are never edited or deleted, and a mistake is corrected by a further entry
+// that `reverses` it.
+const stockMovementSchema = new mongoose.Schema(
+  {
+    // Identifies the event the entry records (e.g. "usage:<id>"), so the
+    // same event is never written twice; see services/stockLedger.js
+    entryKey: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    type: {
+      type: String,
+      enum: MOVEMENT_TYPES,
+      required: true,
+    },
+    project: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Project",
+      required: true,
+    },
+    material: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Material",
+      required: true,
+    },
+    item: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "MaterialItem",
+    },
+    matCode: {
+      type: String,
+      required: true,
+    },
+    // Signed change to the lot, in the item's base unit
+    quantity: {
+      type: Number,
+      required: true,
+    },
+    unit: String,
+    // When the movement happened on site
+    date: {
+      type: Date,
+      required: true,
+    },
+    // Document behind the movement and its number (voucher, challan…)
+    sourceModel: {
+      type: String,
+      enum: ["Material", "IssueVoucher", "Transfer", "StockAdjustment", "GoodsReceipt"],
+    },
+    source: {
+      type: mongoose.Schema.Types.ObjectId,
+      refPath: "sourceModel",
+    },
+    reference: String,
+    reasonCode: String,
+    remarks: String,
+    reverses: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "StockMovement",
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+stockMovementSchema.index({ project: 1, matCode: 1, date: 1 });
+stockMovementSchema.index({ material: 1, date: 1 });
+
+const immutable = function () {
+  throw new Error("Stock movements cannot be changed; record a reversing entry instead");
+};
+
+stockMovementSchema.pre("save", function () {
+  if (!this.isNew) immutable();
+});
+stockMovementSchema.pre(
+  [
+    "updateOne",
+    "updateMany",
+    "replaceOne",
+    "findOneAndUpdate",
+    "findOneAndReplace",
+    "findOneAndDelete",
+    "deleteOne",
+    "deleteMany",
+  ],
+  { document: false, query: true },
+  immutable
+);
+stockMovementSchema.pre("deleteOne", { document: true, query: false }, immutable);
+
+const StockMovement = mongoose.model("StockMovement", stockMovementSchema);
+StockMovement.MOVEMENT_TYPES = MOVEMENT_TYPES;
+
+module.exports = StockMovement;
@@ -0,0 +1,90 @@
+const mongoose = require("mongoose");
+const softDelete = require("./plugins/softDelete");
+
+// A unit of planned work on a project. Milestones are zero-length tasks
+// marking a point in the schedule.
+const taskSchema = new mongoose.Schema(
+  {
+    project: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Project",
+      required: true,
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 200,
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: 1000,
+    },
+    type: {
+      type: String,
+      enum: ["task", "milestone"],
+      default: "task",
+    },
+    plannedStart: {
+      type: Date,
+      required: true,
+    },
+    plannedEnd: {
+      type: Date,
+      required: true,
+    },
+    actualStart: Date,
+    actualEnd: Date,
+    percentComplete: {
+      type: Number,
+      min: 0,
+      max: 100,
+      default: 0,
+    },
+    assignees: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+    ],
+    // Finish-to-start: this task cannot start until these have finished
+    dependencies: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Task",
+      },
+    ],
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+  },
+  { timestamps: true }
+);
+
+taskSchema.index({ project: 1, plannedStart: 1 });
+
+// Milestones have no duration; actual dates follow reported progress
+taskSchema.pre("save", function (next) {
+  if (this.type === "milestone") {
+    this.plannedEnd = this.plannedStart;
+  }
+  if (this.plannedEnd < this.plannedStart) {
+    return next(new Error("Planned end cannot be before planned start"));
+  }
+  if (this.percentComplete > 0 && !this.actualStart) {
+    this.actualStart = new Date();
+  }
+  if (this.percentComplete === 100 && !this.actualEnd) {
+    this.actualEnd = new Date();
+  } else if (this.isModified("percentComplete") && this.percentComplete < 100) {
+    this.actualEnd = undefined;
+  }
+  next();
+});
+
+taskSchema.plugin(softDelete);
+
+module.exports = mongoose.model("Task", taskSchema);
@@ -0,0 +1,105 @@
+const mongoose = require("mongoose");
+
+const TRANSFER_STATUSES = ["in-transit", "received", "cancelled"];
+
+// Material moved from one site's stock to another's. Dispatch deducts the
+// quantity from the source lots (oldest first) and the goods are in transit
+// until the destination receives them as a new lot; a transfer still in
+// transit may be cancelled, which puts the stock back.
+const transferSchema = new mongoose.Schema(
+  {
+    challanNo: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    item: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "MaterialItem",
+      required: true,
+    },
+    matCode: {
+      type: String,
+      required: true,
+    },
+    name: String,
+    // Dispatched quantity in the item's base unit, and as entered
+    quantity: {
+      type: Number,
+      required: true,
+    },
+    unit: String,
+    enteredQuantity: Number,
+    enteredUnit: String,
+    // Value of the stock moved, at the source lots' purchase price
+    amount: Number,
+    fromProject: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Project",
+      required: true,
+    },
+    toProject: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Project",
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: TRANSFER_STATUSES,
+      default: "in-transit",
+    },
+    // Source lots drawn from
+    lines: [
+      {
+        _id: false,
+        material: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Material",
+          required: true,
+        },
+        lotDate: Date,
+        quantity: {
+          type: Number,
+          required: true,
+        },
+        usageId: mongoose.Schema.Types.ObjectId,
+      },
+    ],
+    vehicleNo: String,
+    remarks: String,
+    dispatchedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    dispatchedAt: Date,
+    // Receipt: anything short of the dispatched quantity is recorded as lost
+    // in transit
+    receivedQuantity: Number,
+    shortQuantity: Number,
+    receivedLot: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Material",
+    },
+    receivedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    receivedAt: Date,
+    receiptRemarks: String,
+    cancelledBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    cancelledAt: Date,
+    cancelReason: String,
+  },
+  { timestamps: true }
+);
+
+transferSchema.index({ fromProject: 1, status: 1, dispatchedAt: -1 });
+transferSchema.index({ toProject: 1, status: 1, dispatchedAt: -1 });
+
+const Transfer = mongoose.model("Transfer", transferSchema);
+Transfer.TRANSFER_STATUSES = TRANSFER_STATUSES;
+
+module.exports = Transfer;
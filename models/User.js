@@ -1,5 +1,48 @@
 const mongoose = require("mongoose");
 const bcrypt = require("bcrypt");
+const crypto = require("crypto");
+const { ROLES, PROJECT_ROLES } = require("../config/roles");
+const softDelete = require("./plugins/softDelete");
+
+const OTP_LENGTH = parseInt(process.env.OTP_LENGTH, 10) || 6;
+const OTP_TTL_MINUTES = parseInt(process.env.OTP_TTL_MINUTES, 10) || 10;
+const OTP_MAX_ATTEMPTS = parseInt(process.env.OTP_MAX_ATTEMPTS, 10) || 5;
+const OTP_RESEND_COOLDOWN_SECONDS =
+  parseInt(process.env.OTP_RESEND_COOLDOWN_SECONDS, 10) || 60;
+const OTP_MAX_SENDS_PER_WINDOW =
+  parseInt(process.env.OTP_MAX_SENDS_PER_WINDOW, 10) || 5;
+const OTP_SEND_WINDOW_MINUTES =
+  parseInt(process.env.OTP_SEND_WINDOW_MINUTES, 10) || 60;
+const PASSWORD_HISTORY_LIMIT =
+  parseInt(process.env.PASSWORD_HISTORY_LIMIT, 10) || 5;
+
+// Which field holds the OTP for each purpose
+const OTP_FIELDS = {
+  login: "otp",
+  "password-reset": "passwordResetOtp",
+};
+
+const otpSchema = new mongoose.Schema(
+  {
+    codeHash: String,
+    expiresAt: Date,
+    verified: {
+      type: Boolean,
+      default: false,
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    lastSentAt: Date,
+    sendCount: {
+      type: Number,
+      default: 0,
+    },
+    windowStartedAt: Date,
+  },
+  { _id: false }
+);
 
 const userSchema = new mongoose.Schema(
   {
@@ -11,29 +54,50 @@ const userSchema = new mongoose.Schema(
       minlength: 3,
       maxlength: 30,
     },
+    // Invited users choose their own password when accepting the invitation
     password: {
       type: String,
-      required: true,
+      required: function () {
+        return this.accountStatus !== "invited";
+      },
       minlength: 6,
     },
+    // Hashes of the previous passwords, newest last
+    passwordHistory: {
+      type: [String],
+      select: false,
+    },
+    passwordChangedAt: Date,
     phone: {
       type: String,
       required: true,
       unique: true,
       match: /^[0-9]{10}$/,
     },
+    email: {
+      type: String,
+      trim: true,
+      lowercase: true,
+    },
+    accountStatus: {
+      type: String,
+      enum: ["invited", "active"],
+      default: "active",
+    },
     role: {
       type: String,
-      enum: ["admin", "user"],
+      enum: ROLES,
       default: "user",
     },
-    otp: {
-      code: String,
-      expiresAt: Date,
-      verified: {
-        type: Boolean,
-        default: false,
+    otp: otpSchema,
+    passwordResetOtp: otpSchema,
+    // Issued once the reset OTP is verified; exchanged for a new password
+    passwordReset: {
+      tokenHash: {
+        type: String,
+        index: true,
       },
+      expiresAt: Date,
     },
     isActive: {
       type: Boolean,
@@ -48,17 +112,33 @@ const userSchema = new mongoose.Schema(
         path: String,
       },
     },
-    projectAssigned: {
-      type: mongoose.Schema.Types.ObjectId, // or mongoose.Schema.Types.ObjectId if referencing Project model
-      ref: "Project",
-      default: null,
-    },
+    // Sites the user works on, each with the role they hold on that site
+    projectAssignments: [
+      {
+        _id: false,
+        project: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Project",
+          required: true,
+        },
+        role: {
+          type: String,
+          enum: PROJECT_ROLES,
+          required: true,
+        },
+      },
+    ],
   },
   {
     timestamps: true,
   }
 );
 
+// IDs of every project the user is assigned to
+userSchema.methods.getProjectIds = function () {
+  return this.projectAssignments.map((a) => a.project._id || a.project);
+};
+
 // Hash password before saving
 userSchema.pre("save", async function (next) {
   if (!this.isModified("password")) return next();
@@ -77,25 +157,104 @@ userSchema.methods.comparePassword = async function (candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
-// Generate OTP (hardcoded for testing)
-userSchema.methods.generateOTP = function () {
-  const otp = "1234"; // Hardcoded for testing
-  this.otp = {
-    code: otp,
-    expiresAt: new Date(Date.now() + 10 * 60 * 1000), // 10 minutes
+// True if the candidate matches the current or a recent password.
+// Requires the document to be loaded with "+passwordHistory".
+userSchema.methods.isPasswordReused = async function (candidatePassword) {
+  const recent = [this.password, ...(this.passwordHistory || [])]
+    .filter(Boolean)
+    .slice(0, PASSWORD_HISTORY_LIMIT);
+  for (const hash of recent) {
+    if (await bcrypt.compare(candidatePassword, hash)) return true;
+  }
+  return false;
+};
+
+// Replace the password, keeping the old hash in the history.
+// The pre-save hook hashes the new value.
+userSchema.methods.setPassword = function (newPassword) {
+  if (this.password) {
+    this.passwordHistory = [this.password, ...(this.passwordHistory || [])].slice(
+      0,
+      PASSWORD_HISTORY_LIMIT - 1
+    );
+  }
+  this.password = newPassword;
+  this.passwordChangedAt = new Date();
+};
+
+// Seconds the user must wait before another OTP may be sent (0 = allowed)
+userSchema.methods.otpCooldownRemaining = function (purpose = "login") {
+  const now = Date.now();
+  const otp = this[OTP_FIELDS[purpose]] || {};
+
+  if (otp.lastSentAt) {
+    const wait =
+      otp.lastSentAt.getTime() + OTP_RESEND_COOLDOWN_SECONDS * 1000 - now;
+    if (wait > 0) return Math.ceil(wait / 1000);
+  }
+
+  if (
+    otp.windowStartedAt &&
+    otp.windowStartedAt.getTime() + OTP_SEND_WINDOW_MINUTES * 60 * 1000 > now &&
+    otp.sendCount >= OTP_MAX_SENDS_PER_WINDOW
+  ) {
+    const windowEnd =
+      otp.windowStartedAt.getTime() + OTP_SEND_WINDOW_MINUTES * 60 * 1000;
+    return Math.ceil((windowEnd - now) / 1000);
+  }
+
+  return 0;
+};
+
+// Generate a random numeric OTP, store only its hash and return the plain code
+userSchema.methods.generateOTP = async function (purpose = "login") {
+  const field = OTP_FIELDS[purpose];
+  const code = crypto
+    .randomInt(0, 10 ** OTP_LENGTH)
+    .toString()
+    .padStart(OTP_LENGTH, "0");
+
+  const now = new Date();
+  const previous = this[field] || {};
+  const windowExpired =
+    !previous.windowStartedAt ||
+    previous.windowStartedAt.getTime() + OTP_SEND_WINDOW_MINUTES * 60 * 1000 <=
+      now.getTime();
+
+  this[field] = {
+    codeHash: await bcrypt.hash(code, 10),
+    expiresAt: new Date(now.getTime() + OTP_TTL_MINUTES * 60 * 1000),
     verified: false,
+    attempts: 0,
+    lastSentAt: now,
+    sendCount: windowExpired ? 1 : (previous.sendCount || 0) + 1,
+    windowStartedAt: windowExpired ? now : previous.windowStartedAt,
   };
-  return otp;
+  return code;
 };
 
-userSchema.methods.verifyOTP = function (inputOtp) {
-  if (this.otp.verified) return false;
-  if (this.otp.expiresAt < new Date()) return false;
-  if (this.otp.code === inputOtp) {
-    this.otp.verified = true;
-    return true;
+// Returns { valid, reason } – reason is "expired", "locked" or "invalid"
+userSchema.methods.verifyOTP = async function (inputOtp, purpose = "login") {
+  const otp = this[OTP_FIELDS[purpose]];
+  if (!otp || !otp.codeHash || otp.verified) {
+    return { valid: false, reason: "expired" };
   }
-  return false;
+  if (otp.expiresAt < new Date()) return { valid: false, reason: "expired" };
+  if (otp.attempts >= OTP_MAX_ATTEMPTS) {
+    return { valid: false, reason: "locked" };
+  }
+
+  otp.attempts += 1;
+  if (await bcrypt.compare(String(inputOtp), otp.codeHash)) {
+    otp.verified = true;
+    return { valid: true };
+  }
+  return {
+    valid: false,
+    reason: otp.attempts >= OTP_MAX_ATTEMPTS ? "locked" : "invalid",
+  };
 };
 
+userSchema.plugin(softDelete);
+
 module.exports = mongoose.model("User", userSchema);
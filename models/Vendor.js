@@ -0,0 +1,68 @@
+const mongoose = require("mongoose");
+const softDelete = require("./plugins/softDelete");
+
+// 15 characters: state code, PAN, entity number, "Z", check character
+const GSTIN_PATTERN = /^[0-9]{2}[A-Z]{5}[0-9]{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/;
+
+// A supplier material is bought from on purchase orders
+const vendorSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    gstin: {
+      type: String,
+      trim: true,
+      uppercase: true,
+      match: [GSTIN_PATTERN, "Invalid GSTIN"],
+    },
+    contactPerson: {
+      type: String,
+      trim: true,
+    },
+    phone: {
+      type: String,
+      trim: true,
+    },
+    email: {
+      type: String,
+      trim: true,
+      lowercase: true,
+    },
+    address: {
+      type: String,
+      trim: true,
+    },
+    // Days after delivery the vendor's invoices fall due, plus any other
+    // terms agreed (advance, retention, ...)
+    creditDays: {
+      type: Number,
+      min: 0,
+      default: 0,
+    },
+    paymentTerms: {
+      type: String,
+      trim: true,
+      maxlength: 500,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  { timestamps: true }
+);
+
+vendorSchema.index(
+  { gstin: 1 },
+  { unique: true, partialFilterExpression: { gstin: { $type: "string" } } }
+);
+
+vendorSchema.plugin(softDelete);
+
+const Vendor = mongoose.model("Vendor", vendorSchema);
+Vendor.GSTIN_PATTERN = GSTIN_PATTERN;
+
+module.exports = Vendor;
@@ -0,0 +1,52 @@
+const mongoose = require("mongoose");
+
+// Adds deletedAt/deletedBy to a schema and hides deleted documents from
+// every query and aggregation. Pass { withDeleted: true } as a query or
+// aggregate option (or filter on deletedAt yourself) to see them.
+//
+// `archivedWith` points at the document whose archiving took this one along
+// (e.g. a project's materials), so restoring the parent restores them too.
+const softDelete = (schema) => {
+  schema.add({
+    deletedAt: { type: Date, default: null, index: true },
+    deletedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    archivedWith: { type: mongoose.Schema.Types.ObjectId },
+  });
+
+  function excludeDeleted() {
+    if (this.getOptions().withDeleted) return;
+    if (Object.prototype.hasOwnProperty.call(this.getFilter(), "deletedAt")) return;
+    this.where({ deletedAt: null });
+  }
+
+  schema.pre(/^find/, excludeDeleted);
+  schema.pre(
+    ["countDocuments", "distinct", "updateOne", "updateMany"],
+    excludeDeleted
+  );
+
+  schema.pre("aggregate", function () {
+    if (this.options.withDeleted) return;
+    this.pipeline().unshift({ $match: { deletedAt: null } });
+  });
+
+  schema.methods.softDelete = function (userId, archivedWith) {
+    this.deletedAt = new Date();
+    this.deletedBy = userId;
+    this.archivedWith = archivedWith;
+    return this.save();
+  };
+
+  schema.methods.restore = function () {
+    this.deletedAt = null;
+    this.deletedBy = undefined;
+    this.archivedWith = undefined;
+    return this.save();
+  };
+
+  schema.methods.isDeleted = function () {
+    return Boolean(this.deletedAt);
+  };
+};
+
+module.exports = softDelete;
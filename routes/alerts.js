@@ -0,0 +1,165 @@
+const express = require("express");
+const Alert = require("../models/Alert");
+const { requirePermission } = require("../middleware/auth");
+const projectScope = require("../middleware/projectScope");
+
+const router = express.Router();
+
+// @route   GET /api/alerts
+// @desc    List alerts, filterable by status, type, severity, project and
+//          material code (low-stock alerts)
+// @access  Private (alert:view)
+router.get("/", requirePermission("alert:view"), projectScope, async (req, res) => {
+  try {
+    const {
+      page = 1,
+      limit = 20,
+      status,
+      type,
+      severity,
+      projectId,
+      matCode,
+    } = req.query;
+
+    if (projectId && !req.hasProjectAccess(projectId)) {
+      return res.status(403).json({
+        success: false,
+        message: "Access denied",
+      });
+    }
+
+    const filter = projectId
+      ? { project: projectId }
+      : req.projectFilter("project");
+    if (status) filter.status = status;
+    if (type) filter.type = type;
+    if (severity) filter.severity = severity;
+    if (matCode) filter["data.matCode"] = matCode;
+
+    const pageNumber = parseInt(page, 10);
+    const limitNumber = parseInt(limit, 10);
+
+    const alerts = await Alert.find(filter)
+      .populate("project", "name")
+      .populate("acknowledgedBy", "username")
+      .populate("resolvedBy", "username")
+      .sort({ createdAt: -1 })
+      .limit(limitNumber)
+      .skip((pageNumber - 1) * limitNumber);
+
+    const total = await Alert.countDocuments(filter);
+
+    res.json({
+      success: true,
+      data: {
+        alerts,
+        pagination: {
+          currentPage: pageNumber,
+          totalPages: Math.ceil(total / limitNumber),
+          totalAlerts: total,
+          hasNext: pageNumber < Math.ceil(total / limitNumber),
+          hasPrev: pageNumber > 1,
+        },
+      },
+    });
+  } catch (error) {
+    console.error("Get alerts error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while fetching alerts",
+    });
+  }
+});
+
+// @route   GET /api/alerts/:id
+// @desc    Get an alert with the figures it was raised on
+// @access  Private (alert:view)
+router.get("/:id", requirePermission("alert:view"), projectScope, async (req, res) => {
+  try {
+    const alert = await Alert.findOne({
+      _id: req.params.id,
+      ...req.projectFilter("project"),
+    })
+      .populate("project", "name")
+      .populate("acknowledgedBy", "username")
+      .populate("resolvedBy", "username");
+
+    if (!alert) {
+      return res.status(404).json({
+        success: false,
+        message: "Alert not found",
+      });
+    }
+
+    res.json({
+      success: true,
+      data: alert,
+    });
+  } catch (error) {
+    console.error("Get alert error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while fetching alert",
+    });
+  }
+});
+
+// Move an unresolved alert in scope to `status`
+const updateAlertStatus = (status) => async (req, res) => {
+  try {
+    const byField = status === "acknowledged" ? "acknowledgedBy" : "resolvedBy";
+    const atField = status === "acknowledged" ? "acknowledgedAt" : "resolvedAt";
+    const from = status === "acknowledged" ? ["open"] : ["open", "acknowledged"];
+
+    const alert = await Alert.findOneAndUpdate(
+      {
+        _id: req.params.id,
+        status: { $in: from },
+        ...req.projectFilter("project"),
+      },
+      { status, [byField]: req.user._id, [atField]: new Date() },
+      { new: true }
+    );
+
+    if (!alert) {
+      return res.status(404).json({
+        success: false,
+        message: `No ${from.join(" or ")} alert found`,
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `Alert ${status}`,
+      data: alert,
+    });
+  } catch (error) {
+    console.error("Update alert error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while updating alert",
+    });
+  }
+};
+
+// @route   PATCH /api/alerts/:id/acknowledge
+// @desc    Mark an open alert as seen
+// @access  Private (alert:manage)
+router.patch(
+  "/:id/acknowledge",
+  requirePermission("alert:manage"),
+  projectScope,
+  updateAlertStatus("acknowledged")
+);
+
+// @route   PATCH /api/alerts/:id/resolve
+// @desc    Close an alert
+// @access  Private (alert:manage)
+router.patch(
+  "/:id/resolve",
+  requirePermission("alert:manage"),
+  projectScope,
+  updateAlertStatus("resolved")
+);
+
+module.exports = router;
@@ -1,12 +1,49 @@
 const express = require("express");
 const router = express.Router();
 const Attendance = require("../models/Attendance");
+const Employee = require("../models/Employee");
+const Project = require("../models/Project");
 const moment = require("moment");
+const { requirePermission } = require("../middleware/auth");
+const projectScope = require("../middleware/projectScope");
+const { recordAudit } = require("../services/audit");
+const { isOperational } = require("../config/projectStatus");
+const { checkBudgetAlerts } = require("../services/budget");
 
 // POST: Mark attendance
-router.post("/", async (req, res) => {
+router.post("/", requirePermission("attendance:mark"), projectScope, async (req, res) => {
   try {
     const { employeeId, status, inTime, outTime, work, date } = req.body;
+
+    const employee = await Employee.findById(employeeId).select("assignedProjects");
+    if (!employee) {
+      return res.status(404).json({ message: "Employee not found" });
+    }
+
+    // Older clients omit projectId; fall back to the employee's only project
+    const assigned = employee.assignedProjects.map((p) => p.toString());
+    const projectId =
+      req.body.projectId || (assigned.length === 1 ? assigned[0] : null);
+    if (!projectId || !assigned.includes(projectId.toString())) {
+      return res
+        .status(400)
+        .json({ message: "A project the employee is assigned to is required" });
+    }
+    if (!req.hasProjectAccess(projectId)) {
+      return res.status(403).json({ message: "No access to this project" });
+    }
+
+    // Attendance can only be marked on active projects
+    const project = await Project.findById(projectId).select("status");
+    if (!project) {
+      return res.status(400).json({ message: "Invalid project selected" });
+    }
+    if (!isOperational(project.status)) {
+      return res
+        .status(409)
+        .json({ message: `Project is ${project.status}; attendance cannot be marked` });
+    }
+
     // Check if attendance already exists for the same day
     const normalizedDate = moment(date).startOf("day").toDate();
     const existing = await Attendance.findOne({
@@ -23,6 +60,7 @@ router.post("/", async (req, res) => {
     }
     const newAttendance = new Attendance({
       employeeId,
+      project: projectId,
       status,
       inTime,
       outTime,
@@ -31,6 +69,8 @@ router.post("/", async (req, res) => {
     });
 
     await newAttendance.save();
+    await recordAudit(req, { action: "create", entityType: "Attendance", after: newAttendance });
+    await checkBudgetAlerts(project._id);
     res.status(201).json({ message: "Attendance recorded" });
   } catch (error) {
     res.status(500).json({ message: "Failed to save attendance", error });
@@ -38,18 +78,21 @@ router.post("/", async (req, res) => {
 });
 
 // Optional: GET all attendance
-router.get("/", async (req, res) => {
+router.get("/", requirePermission("attendance:view"), projectScope, async (req, res) => {
   try {
-    const records = await Attendance.find().populate("employeeId", "name");
+    const records = await Attendance.find(req.projectFilter("project")).populate(
+      "employeeId",
+      "name"
+    );
     res.json(records);
   } catch (error) {
     res.status(500).json({ message: "Failed to fetch attendance" });
   }
 });
 
-router.get("/grouped", async (req, res) => {
+router.get("/grouped", requirePermission("attendance:view"), projectScope, async (req, res) => {
   try {
-    const allAttendance = await Attendance.find()
+    const allAttendance = await Attendance.find(req.projectFilter("project"))
       .populate("employeeId", "name phone joinedDate assignedProjects") // ✅ populate more fields
       .lean();
     const grouped = {};
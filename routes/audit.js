@@ -0,0 +1,116 @@
+const express = require("express");
+const AuditLog = require("../models/AuditLog");
+const { requirePermission } = require("../middleware/auth");
+const projectScope = require("../middleware/projectScope");
+
+const router = express.Router();
+
+// @route   GET /api/audit
+// @desc    List audit entries, filterable by actor, entity, action, project
+//          and date range
+// @access  Private (audit:view)
+router.get(
+  "/",
+  requirePermission("audit:view"),
+  projectScope,
+  async (req, res) => {
+    try {
+      const {
+        page = 1,
+        limit = 20,
+        actorId,
+        entityType,
+        entityId,
+        action,
+        projectId,
+        from,
+        to,
+      } = req.query;
+
+      if (projectId && !req.hasProjectAccess(projectId)) {
+        return res.status(403).json({
+          success: false,
+          message: "Access denied",
+        });
+      }
+
+      const filter = projectId
+        ? { projects: projectId }
+        : req.projectFilter("projects");
+      if (actorId) filter.actor = actorId;
+      if (entityType) filter.entityType = entityType;
+      if (entityId) filter.entityId = entityId;
+      if (action) filter.action = action;
+      if (from || to) {
+        filter.createdAt = {};
+        if (from) filter.createdAt.$gte = new Date(from);
+        if (to) filter.createdAt.$lte = new Date(to);
+      }
+
+      const pageNumber = parseInt(page, 10);
+      const limitNumber = parseInt(limit, 10);
+
+      const entries = await AuditLog.find(filter)
+        .select("-before -after")
+        .populate("actor", "username role")
+        .sort({ createdAt: -1 })
+        .limit(limitNumber)
+        .skip((pageNumber - 1) * limitNumber);
+
+      const total = await AuditLog.countDocuments(filter);
+
+      res.json({
+        success: true,
+        data: {
+          entries,
+          pagination: {
+            currentPage: pageNumber,
+            totalPages: Math.ceil(total / limitNumber),
+            totalEntries: total,
+            hasNext: pageNumber < Math.ceil(total / limitNumber),
+            hasPrev: pageNumber > 1,
+          },
+        },
+      });
+    } catch (error) {
+      console.error("Get audit log error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Server error while fetching audit log",
+      });
+    }
+  }
+);
+
+// @route   GET /api/audit/:entityType/:entityId
+// @desc    Full change history of one entity, oldest first
+// @access  Private (audit:view)
+router.get(
+  "/:entityType/:entityId",
+  requirePermission("audit:view"),
+  projectScope,
+  async (req, res) => {
+    try {
+      const history = await AuditLog.find({
+        entityType: req.params.entityType,
+        entityId: req.params.entityId,
+        ...req.projectFilter("projects"),
+      })
+        .populate("actor", "username role")
+        .sort({ createdAt: 1 });
+
+      res.json({
+        success: true,
+        data: history,
+      });
+    } catch (error) {
+      console.error("Get entity history error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Server error while fetching entity history",
+      });
+    }
+  }
+);
+
+module.exports = router;
@@ -1,28 +1,77 @@
 const express = require('express');
-const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
 const { body, validationResult } = require('express-validator');
 const User = require('../models/User');
+const Session = require('../models/Session');
 const { auth } = require('../middleware/auth');
 const upload = require('../middleware/upload')
+const { sendOTP } = require('../services/otpDelivery');
+const { findInvitation } = require('../services/invitations');
+const { notify } = require('../services/notifications');
+const { resolveLoginDevice, isDeviceApproved } = require('../services/devices');
+const Device = require('../models/Device');
+const {
+  throttleKeys,
+  checkThrottle,
+  recordFailure,
+  clearThrottle
+} = require('../services/loginThrottle');
+const {
+  recordLoginAttempt,
+  completeLoginAttempt
+} = require('../services/loginEvents');
+const {
+  startSession,
+  rotateRefreshToken,
+  revokeSession,
+  revokeUserSessions
+} = require('../services/sessions');
 
 const router = express.Router();
 
-// Generate JWT Token
-const generateToken = (userId) => {
-  return jwt.sign({ userId }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRE
+// OTP codes are only echoed back to the client while developing locally
+const exposeOtp = () => process.env.NODE_ENV === 'development';
+
+const RESET_TOKEN_TTL_MINUTES = 15;
+
+// Reply 429 when any key is in a progressive delay or locked out
+const rejectIfThrottled = async (res, keys) => {
+  const throttle = await checkThrottle(keys);
+  if (!throttle.blocked) return false;
+
+  res.set('Retry-After', String(throttle.retryAfter));
+  res.status(429).json({
+    success: false,
+    message: throttle.locked
+      ? `Too many failed attempts, account temporarily locked. Try again in ${throttle.retryAfter} seconds`
+      : `Too many failed attempts, try again in ${throttle.retryAfter} seconds`,
+    retryAfter: throttle.retryAfter
   });
+  return true;
+};
+
+// Deliver the OTP; delivery failures are logged but do not fail the request
+const deliverOtp = async (user, otp, purpose = 'login') => {
+  const field = purpose === 'login' ? 'otp' : 'passwordResetOtp';
+  try {
+    await sendOTP(user, otp, { expiresAt: user[field].expiresAt, purpose });
+  } catch (error) {
+    console.error('OTP delivery error:', error.message);
+  }
 };
 
 // @route   POST /api/auth/login
-// @desc    Login user
+// @desc    Login user; every attempt is kept as a LoginEvent
 // @access  Public
 router.post(
   '/login',
   upload.single('loginImage'), // handle optional image upload
   [
     body('username').trim().isLength({ min: 3 }).withMessage('Username is required'),
-    body('password').isLength({ min: 4 }).withMessage('Password must be at least 4 characters')
+    body('password').isLength({ min: 4 }).withMessage('Password must be at least 4 characters'),
+    body('deviceId').trim().notEmpty().withMessage('Device ID is required'),
+    body('latitude').optional().isFloat({ min: -90, max: 90 }).withMessage('Invalid latitude'),
+    body('longitude').optional().isFloat({ min: -180, max: 180 }).withMessage('Invalid longitude')
   ],
   async (req, res) => {
     try {
@@ -38,16 +87,53 @@ router.post(
       const { username, password, deviceId } = req.body;
 
       const user = await User.findOne({ username, isActive: true });
+      const keys = throttleKeys({ username, phone: user?.phone, ip: req.ip });
+      if (await rejectIfThrottled(res, keys)) {
+        await recordLoginAttempt(req, { user, status: 'failed', failureReason: 'throttled' });
+        return;
+      }
+
       if (!user) {
+        await recordFailure(keys);
+        await recordLoginAttempt(req, { status: 'failed', failureReason: 'unknown-user' });
         return res.status(401).json({ success: false, message: 'Invalid credentials' });
       }
 
       const isPasswordValid = await user.comparePassword(password);
       if (!isPasswordValid) {
+        await recordFailure(keys);
+        await recordLoginAttempt(req, { user, status: 'failed', failureReason: 'invalid-password' });
         return res.status(401).json({ success: false, message: 'Invalid credentials' });
       }
 
-      const otp = user.generateOTP();
+      // Unknown devices wait for an admin before any OTP is sent
+      const device = await resolveLoginDevice(user, {
+        deviceId,
+        userAgent: req.headers['user-agent'],
+        label: req.body.deviceLabel
+      });
+      if (device.status !== 'approved') {
+        await recordLoginAttempt(req, { user, status: 'failed', failureReason: `device-${device.status}` });
+        return res.status(403).json({
+          success: false,
+          message: device.status === 'pending'
+            ? 'This device is awaiting admin approval'
+            : 'This device is not allowed to login',
+          data: { deviceStatus: device.status }
+        });
+      }
+
+      const retryAfter = user.otpCooldownRemaining();
+      if (retryAfter > 0) {
+        await recordLoginAttempt(req, { user, status: 'failed', failureReason: 'otp-throttled' });
+        return res.status(429).json({
+          success: false,
+          message: `Please wait ${retryAfter} seconds before requesting another OTP`,
+          retryAfter
+        });
+      }
+
+      const otp = await user.generateOTP();
 
       // Initialize deviceInfo if undefined
       if (!user.deviceInfo) {
@@ -55,12 +141,10 @@ router.post(
       }
 
       // Update device info
-      if (deviceId) {
-        user.deviceInfo.deviceId = deviceId;
-        user.deviceInfo.lastLoginDevice = req.headers['user-agent'] || 'Unknown';
-      }
+      user.deviceInfo.deviceId = deviceId;
+      user.deviceInfo.lastLoginDevice = req.headers['user-agent'] || 'Unknown';
 
-      // If image uploaded, store it
+      // Latest selfie for quick display; the full trail lives in LoginEvent
       if (req.file) {
         user.deviceInfo.loginImage = {
           filename: req.file.filename,
@@ -69,13 +153,15 @@ router.post(
       }
 
       await user.save();
+      await deliverOtp(user, otp);
+      await recordLoginAttempt(req, { user, status: 'otp-pending' });
 
       res.json({
         success: true,
         message: 'OTP sent for verification',
         data: {
           userId: user._id,
-          otp: otp,
+          ...(exposeOtp() && { otp }),
           expiresAt: user.otp.expiresAt
         }
       });
@@ -95,7 +181,7 @@ router.post(
 // @access  Public
 router.post('/verify-otp', [
   body('userId').isMongoId().withMessage('Valid user ID is required'),
-  body('otp').isLength({ min: 4, max: 6 }).withMessage('OTP must be 4 to 6 digits') // adjust as per your OTP length
+  body('otp').isLength({ min: 4, max: 8 }).withMessage('OTP must be 4 to 8 digits')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -107,9 +193,12 @@ router.post('/verify-otp', [
       });
     }
 
-    const { userId, otp } = req.body;
+    const { userId, otp, deviceId } = req.body;
 
-    const user = await User.findById(userId).populate('projectAssigned');
+    const user = await User.findById(userId).populate(
+      'projectAssignments.project',
+      'name description status'
+    );
     if (!user || !user.isActive) {
       return res.status(404).json({
         success: false,
@@ -117,9 +206,38 @@ router.post('/verify-otp', [
       });
     }
 
+    const keys = throttleKeys({ username: user.username, phone: user.phone, ip: req.ip });
+    if (await rejectIfThrottled(res, keys)) return;
+
+    // The device must still be approved – it may have been revoked meanwhile
+    const loginDeviceId = deviceId || user.deviceInfo?.deviceId;
+    if (!(await isDeviceApproved(user._id, loginDeviceId))) {
+      return res.status(403).json({
+        success: false,
+        message: 'This device is not approved for login'
+      });
+    }
+
     // Use the model method to verify OTP
-    const isOtpValid = user.verifyOTP(otp);
-    if (!isOtpValid) {
+    const result = await user.verifyOTP(otp);
+    if (!result.valid) {
+      // Persist the attempt counter even when verification fails
+      await user.save();
+      await recordFailure(keys);
+
+      if (result.reason !== 'invalid') {
+        await completeLoginAttempt(user._id, {
+          status: 'failed',
+          failureReason: `otp-${result.reason}`
+        });
+      }
+
+      if (result.reason === 'locked') {
+        return res.status(429).json({
+          success: false,
+          message: 'Too many incorrect attempts, please request a new OTP'
+        });
+      }
       return res.status(401).json({
         success: false,
         message: 'Invalid or expired OTP'
@@ -129,14 +247,32 @@ router.post('/verify-otp', [
     user.lastLogin = new Date();
     await user.save();
 
-    // Generate JWT token
-    const token = generateToken(user._id);
+    // Successful login clears the account's counters (the IP keeps its own)
+    await clearThrottle(keys.filter((key) => !key.startsWith('ip:')));
+
+    // Open a session for this device with an access/refresh token pair
+    const {
+      session,
+      accessToken,
+      refreshToken,
+      accessTokenExpiresIn,
+      refreshTokenExpiresAt
+    } = await startSession(user, {
+      deviceId: loginDeviceId,
+      userAgent: req.headers['user-agent'],
+      ip: req.ip
+    });
+    await completeLoginAttempt(user._id, { status: 'success', session: session._id });
 
     res.json({
       success: true,
       message: 'Login successful',
       data: {
-        token,
+        token: accessToken,
+        refreshToken,
+        accessTokenExpiresIn,
+        refreshTokenExpiresAt,
+        sessionId: session._id,
         user: {
           id: user._id,
           username: user.username,
@@ -144,7 +280,8 @@ router.post('/verify-otp', [
           role: user.role,
           image: user.deviceInfo?.loginImage?.path || null,
           lastLogin: user.lastLogin,
-          projectAssigned: user.projectAssigned || null 
+          // Every project the user can switch between, with their role there
+          projectAssignments: user.projectAssignments
         }
       }
     });
@@ -181,19 +318,29 @@ router.post('/resend-otp', [
       });
     }
 
-    // Clear previous OTP
-    user.otp = undefined;
+    const keys = throttleKeys({ username: user.username, phone: user.phone, ip: req.ip });
+    if (await rejectIfThrottled(res, keys)) return;
+
+    const retryAfter = user.otpCooldownRemaining();
+    if (retryAfter > 0) {
+      return res.status(429).json({
+        success: false,
+        message: `Please wait ${retryAfter} seconds before requesting another OTP`,
+        retryAfter
+      });
+    }
 
-    // Generate new OTP
-    const newOtp = user.generateOTP(); // This updates `user.otp` internally
+    // Generate new OTP, replacing the previous one
+    const newOtp = await user.generateOTP();
     await user.save();
+    await deliverOtp(user, newOtp);
 
     res.json({
       success: true,
       message: 'OTP resent successfully',
       data: {
         userId: user._id,
-        otp: newOtp,
+        ...(exposeOtp() && { otp: newOtp }),
         expiresAt: user.otp.expiresAt
       }
     });
@@ -206,11 +353,65 @@ router.post('/resend-otp', [
   }
 });
 
+// @route   POST /api/auth/refresh
+// @desc    Exchange a refresh token for a new access/refresh token pair
+// @access  Public
+router.post('/refresh', [
+  body('refreshToken').notEmpty().withMessage('Refresh token is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const rotated = await rotateRefreshToken(req.body.refreshToken);
+    if (!rotated) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired refresh token'
+      });
+    }
+
+    const user = await User.findById(rotated.session.user).select('isActive');
+    if (!user || !user.isActive) {
+      await revokeSession(rotated.session._id, 'user-inactive');
+      return res.status(401).json({
+        success: false,
+        message: 'User not found or inactive'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Token refreshed',
+      data: {
+        token: rotated.accessToken,
+        refreshToken: rotated.refreshToken,
+        accessTokenExpiresIn: rotated.accessTokenExpiresIn,
+        refreshTokenExpiresAt: rotated.refreshTokenExpiresAt
+      }
+    });
+  } catch (error) {
+    console.error('Refresh token error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during token refresh'
+    });
+  }
+});
+
 // @route   POST /api/auth/logout
 // @desc    Logout user
 // @access  Private
 router.post('/logout', auth, async (req, res) => {
   try {
+    await revokeSession(req.authSession._id, 'logout');
+
     // Clear OTP info
     await User.findByIdAndUpdate(req.user._id, {
       $unset: { otp: 1 }
@@ -229,6 +430,443 @@ router.post('/logout', auth, async (req, res) => {
   }
 });
 
+// @route   GET /api/auth/sessions
+// @desc    List my active sessions
+// @access  Private
+router.get('/sessions', auth, async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      user: req.user._id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    })
+      .select('-refreshTokenHash')
+      .sort({ lastUsedAt: -1 })
+      .lean();
+
+    res.json({
+      success: true,
+      data: sessions.map((session) => ({
+        ...session,
+        current: session._id.toString() === req.authSession._id.toString()
+      }))
+    });
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching sessions'
+    });
+  }
+});
+
+// @route   DELETE /api/auth/sessions
+// @desc    Revoke all my sessions (?keepCurrent=true keeps this one)
+// @access  Private
+router.delete('/sessions', auth, async (req, res) => {
+  try {
+    const keepCurrent = req.query.keepCurrent === 'true';
+    const revoked = await revokeUserSessions(req.user._id, 'user-revoked-all', {
+      exceptSessionId: keepCurrent ? req.authSession._id : undefined
+    });
+
+    res.json({
+      success: true,
+      message: 'Sessions revoked successfully',
+      data: { revokedCount: revoked }
+    });
+  } catch (error) {
+    console.error('Revoke sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while revoking sessions'
+    });
+  }
+});
+
+// @route   DELETE /api/auth/sessions/:id
+// @desc    Revoke one of my sessions
+// @access  Private
+router.delete('/sessions/:id', auth, async (req, res) => {
+  try {
+    const session = await Session.findOne({
+      _id: req.params.id,
+      user: req.user._id,
+      revokedAt: null
+    });
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    await revokeSession(session._id, 'user-revoked');
+
+    res.json({
+      success: true,
+      message: 'Session revoked successfully'
+    });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while revoking session'
+    });
+  }
+});
+
+// @route   POST /api/auth/change-password
+// @desc    Change my password; signs out every session
+// @access  Private
+router.post('/change-password', auth, [
+  body('currentPassword').notEmpty().withMessage('Current password is required'),
+  body('newPassword')
+    .isLength({ min: 6 })
+    .withMessage('New password must be at least 6 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { currentPassword, newPassword } = req.body;
+    const user = await User.findById(req.user._id).select('+passwordHistory');
+
+    if (!(await user.comparePassword(currentPassword))) {
+      return res.status(401).json({
+        success: false,
+        message: 'Current password is incorrect'
+      });
+    }
+
+    if (await user.isPasswordReused(newPassword)) {
+      return res.status(400).json({
+        success: false,
+        message: 'New password must differ from your recent passwords'
+      });
+    }
+
+    user.setPassword(newPassword);
+    await user.save();
+    await revokeUserSessions(user._id, 'password-changed');
+
+    res.json({
+      success: true,
+      message: 'Password changed successfully, please login again'
+    });
+  } catch (error) {
+    console.error('Change password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during password change'
+    });
+  }
+});
+
+// Find an active user from a username or phone in the request body
+const findUserByIdentifier = ({ username, phone }) => {
+  if (username) return User.findOne({ username, isActive: true });
+  if (phone) return User.findOne({ phone, isActive: true });
+  return null;
+};
+
+const identifierValidator = body().custom(
+  (b) => Boolean(b.username || b.phone)
+).withMessage('Username or phone is required');
+
+// @route   POST /api/auth/forgot-password
+// @desc    Send a password reset OTP to the user's phone
+// @access  Public
+router.post('/forgot-password', [identifierValidator], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    // Same response whether or not the account exists
+    const response = {
+      success: true,
+      message: 'If the account exists, a reset code has been sent'
+    };
+
+    const user = await findUserByIdentifier(req.body);
+    if (!user || user.otpCooldownRemaining('password-reset') > 0) {
+      return res.json(response);
+    }
+
+    const otp = await user.generateOTP('password-reset');
+    await user.save();
+    await deliverOtp(user, otp, 'password-reset');
+
+    res.json({
+      ...response,
+      ...(exposeOtp() && { data: { otp } })
+    });
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during password reset request'
+    });
+  }
+});
+
+// @route   POST /api/auth/forgot-password/verify
+// @desc    Verify the reset OTP and receive a one-time reset token
+// @access  Public
+router.post('/forgot-password/verify', [
+  identifierValidator,
+  body('otp').isLength({ min: 4, max: 8 }).withMessage('OTP must be 4 to 8 digits')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await findUserByIdentifier(req.body);
+    const keys = throttleKeys({
+      username: user?.username || req.body.username,
+      phone: user?.phone || req.body.phone,
+      ip: req.ip
+    });
+    if (await rejectIfThrottled(res, keys)) return;
+
+    if (!user) {
+      await recordFailure(keys);
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired OTP'
+      });
+    }
+
+    const result = await user.verifyOTP(req.body.otp, 'password-reset');
+    if (!result.valid) {
+      await user.save();
+      await recordFailure(keys);
+      return res.status(result.reason === 'locked' ? 429 : 401).json({
+        success: false,
+        message: result.reason === 'locked'
+          ? 'Too many incorrect attempts, please request a new OTP'
+          : 'Invalid or expired OTP'
+      });
+    }
+
+    const resetToken = crypto.randomBytes(32).toString('hex');
+    user.passwordReset = {
+      tokenHash: crypto.createHash('sha256').update(resetToken).digest('hex'),
+      expiresAt: new Date(Date.now() + RESET_TOKEN_TTL_MINUTES * 60 * 1000)
+    };
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'OTP verified, you can now set a new password',
+      data: {
+        resetToken,
+        expiresAt: user.passwordReset.expiresAt
+      }
+    });
+  } catch (error) {
+    console.error('Verify reset OTP error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during OTP verification'
+    });
+  }
+});
+
+// @route   POST /api/auth/reset-password
+// @desc    Set a new password using the reset token; signs out every session
+// @access  Public
+router.post('/reset-password', [
+  body('resetToken').notEmpty().withMessage('Reset token is required'),
+  body('newPassword')
+    .isLength({ min: 6 })
+    .withMessage('New password must be at least 6 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { resetToken, newPassword } = req.body;
+    const user = await User.findOne({
+      'passwordReset.tokenHash': crypto
+        .createHash('sha256')
+        .update(resetToken)
+        .digest('hex'),
+      'passwordReset.expiresAt': { $gt: new Date() },
+      isActive: true
+    }).select('+passwordHistory');
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired reset token'
+      });
+    }
+
+    if (await user.isPasswordReused(newPassword)) {
+      return res.status(400).json({
+        success: false,
+        message: 'New password must differ from your recent passwords'
+      });
+    }
+
+    user.setPassword(newPassword);
+    user.passwordReset = undefined;
+    user.passwordResetOtp = undefined;
+    await user.save();
+    await revokeUserSessions(user._id, 'password-reset');
+
+    res.json({
+      success: true,
+      message: 'Password reset successfully, please login'
+    });
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during password reset'
+    });
+  }
+});
+
+// @route   GET /api/auth/invite/:token
+// @desc    Check an invitation token before showing the set-password form
+// @access  Public
+router.get('/invite/:token', async (req, res) => {
+  try {
+    const invitation = await findInvitation(req.params.token);
+    const user = invitation
+      ? await User.findById(invitation.user).select('username phone accountStatus')
+      : null;
+
+    if (!user || user.accountStatus !== 'invited') {
+      return res.status(404).json({
+        success: false,
+        message: 'Invitation is invalid or has expired'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        username: user.username,
+        phone: user.phone,
+        expiresAt: invitation.expiresAt
+      }
+    });
+  } catch (error) {
+    console.error('Check invitation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while checking invitation'
+    });
+  }
+});
+
+// @route   POST /api/auth/accept-invite
+// @desc    Activate an invited account by setting its password
+// @access  Public
+router.post('/accept-invite', [
+  body('token').notEmpty().withMessage('Invitation token is required'),
+  body('password')
+    .isLength({ min: 6 })
+    .withMessage('Password must be at least 6 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const invitation = await findInvitation(req.body.token);
+    const user = invitation
+      ? await User.findById(invitation.user).select('+passwordHistory')
+      : null;
+
+    if (!user || user.accountStatus !== 'invited') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invitation is invalid or has expired'
+      });
+    }
+
+    user.setPassword(req.body.password);
+    user.accountStatus = 'active';
+    user.isActive = true;
+    await user.save();
+
+    invitation.acceptedAt = new Date();
+    await invitation.save();
+
+    await notify('invitationAccepted', {
+      subject: `Invitation accepted: ${user.username}`,
+      text: `${user.username} (${user.phone}) accepted their invitation and activated their account.`
+    });
+
+    res.json({
+      success: true,
+      message: 'Account activated, you can now login'
+    });
+  } catch (error) {
+    console.error('Accept invitation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while accepting invitation'
+    });
+  }
+});
+
+// @route   GET /api/auth/devices
+// @desc    List my registered devices and their approval status
+// @access  Private
+router.get('/devices', auth, async (req, res) => {
+  try {
+    const devices = await Device.find({ user: req.user._id })
+      .select('deviceId label userAgent status lastSeenAt createdAt')
+      .sort({ lastSeenAt: -1 });
+
+    res.json({
+      success: true,
+      data: devices
+    });
+  } catch (error) {
+    console.error('Get devices error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching devices'
+    });
+  }
+});
+
 // @route   GET /api/auth/me
 // @desc    Get current user info
 // @access  Private
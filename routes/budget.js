@@ -0,0 +1,341 @@
+const express = require("express");
+const { body, query, validationResult } = require("express-validator");
+const Budget = require("../models/Budget");
+const Expense = require("../models/Expense");
+const { requirePermission } = require("../middleware/auth");
+const projectScope = require("../middleware/projectScope");
+const { recordAudit } = require("../services/audit");
+const { archive } = require("../services/trash");
+const { findScopedProject } = require("../services/projectAccess");
+const { budgetVariance, checkBudgetAlerts } = require("../services/budget");
+
+// Mounted at /api/projects/:projectId
+const router = express.Router({ mergeParams: true });
+
+const MONTH_PATTERN = /^\d{4}-(0[1-9]|1[0-2])$/;
+
+// @route   GET /api/projects/:projectId/budget
+// @desc    Get the project's budget heads and phasing
+// @access  Private (budget:view on the project)
+router.get("/budget", requirePermission("budget:view"), projectScope, async (req, res) => {
+  try {
+    const project = await findScopedProject(req, res, req.params.projectId);
+    if (!project) return;
+
+    const budget = await Budget.findOne({ project: project._id }).populate(
+      "updatedBy",
+      "username"
+    );
+
+    res.json({
+      success: true,
+      data: budget,
+    });
+  } catch (error) {
+    console.error("Get budget error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while fetching budget",
+    });
+  }
+});
+
+// @route   PUT /api/projects/:projectId/budget
+// @desc    Set the project's budget heads, optional monthly phasing and
+//          alert thresholds
+// @access  Private (budget:manage on the project)
+router.put(
+  "/budget",
+  requirePermission("budget:manage"),
+  projectScope,
+  [
+    body("heads").isArray({ min: 1 }).withMessage("At least one budget head is required"),
+    body("heads.*.head")
+      .isIn(Budget.BUDGET_HEADS)
+      .withMessage(`Head must be one of: ${Budget.BUDGET_HEADS.join(", ")}`),
+    body("heads.*.amount")
+      .isFloat({ min: 0 })
+      .withMessage("Amount must be a non-negative number"),
+    body("heads.*.phasing").optional().isArray(),
+    body("heads.*.phasing.*.month")
+      .matches(MONTH_PATTERN)
+      .withMessage("Phasing month must be YYYY-MM"),
+    body("heads.*.phasing.*.amount")
+      .isFloat({ min: 0 })
+      .withMessage("Phasing amount must be a non-negative number"),
+    body("alertThresholds").optional().isArray(),
+    body("alertThresholds.*")
+      .isFloat({ gt: 0 })
+      .withMessage("Thresholds must be positive percentages"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const project = await findScopedProject(req, res, req.params.projectId);
+      if (!project) return;
+
+      const { heads, alertThresholds } = req.body;
+
+      const names = heads.map((h) => h.head);
+      if (new Set(names).size !== names.length) {
+        return res.status(400).json({
+          success: false,
+          message: "Each budget head may appear only once",
+        });
+      }
+      for (const head of heads) {
+        const months = (head.phasing || []).map((p) => p.month);
+        if (new Set(months).size !== months.length) {
+          return res.status(400).json({
+            success: false,
+            message: `Phasing for ${head.head} repeats a month`,
+          });
+        }
+        const phased = (head.phasing || []).reduce((sum, p) => sum + Number(p.amount), 0);
+        if (phased > Number(head.amount)) {
+          return res.status(400).json({
+            success: false,
+            message: `Phasing for ${head.head} exceeds its budget`,
+          });
+        }
+      }
+
+      const before = await Budget.findOne({ project: project._id }).lean();
+      const budget = await Budget.findOneAndUpdate(
+        { project: project._id },
+        {
+          heads,
+          ...(alertThresholds && {
+            alertThresholds: [...new Set(alertThresholds.map(Number))].sort((a, b) => a - b),
+          }),
+          updatedBy: req.user._id,
+        },
+        { new: true, upsert: true, runValidators: true }
+      );
+      await recordAudit(req, {
+        action: before ? "update" : "create",
+        entityType: "Budget",
+        before,
+        after: budget,
+      });
+      await checkBudgetAlerts(project._id);
+
+      res.json({
+        success: true,
+        message: "Budget saved successfully",
+        data: budget,
+      });
+    } catch (error) {
+      console.error("Save budget error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Server error while saving budget",
+      });
+    }
+  }
+);
+
+// @route   GET /api/projects/:projectId/budget/variance
+// @desc    Budget vs actual per head; ?month=YYYY-MM compares one month's
+//          phased budget
+// @access  Private (budget:view on the project)
+router.get(
+  "/budget/variance",
+  requirePermission("budget:view"),
+  projectScope,
+  [
+    query("month")
+      .optional()
+      .matches(MONTH_PATTERN)
+      .withMessage("Month must be YYYY-MM"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const project = await findScopedProject(req, res, req.params.projectId);
+      if (!project) return;
+
+      const variance = await budgetVariance(project._id, {
+        month: req.query.month,
+      });
+
+      res.json({
+        success: true,
+        data: variance,
+      });
+    } catch (error) {
+      console.error("Get budget variance error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Server error while computing budget variance",
+      });
+    }
+  }
+);
+
+// @route   GET /api/projects/:projectId/expenses
+// @desc    List equipment and overhead expenses
+// @access  Private (budget:view on the project)
+router.get("/expenses", requirePermission("budget:view"), projectScope, async (req, res) => {
+  try {
+    const project = await findScopedProject(req, res, req.params.projectId);
+    if (!project) return;
+
+    const { page = 1, limit = 20, head } = req.query;
+    const filter = { project: project._id };
+    if (head) filter.head = head;
+
+    const pageNumber = parseInt(page, 10);
+    const limitNumber = parseInt(limit, 10);
+
+    const expenses = await Expense.find(filter)
+      .populate("recordedBy", "username")
+      .sort({ date: -1 })
+      .limit(limitNumber)
+      .skip((pageNumber - 1) * limitNumber);
+
+    const total = await Expense.countDocuments(filter);
+
+    res.json({
+      success: true,
+      data: {
+        expenses,
+        pagination: {
+          currentPage: pageNumber,
+          totalPages: Math.ceil(total / limitNumber),
+          totalExpenses: total,
+          hasNext: pageNumber < Math.ceil(total / limitNumber),
+          hasPrev: pageNumber > 1,
+        },
+      },
+    });
+  } catch (error) {
+    console.error("Get expenses error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while fetching expenses",
+    });
+  }
+});
+
+// @route   POST /api/projects/:projectId/expenses
+// @desc    Record an equipment or overhead expense
+// @access  Private (budget:manage on the project)
+router.post(
+  "/expenses",
+  requirePermission("budget:manage"),
+  projectScope,
+  [
+    body("head")
+      .isIn(["equipment", "overheads"])
+      .withMessage("Head must be equipment or overheads"),
+    body("amount")
+      .isFloat({ min: 0 })
+      .withMessage("Amount must be a non-negative number"),
+    body("date").optional().isISO8601().withMessage("Invalid date"),
+    body("description")
+      .optional()
+      .trim()
+      .isLength({ max: 500 })
+      .withMessage("Description must be less than 500 characters"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const project = await findScopedProject(req, res, req.params.projectId);
+      if (!project) return;
+
+      const { head, amount, date, description } = req.body;
+      const expense = await Expense.create({
+        project: project._id,
+        head,
+        amount,
+        date: date || new Date(),
+        description,
+        recordedBy: req.user._id,
+      });
+      await recordAudit(req, { action: "create", entityType: "Expense", after: expense });
+      await checkBudgetAlerts(project._id);
+
+      res.status(201).json({
+        success: true,
+        message: "Expense recorded successfully",
+        data: expense,
+      });
+    } catch (error) {
+      console.error("Record expense error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Server error while recording expense",
+      });
+    }
+  }
+);
+
+// @route   DELETE /api/projects/:projectId/expenses/:expenseId
+// @desc    Move an expense to the trash
+// @access  Private (budget:manage on the project)
+router.delete(
+  "/expenses/:expenseId",
+  requirePermission("budget:manage"),
+  projectScope,
+  async (req, res) => {
+    try {
+      const project = await findScopedProject(req, res, req.params.projectId);
+      if (!project) return;
+
+      const expense = await Expense.findOne({
+        _id: req.params.expenseId,
+        project: project._id,
+      });
+      if (!expense) {
+        return res.status(404).json({
+          success: false,
+          message: "Expense not found",
+        });
+      }
+
+      const before = expense.toObject();
+      await archive(expense, req.user._id);
+      await recordAudit(req, { action: "delete", entityType: "Expense", before });
+      await checkBudgetAlerts(project._id);
+
+      res.json({
+        success: true,
+        message: "Expense moved to trash",
+      });
+    } catch (error) {
+      console.error("Delete expense error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Server error while deleting expense",
+      });
+    }
+  }
+);
+
+module.exports = router;
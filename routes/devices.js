@@ -0,0 +1,236 @@
+const express = require("express");
+const { body, validationResult } = require("express-validator");
+const Device = require("../models/Device");
+const User = require("../models/User");
+const { requirePermission } = require("../middleware/auth");
+const { hasDeviceCapacity } = require("../services/devices");
+const { revokeDeviceSessions } = require("../services/sessions");
+
+const router = express.Router();
+
+// @route   GET /api/devices
+// @desc    List devices, e.g. ?status=pending for the approval queue
+// @access  Private (device:manage)
+router.get("/", requirePermission("device:manage"), async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status, userId } = req.query;
+
+    const filter = {};
+    if (status) filter.status = status;
+    if (userId) filter.user = userId;
+
+    const pageNumber = parseInt(page, 10);
+    const limitNumber = parseInt(limit, 10);
+
+    const devices = await Device.find(filter)
+      .populate("user", "username phone role")
+      .populate("reviewedBy", "username")
+      .sort({ createdAt: -1 })
+      .limit(limitNumber)
+      .skip((pageNumber - 1) * limitNumber);
+
+    const total = await Device.countDocuments(filter);
+
+    res.json({
+      success: true,
+      data: {
+        devices,
+        pagination: {
+          currentPage: pageNumber,
+          totalPages: Math.ceil(total / limitNumber),
+          totalDevices: total,
+          hasNext: pageNumber < Math.ceil(total / limitNumber),
+          hasPrev: pageNumber > 1,
+        },
+      },
+    });
+  } catch (error) {
+    console.error("Get devices error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while fetching devices",
+    });
+  }
+});
+
+// @route   PATCH /api/devices/:id/approve
+// @desc    Approve a device, within the device limit of the user's role
+// @access  Private (device:manage)
+router.patch(
+  "/:id/approve",
+  requirePermission("device:manage"),
+  async (req, res) => {
+    try {
+      const device = await Device.findById(req.params.id);
+      if (!device) {
+        return res.status(404).json({
+          success: false,
+          message: "Device not found",
+        });
+      }
+      if (device.status === "approved") {
+        return res.status(400).json({
+          success: false,
+          message: "Device is already approved",
+        });
+      }
+
+      // Trashed users are left out, so their devices cannot be approved
+      const user = await User.findById(device.user).select("role");
+      if (!user) {
+        return res.status(409).json({
+          success: false,
+          message: "The user of this device no longer exists",
+        });
+      }
+      const { allowed, maxDevices } = await hasDeviceCapacity(user);
+      if (!allowed) {
+        return res.status(409).json({
+          success: false,
+          message: `Device limit reached: the ${user.role} role allows ${maxDevices} device(s). De-register another device first.`,
+        });
+      }
+
+      // Only one approval can win, and one racing an approval of another
+      // device of the same user is undone if together they exceed the cap
+      const approved = await Device.findOneAndUpdate(
+        { _id: device._id, status: { $ne: "approved" } },
+        {
+          status: "approved",
+          reviewedBy: req.user._id,
+          reviewedAt: new Date(),
+          reviewNote: req.body.note,
+        },
+        { new: true }
+      );
+      if (!approved) {
+        return res.status(409).json({
+          success: false,
+          message: "Device is already approved",
+        });
+      }
+
+      const { allowed: withinLimit } = await hasDeviceCapacity(user, { approving: false });
+      if (!withinLimit) {
+        const previous = { status: device.status };
+        const unset = {};
+        for (const field of ["reviewedBy", "reviewedAt", "reviewNote"]) {
+          if (device[field] === undefined) unset[field] = 1;
+          else previous[field] = device[field];
+        }
+        await Device.updateOne(
+          { _id: device._id, status: "approved" },
+          { ...previous, $unset: unset }
+        );
+        return res.status(409).json({
+          success: false,
+          message: `Device limit reached: the ${user.role} role allows ${maxDevices} device(s). De-register another device first.`,
+        });
+      }
+
+      res.json({
+        success: true,
+        message: "Device approved",
+        data: approved,
+      });
+    } catch (error) {
+      console.error("Approve device error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Server error while approving device",
+      });
+    }
+  }
+);
+
+// @route   PATCH /api/devices/:id/reject
+// @desc    Reject a pending device
+// @access  Private (device:manage)
+router.patch(
+  "/:id/reject",
+  requirePermission("device:manage"),
+  [body("note").optional().trim()],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const device = await Device.findOneAndUpdate(
+        { _id: req.params.id, status: "pending" },
+        {
+          status: "rejected",
+          reviewedBy: req.user._id,
+          reviewedAt: new Date(),
+          reviewNote: req.body.note,
+        },
+        { new: true }
+      );
+
+      if (!device) {
+        return res.status(404).json({
+          success: false,
+          message: "Pending device not found",
+        });
+      }
+
+      res.json({
+        success: true,
+        message: "Device rejected",
+        data: device,
+      });
+    } catch (error) {
+      console.error("Reject device error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Server error while rejecting device",
+      });
+    }
+  }
+);
+
+// @route   DELETE /api/devices/:id
+// @desc    De-register a device (e.g. a lost phone) and end its sessions
+// @access  Private (device:manage)
+router.delete("/:id", requirePermission("device:manage"), async (req, res) => {
+  try {
+    const device = await Device.findById(req.params.id);
+    if (!device) {
+      return res.status(404).json({
+        success: false,
+        message: "Device not found",
+      });
+    }
+
+    device.status = "revoked";
+    device.reviewedBy = req.user._id;
+    device.reviewedAt = new Date();
+    device.reviewNote = req.body?.note || "de-registered";
+    await device.save();
+
+    const revokedSessions = await revokeDeviceSessions(
+      device.user,
+      device.deviceId,
+      "device-deregistered"
+    );
+
+    res.json({
+      success: true,
+      message: "Device de-registered",
+      data: { device, revokedSessions },
+    });
+  } catch (error) {
+    console.error("De-register device error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while de-registering device",
+    });
+  }
+});
+
+module.exports = router;
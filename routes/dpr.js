@@ -2,6 +2,18 @@ const express = require("express");
 const router = express.Router();
 const Material = require("../models/Material");
 const Attendance = require("../models/Attendance");
+const MaterialItem = require("../models/MaterialItem");
+const { conversionFactor, fromBase } = require("../services/units");
+const { periodSummary } = require("../services/stockLedger");
+const {
+  unitCost,
+  entryValue,
+  consumptionValue,
+  closingStockAsOf,
+} = require("../services/valuation");
+const { normaliseUnit } = require("../config/units");
+const { requirePermission } = require("../middleware/auth");
+const projectScope = require("../middleware/projectScope");
 
 function getMonthRange(year, month) {
   const start = new Date(year, month - 1, 1);
@@ -10,10 +22,15 @@ function getMonthRange(year, month) {
 }
 
 // 1. Material DPR Report API
-router.get("/material-report/:projectId", async (req, res) => {
+// ?unit= reports quantities in that unit for every item it applies to; other
+// items stay in their base unit. Values are at cost: each lot's amount over
+// its quantity, carried to every issue drawn from it.
+router.get("/material-report/:projectId", requirePermission("dpr:view"), projectScope, async (req, res) => {
   try {
     const { projectId } = req.params;
-    const { month, year } = req.query;
+    if (!req.hasProjectAccess(projectId))
+      return res.status(403).json({ msg: "No access to this project" });
+    const { month, year, unit } = req.query;
     if (!month || !year)
       return res.status(400).json({ msg: "Month and year required" });
 
@@ -23,38 +40,128 @@ router.get("/material-report/:projectId", async (req, res) => {
       projectAssigned: projectId,
     }).lean();
 
+    const items = await MaterialItem.find({
+      code: { $in: [...new Set(materials.map((m) => m.matCode))] },
+    }).lean();
+    const itemsByCode = new Map(items.map((i) => [i.code, i]));
+
     const report = materials.map((mat) => {
+      const item = itemsByCode.get(mat.matCode) || { baseUnit: mat.unit || "nos" };
+      const reportUnit =
+        unit && conversionFactor(item, unit) !== null ? normaliseUnit(unit) : item.baseUnit;
+      const inUnit = (quantity) => fromBase(item, quantity || 0, reportUnit);
+
+      const inMonth = (date) => date >= start && date <= end;
+      const cost = unitCost(mat);
+      const valueOf = (entry) => entryValue(mat, entry);
+
       const additions = [{
         date: mat.date.toISOString().split("T")[0],
-        quantity: mat.quantity,
+        quantity: inUnit(mat.quantity),
         addedBy: mat.addedBy,
-        withinMonth: mat.date >= start && mat.date <= end,
+        source: mat.transfer ? "transfer" : "purchase",
+        withinMonth: inMonth(mat.date),
       }];
 
-      const consumptions = (mat.usageHistory || []).map((c) => ({
+      // Stock sent to other sites is reported apart from consumption
+      const usage = mat.usageHistory || [];
+      const consumed = usage.filter((c) => c.type !== "transfer");
+      const transferred = usage.filter((c) => c.type === "transfer");
+
+      const consumptions = consumed.map((c) => ({
         date: c.date.toISOString().split("T")[0],
-        quantity: c.quantity,
+        quantity: inUnit(c.quantity),
         consumedBy: c.takenBy || "N/A",
-        withinMonth: c.date >= start && c.date <= end,
+        value: valueOf(c),
+        withinMonth: inMonth(c.date),
+      }));
+      const transfersOut = transferred.map((c) => ({
+        date: c.date.toISOString().split("T")[0],
+        quantity: inUnit(c.quantity),
+        transfer: c.transfer,
+        value: valueOf(c),
+        withinMonth: inMonth(c.date),
       }));
 
-      const monthlyAdded = mat.date >= start && mat.date <= end ? mat.quantity : 0;
-      const monthlyConsumed = consumptions
-        .filter((c) => c.withinMonth)
-        .reduce((sum, c) => sum + c.quantity, 0);
+      // Approved returns, wastage and count adjustments, each on its own
+      const adjusted = (type) => (mat.adjustments || []).filter((a) => a.type === type);
+      const movements = (type) =>
+        adjusted(type).map((a) => ({
+          date: a.date.toISOString().split("T")[0],
+          quantity: inUnit(a.quantity),
+          reasonCode: a.reasonCode,
+          adjustment: a.adjustment,
+          value: valueOf(a),
+          withinMonth: inMonth(a.date),
+        }));
+      const returns = movements("return");
+      const wastage = movements("wastage");
+      const adjustments = movements("adjustment");
+
+      const monthTotal = (entries) =>
+        entries.filter((c) => inMonth(c.date)).reduce((sum, c) => sum + c.quantity, 0);
+      // At cost; null when the lot was added without an amount
+      const monthValue = (entries) =>
+        cost === null
+          ? null
+          : Math.round(
+              entries
+                .filter((c) => inMonth(c.date))
+                .reduce((sum, c) => sum + valueOf(c), 0) * 100
+            ) / 100;
+      const monthlyAdded = inMonth(mat.date) ? mat.quantity : 0;
 
       return {
         matCode: mat.matCode,
         matName: mat.name,
-        remaining: mat.availableQuantity || 0,
+        unit: reportUnit,
+        remaining: inUnit(mat.availableQuantity),
+        unitCost: cost,
+        remainingValue:
+          cost === null ? null : Math.round((mat.availableQuantity || 0) * cost * 100) / 100,
         additions,
         consumptions,
-        monthlyAdded,
-        monthlyConsumed,
+        transfersOut,
+        returns,
+        wastage,
+        adjustments,
+        monthlyAdded: inUnit(monthlyAdded),
+        monthlyTransferredIn: inUnit(mat.transfer ? monthlyAdded : 0),
+        monthlyConsumed: inUnit(monthTotal(consumed)),
+        monthlyTransferredOut: inUnit(monthTotal(transferred)),
+        // Signed: wastage is negative
+        monthlyReturned: inUnit(monthTotal(adjusted("return"))),
+        monthlyWasted: inUnit(monthTotal(adjusted("wastage"))),
+        monthlyAdjusted: inUnit(monthTotal(adjusted("adjustment"))),
+        monthlyConsumedValue: monthValue(consumed),
+        monthlyReturnedValue: monthValue(adjusted("return")),
+        monthlyWastedValue: monthValue(adjusted("wastage")),
       };
     });
 
-    res.json({ materials: report });
+    // Opening/closing balances for the month from the stock ledger, in base
+    // units, with the value consumed (FIFO, net of returns) and of closing stock
+    const [balances, consumption, closing] = await Promise.all([
+      periodSummary({ projectId, from: start, to: end }),
+      consumptionValue({ projectIds: [projectId], from: start, to: end }),
+      closingStockAsOf({ projectIds: [projectId], asOf: end }),
+    ]);
+    const consumedByCode = new Map(consumption.totals.byItem.map((t) => [t.matCode, t]));
+    const closingByCode = new Map(closing.map((c) => [c.matCode, c]));
+    const summary = balances.map((row) => ({
+      ...row,
+      consumedValue: consumedByCode.get(row.matCode)?.consumedValue || 0,
+      wastedValue: consumedByCode.get(row.matCode)?.wastedValue || 0,
+      closingValue: closingByCode.get(row.matCode)?.value || 0,
+    }));
+    const valuation = {
+      consumedValue: consumption.totals.overall.consumedValue,
+      wastedValue: consumption.totals.overall.wastedValue,
+      closingValue:
+        Math.round(closing.reduce((sum, c) => sum + c.value, 0) * 100) / 100,
+    };
+
+    res.json({ materials: report, summary, valuation });
   } catch (err) {
     console.error(err);
     res.status(500).json({ msg: "Server Error" });
@@ -62,9 +169,11 @@ router.get("/material-report/:projectId", async (req, res) => {
 });
 
 // 2. Attendance and Salary DPR Report API
-router.get("/attendance-report/:projectId", async (req, res) => {
+router.get("/attendance-report/:projectId", requirePermission("dpr:view"), projectScope, async (req, res) => {
   try {
     const { projectId } = req.params;
+    if (!req.hasProjectAccess(projectId))
+      return res.status(403).json({ msg: "No access to this project" });
     const { month, year } = req.query;
     if (!month || !year)
       return res.status(400).json({ msg: "Month and year required" });
@@ -72,6 +181,7 @@ router.get("/attendance-report/:projectId", async (req, res) => {
     const { start, end } = getMonthRange(+year, +month);
 
     const attendances = await Attendance.find({
+      project: projectId,
       date: { $gte: start, $lte: end },
     })
       .populate("employeeId", "name salaryPerDay contact role assignedProjects")
@@ -81,9 +191,7 @@ router.get("/attendance-report/:projectId", async (req, res) => {
 
     attendances.forEach((a) => {
       const emp = a.employeeId;
-
-      // Filter by project
-     if (!emp || !Array.isArray(emp.assignedProjects) || !emp.assignedProjects.some(p => p.toString() === projectId)) return;
+      if (!emp) return;
 
       const eid = emp._id.toString();
       if (!empMap[eid]) {
@@ -110,11 +218,19 @@ router.get("/attendance-report/:projectId", async (req, res) => {
       else empMap[eid].absent++;
     });
 
+    // Wage figures are only visible to callers holding payroll:view on this
+    // project
+    const showPayroll = req.canInProject(projectId, "payroll:view");
     for (const eid in empMap) {
       const data = empMap[eid];
       const { salaryPerDay } = data.employee;
-      data.totalSalary =
-        (data.present + 0.5 * data.half) * (salaryPerDay || 0);
+      if (showPayroll) {
+        data.totalSalary =
+          (data.present + 0.5 * data.half) * (salaryPerDay || 0);
+      } else {
+        delete data.totalSalary;
+        delete data.employee.salaryPerDay;
+      }
     }
 
     res.json({ employees: Object.values(empMap) });
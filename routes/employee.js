@@ -2,10 +2,17 @@ const express = require("express");
 const router = express.Router();
 const Employee = require("../models/Employee");
 const Project = require("../models/Project");
-const { adminAuth } = require("../middleware/auth");
+const { requirePermission } = require("../middleware/auth");
+const projectScope = require("../middleware/projectScope");
+const { recordAudit } = require("../services/audit");
+const { archive } = require("../services/trash");
+
+// Daily wage is payroll data – hide it from callers without payroll:view
+const payrollProjection = (req) =>
+  req.can("payroll:view") ? "" : "-salaryPerDay";
 
 // ✅ Create new employee (with duplicate & project check)
-router.post("/", adminAuth, async (req, res) => {
+router.post("/", requirePermission("employee:manage"), projectScope, async (req, res) => {
   try {
     const {
       name,
@@ -32,6 +39,10 @@ router.post("/", adminAuth, async (req, res) => {
       return res.status(400).json({ message: "Employee with same name or phone already exists" });
     }
 
+    if (!assignedProjects.every((id) => req.hasProjectAccess(id))) {
+      return res.status(403).json({ message: "No access to one or more projects" });
+    }
+
     // Validate assigned project IDs
     if (assignedProjects?.length > 0) {
       const validProjects = await Project.find({ _id: { $in: assignedProjects } });
@@ -50,6 +61,7 @@ router.post("/", adminAuth, async (req, res) => {
     });
 
     await newEmployee.save();
+    await recordAudit(req, { action: "create", entityType: "Employee", after: newEmployee });
     res.status(201).json(newEmployee);
   } catch (error) {
     res.status(500).json({ message: "Server error", error });
@@ -57,9 +69,11 @@ router.post("/", adminAuth, async (req, res) => {
 });
 
 // ✅ Get all employees
-router.get("/", adminAuth, async (req, res) => {
+router.get("/", requirePermission("employee:view"), projectScope, async (req, res) => {
   try {
-    const employees = await Employee.find().populate("assignedProjects", "name");
+    const employees = await Employee.find(req.projectFilter("assignedProjects"))
+      .select(payrollProjection(req))
+      .populate("assignedProjects", "name");
     res.json(employees);
   } catch (error) {
     res.status(500).json({ message: "Server error", error });
@@ -67,13 +81,19 @@ router.get("/", adminAuth, async (req, res) => {
 });
 
 // ✅ Get employees by project ID
-router.get("/project/:projectId", adminAuth, async (req, res) => {
+router.get("/project/:projectId", requirePermission("employee:view"), projectScope, async (req, res) => {
   try {
     const { projectId } = req.params;
 
+    if (!req.hasProjectAccess(projectId)) {
+      return res.status(403).json({ message: "No access to this project" });
+    }
+
     const employees = await Employee.find({
       assignedProjects: projectId,
-    }).populate("assignedProjects", "name");
+    })
+      .select(payrollProjection(req))
+      .populate("assignedProjects", "name");
 
     res.json(employees);
   } catch (error) {
@@ -82,9 +102,14 @@ router.get("/project/:projectId", adminAuth, async (req, res) => {
 });
 
 // ✅ Get single employee by ID
-router.get("/:id", adminAuth, async (req, res) => {
+router.get("/:id", requirePermission("employee:view"), projectScope, async (req, res) => {
   try {
-    const employee = await Employee.findById(req.params.id).populate("assignedProjects", "name");
+    const employee = await Employee.findOne({
+      _id: req.params.id,
+      ...req.projectFilter("assignedProjects"),
+    })
+      .select(payrollProjection(req))
+      .populate("assignedProjects", "name");
 
     if (!employee) {
       return res.status(404).json({ message: "Employee not found" });
@@ -97,10 +122,14 @@ router.get("/:id", adminAuth, async (req, res) => {
 });
 
 // ✅ Update employee
-router.put("/:id", adminAuth, async (req, res) => {
+router.put("/:id", requirePermission("employee:manage"), projectScope, async (req, res) => {
   try {
     const { assignedProjects } = req.body;
 
+    if (assignedProjects && !assignedProjects.every((id) => req.hasProjectAccess(id))) {
+      return res.status(403).json({ message: "No access to one or more projects" });
+    }
+
     // Validate assigned projects if provided
     if (assignedProjects?.length > 0) {
       const validProjects = await Project.find({ _id: { $in: assignedProjects } });
@@ -109,11 +138,14 @@ router.put("/:id", adminAuth, async (req, res) => {
       }
     }
 
-    const updated = await Employee.findByIdAndUpdate(req.params.id, req.body, { new: true });
+    const filter = { _id: req.params.id, ...req.projectFilter("assignedProjects") };
+    const before = await Employee.findOne(filter).lean();
+    const updated = await Employee.findOneAndUpdate(filter, req.body, { new: true });
 
     if (!updated) {
       return res.status(404).json({ message: "Employee not found" });
     }
+    await recordAudit(req, { action: "update", entityType: "Employee", before, after: updated });
 
     res.json(updated);
   } catch (error) {
@@ -122,15 +154,21 @@ router.put("/:id", adminAuth, async (req, res) => {
 });
 
 // ✅ Hard delete employee
-router.delete("/:id", adminAuth, async (req, res) => {
+router.delete("/:id", requirePermission("employee:manage"), projectScope, async (req, res) => {
   try {
-    const deleted = await Employee.findByIdAndDelete(req.params.id);
+    const employee = await Employee.findOne({
+      _id: req.params.id,
+      ...req.projectFilter("assignedProjects"),
+    });
 
-    if (!deleted) {
+    if (!employee) {
       return res.status(404).json({ message: "Employee not found" });
     }
+    const before = employee.toObject();
+    await archive(employee, req.user._id);
+    await recordAudit(req, { action: "delete", entityType: "Employee", before });
 
-    res.json({ message: "Employee permanently deleted" });
+    res.json({ message: "Employee moved to trash" });
   } catch (error) {
     res.status(500).json({ message: "Server error", error });
   }
@@ -0,0 +1,191 @@
+const express = require("express");
+const { body, validationResult } = require("express-validator");
+const LoginEvent = require("../models/LoginEvent");
+const { requirePermission } = require("../middleware/auth");
+const projectScope = require("../middleware/projectScope");
+
+const router = express.Router();
+
+// @route   GET /api/login-events
+// @desc    List login events, filterable by user, project, status, flag,
+//          device and date range
+// @access  Private (security:review)
+router.get(
+  "/",
+  requirePermission("security:review"),
+  projectScope,
+  async (req, res) => {
+    try {
+      const {
+        page = 1,
+        limit = 20,
+        userId,
+        projectId,
+        status,
+        flagged,
+        deviceId,
+        from,
+        to,
+      } = req.query;
+
+      if (projectId && !req.hasProjectAccess(projectId)) {
+        return res.status(403).json({
+          success: false,
+          message: "Access denied",
+        });
+      }
+
+      const filter = projectId
+        ? { projects: projectId }
+        : req.projectFilter("projects");
+      if (userId) filter.user = userId;
+      if (status) filter.status = status;
+      if (flagged !== undefined) filter.flagged = flagged === "true";
+      if (deviceId) filter.deviceId = deviceId;
+      if (from || to) {
+        filter.createdAt = {};
+        if (from) filter.createdAt.$gte = new Date(from);
+        if (to) filter.createdAt.$lte = new Date(to);
+      }
+
+      const pageNumber = parseInt(page, 10);
+      const limitNumber = parseInt(limit, 10);
+
+      const events = await LoginEvent.find(filter)
+        .populate("user", "username phone role")
+        .populate("flaggedBy", "username")
+        .sort({ createdAt: -1 })
+        .limit(limitNumber)
+        .skip((pageNumber - 1) * limitNumber);
+
+      const total = await LoginEvent.countDocuments(filter);
+
+      res.json({
+        success: true,
+        data: {
+          events,
+          pagination: {
+            currentPage: pageNumber,
+            totalPages: Math.ceil(total / limitNumber),
+            totalEvents: total,
+            hasNext: pageNumber < Math.ceil(total / limitNumber),
+            hasPrev: pageNumber > 1,
+          },
+        },
+      });
+    } catch (error) {
+      console.error("Get login events error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Server error while fetching login events",
+      });
+    }
+  }
+);
+
+// @route   GET /api/login-events/:id
+// @desc    Get a single login event
+// @access  Private (security:review)
+router.get(
+  "/:id",
+  requirePermission("security:review"),
+  projectScope,
+  async (req, res) => {
+    try {
+      const event = await LoginEvent.findOne({
+        _id: req.params.id,
+        ...req.projectFilter("projects"),
+      })
+        .populate("user", "username phone role")
+        .populate("projects", "name")
+        .populate("flaggedBy", "username");
+
+      if (!event) {
+        return res.status(404).json({
+          success: false,
+          message: "Login event not found",
+        });
+      }
+
+      res.json({
+        success: true,
+        data: event,
+      });
+    } catch (error) {
+      console.error("Get login event error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Server error while fetching login event",
+      });
+    }
+  }
+);
+
+// @route   PATCH /api/login-events/:id/flag
+// @desc    Flag a login event as suspicious, or clear the flag
+// @access  Private (security:review)
+router.patch(
+  "/:id/flag",
+  requirePermission("security:review"),
+  projectScope,
+  [
+    body("flagged").isBoolean().withMessage("Flagged must be true or false"),
+    body("reason")
+      .if(body("flagged").equals("true"))
+      .trim()
+      .notEmpty()
+      .withMessage("A reason is required when flagging"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const flagged = req.body.flagged === true || req.body.flagged === "true";
+      const update = flagged
+        ? {
+            flagged: true,
+            flagReason: req.body.reason,
+            flaggedBy: req.user._id,
+            flaggedAt: new Date(),
+          }
+        : {
+            flagged: false,
+            $unset: { flagReason: 1, flaggedBy: 1, flaggedAt: 1 },
+          };
+
+      const event = await LoginEvent.findOneAndUpdate(
+        { _id: req.params.id, ...req.projectFilter("projects") },
+        update,
+        { new: true }
+      );
+
+      if (!event) {
+        return res.status(404).json({
+          success: false,
+          message: "Login event not found",
+        });
+      }
+
+      res.json({
+        success: true,
+        message: flagged ? "Login event flagged" : "Flag cleared",
+        data: event,
+      });
+    } catch (error) {
+      console.error("Flag login event error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Server error while flagging login event",
+      });
+    }
+  }
+);
+
+module.exports = router;
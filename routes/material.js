@@ -3,8 +3,25 @@ const router = express.Router();
 const Material = require("../models/Material");
 const multer = require("multer");
 const path = require("path");
-const { adminAuth } = require("../middleware/auth");
+const { requirePermission } = require("../middleware/auth");
+const projectScope = require("../middleware/projectScope");
+const idempotency = require("../middleware/idempotency");
 const Project = require("../models/Project");
+const MaterialItem = require("../models/MaterialItem");
+const IssueVoucher = require("../models/IssueVoucher");
+const { recordAudit } = require("../services/audit");
+const { archive } = require("../services/trash");
+const { checkBudgetAlerts } = require("../services/budget");
+const { toBase } = require("../services/units");
+const { normaliseUnit } = require("../config/units");
+const { issueMaterial } = require("../services/materialIssue");
+const { queueStockEvaluation } = require("../services/reorder");
+const {
+  receiptMovement,
+  balanceMovement,
+  recordMovements,
+} = require("../services/stockLedger");
+const { isOperational } = require("../config/projectStatus");
 
 // Setup multer for document upload
 const storage = multer.diskStorage({
@@ -18,21 +35,47 @@ const storage = multer.diskStorage({
 const upload = multer({ storage: storage });
 
 // Admin adds material
-router.post("/add", adminAuth, upload.single("document"), async (req, res) => {
+router.post("/add", requirePermission("material:add"), projectScope, upload.single("document"), async (req, res) => {
   try {
-    const { name, matCode, quantity, amount, addedBy, date, projectAssigned } =
+    const { matCode, quantity, unit, amount, addedBy, date, projectAssigned } =
       req.body;
 
+    if (!req.hasProjectAccess(projectAssigned)) {
+      return res.status(403).json({ error: "No access to this project" });
+    }
+
     const project = await Project.findById(projectAssigned);
     if (!project) {
       return res.status(400).json({ error: "Invalid project selected" });
     }
 
+    const item = await MaterialItem.findOne({ code: matCode });
+    if (!item) {
+      return res
+        .status(400)
+        .json({ error: `Unknown material code ${matCode}; add it to the catalogue first` });
+    }
+
+    // Stock is held in the item's base unit
+    const baseQuantity = toBase(item, quantity, unit);
+    if (baseQuantity === null) {
+      return res
+        .status(400)
+        .json({ error: `Unit ${unit} is not permitted for ${item.code}` });
+    }
+    if (!(baseQuantity > 0)) {
+      return res.status(400).json({ error: "Quantity must be a positive number" });
+    }
+
     const material = new Material({
-      name,
-      matCode,
-      quantity,
-      availableQuantity: quantity,
+      item: item._id,
+      name: item.name,
+      matCode: item.code,
+      quantity: baseQuantity,
+      availableQuantity: baseQuantity,
+      unit: item.baseUnit,
+      enteredQuantity: quantity,
+      enteredUnit: normaliseUnit(unit) || item.baseUnit,
       amount,
       document: req.file ? req.file.path : "",
       addedBy,
@@ -41,6 +84,10 @@ router.post("/add", adminAuth, upload.single("document"), async (req, res) => {
     });
 
     await material.save();
+    await recordMovements(receiptMovement(material, req.user._id));
+    await recordAudit(req, { action: "create", entityType: "Material", after: material });
+    await checkBudgetAlerts(project._id);
+    queueStockEvaluation(project._id, [item.code]);
     res.status(201).json(material);
   } catch (err) {
     res.status(500).json({ error: err.message });
@@ -48,79 +95,107 @@ router.post("/add", adminAuth, upload.single("document"), async (req, res) => {
 });
 
 // User takes material
-router.post("/take", async (req, res) => {
+router.post("/take", requirePermission("material:issue"), idempotency, projectScope, async (req, res) => {
   try {
-    const { matCode, quantity, takenBy, date } = req.body;
-    let qtyToTake = Number(quantity);
+    const { matCode, quantity, unit, takenBy, date, projectId } = req.body;
 
-    // Find all materials with this matCode ordered by oldest date first (FIFO)
-    const materials = await Material.find({
-      matCode,
-      availableQuantity: { $gt: 0 },
-    }).sort({ date: 1 });
+    // Stock is issued from the caller's own site only
+    if (!projectId) {
+      return res.status(400).json({ error: "Project is required" });
+    }
+    if (!req.hasProjectAccess(projectId)) {
+      return res.status(403).json({ error: "No access to this project" });
+    }
 
-    if (!materials.length) {
-      return res
-        .status(404)
-        .json({ error: "Material not found or out of stock" });
+    const item = await MaterialItem.findOne({ code: matCode });
+    if (!item) {
+      return res.status(404).json({ error: `Unknown material code ${matCode}` });
     }
 
-    // Calculate total available quantity across all documents
-    const totalAvailable = materials.reduce(
-      (acc, m) => acc + m.availableQuantity,
-      0
-    );
+    // Quantities are compared and deducted in the item's base unit
+    const qtyToTake = toBase(item, quantity, unit);
+    if (qtyToTake === null) {
+      return res
+        .status(400)
+        .json({ error: `Unit ${unit} is not permitted for ${item.code}` });
+    }
+    const enteredUnit = normaliseUnit(unit) || item.baseUnit;
+    if (!(qtyToTake > 0)) {
+      return res.status(400).json({ error: "Quantity must be a positive number" });
+    }
 
-    if (totalAvailable < qtyToTake) {
-      return res.status(400).json({ error: "Not enough material available" });
+    // Material can only be issued on active projects
+    const project = await Project.findById(projectId).select("status");
+    if (!project) {
+      return res.status(400).json({ error: "Invalid project selected" });
+    }
+    if (!isOperational(project.status)) {
+      return res
+        .status(409)
+        .json({ error: `Project is ${project.status}; material cannot be issued` });
     }
 
-    // Deduct quantity from multiple documents in FIFO manner
-    for (const material of materials) {
-      if (qtyToTake <= 0) break;
-
-      if (material.availableQuantity >= qtyToTake) {
-        // Deduct remaining qtyToTake from this document
-        material.availableQuantity -= qtyToTake;
-        material.usageHistory.push({
-          takenBy,
-          quantity: qtyToTake,
-          date: date ? new Date(date) : new Date(),
-        });
-        await material.save();
-        qtyToTake = 0;
-      } else {
-        // Deduct all availableQuantity from this document and continue
-        qtyToTake -= material.availableQuantity;
-        material.usageHistory.push({
-          takenBy,
-          quantity: material.availableQuantity,
-          date: date ? new Date(date) : new Date(),
-        });
-        material.availableQuantity = 0;
-        await material.save();
-      }
+    // Deduct from the oldest lots first (FIFO), atomically
+    const { voucher, lines } = await issueMaterial({
+      item,
+      filter: { projectAssigned: project._id },
+      quantity: qtyToTake,
+      enteredUnit,
+      takenBy,
+      date,
+      issuedBy: req.user._id,
+      idempotencyKey: req.get("Idempotency-Key"),
+    });
+
+    for (const line of lines) {
+      await recordAudit(req, {
+        action: "update",
+        entityType: "Material",
+        before: line.before,
+        after: line.after,
+        summary: `Issued ${line.quantity} ${item.baseUnit} on ${voucher.voucherNo}`,
+      });
     }
 
-    res.status(200).json({ message: "Material taken successfully" });
+    queueStockEvaluation(project._id, [item.code]);
+
+    res.status(200).json({ message: "Material taken successfully", voucher });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Issue voucher by number, for reprints
+router.get("/vouchers/:voucherNo", requirePermission("material:view"), projectScope, async (req, res) => {
+  try {
+    const voucher = await IssueVoucher.findOne({ voucherNo: req.params.voucherNo });
+    if (!voucher) {
+      return res.status(404).json({ error: "Voucher not found" });
+    }
+    if (!voucher.projects.some((id) => req.hasProjectAccess(id))) {
+      return res.status(403).json({ error: "No access to this voucher" });
+    }
+    res.status(200).json(voucher);
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
 // Get materials (with optional matCode filter)
-router.get("/", async (req, res) => {
+router.get("/", requirePermission("material:view"), projectScope, async (req, res) => {
   try {
-    const materials = await Material.find({});
+    const materials = await Material.find(req.projectFilter());
     res.status(200).json(materials);
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
-router.get("/total-availability", adminAuth, async (req, res) => {
+router.get("/total-availability", requirePermission("material:view"), projectScope, async (req, res) => {
   try {
     const totals = await Material.aggregate([
+      { $match: req.projectFilter() },
       {
         $group: {
           _id: "$matCode",
@@ -135,16 +210,29 @@ router.get("/total-availability", adminAuth, async (req, res) => {
   }
 });
 
-router.get("/total-consumed", adminAuth, async (req, res) => {
+router.get("/total-consumed", requirePermission("material:view"), projectScope, async (req, res) => {
   try {
+    const sumOf = (field, cond) => ({
+      $sum: {
+        $map: {
+          input: { $filter: { input: { $ifNull: [field, []] }, cond } },
+          in: "$$this.quantity",
+        },
+      },
+    });
     const totals = await Material.aggregate([
-      { $unwind: "$usageHistory" },
+      { $match: req.projectFilter() },
+      // Stock sent to other sites is not consumption, and approved returns
+      // to stock come off it (as in the valuation report)
       {
         $group: {
           _id: "$matCode",
-          totalConsumed: { $sum: "$usageHistory.quantity" },
+          issued: { $sum: sumOf("$usageHistory", { $ne: ["$$this.type", "transfer"] }) },
+          returned: { $sum: sumOf("$adjustments", { $eq: ["$$this.type", "return"] }) },
         },
       },
+      { $match: { issued: { $gt: 0 } } },
+      { $project: { totalConsumed: { $subtract: ["$issued", "$returned"] } } },
     ]);
 
     res.status(200).json(totals);
@@ -153,7 +241,7 @@ router.get("/total-consumed", adminAuth, async (req, res) => {
   }
 });
 
-router.put("/status/:matCode", adminAuth, async (req, res) => {
+router.put("/status/:matCode", requirePermission("material:manage"), projectScope, async (req, res) => {
   try {
     const { status } = req.body;
     const { matCode } = req.params;
@@ -162,8 +250,11 @@ router.put("/status/:matCode", adminAuth, async (req, res) => {
       return res.status(400).json({ error: "Invalid status value" });
     }
 
+    const filter = { matCode: matCode, ...req.projectFilter() };
+    const before = await Material.find(filter).lean();
+
     const result = await Material.updateMany(
-      { matCode: matCode },
+      filter,
       {
         $set: {
           status: status,
@@ -179,6 +270,34 @@ router.put("/status/:matCode", adminAuth, async (req, res) => {
         .json({ error: "No materials found with this matCode" });
     }
 
+    // Zeroed stock is written off in the ledger
+    if (status === "out of stock") {
+      const stamp = Date.now();
+      await recordMovements(
+        before.map((lot) =>
+          balanceMovement(lot, {
+            key: `out-of-stock:${stamp}`,
+            quantity: -(lot.availableQuantity || 0),
+            remarks: "Marked out of stock",
+            userId: req.user._id,
+          })
+        )
+      );
+    }
+
+    const after = await Material.find({ _id: { $in: before.map((m) => m._id) } });
+    for (const projectId of new Set(before.map((m) => String(m.projectAssigned)))) {
+      queueStockEvaluation(projectId, [matCode]);
+    }
+    for (const material of after) {
+      await recordAudit(req, {
+        action: "update",
+        entityType: "Material",
+        before: before.find((m) => m._id.equals(material._id)),
+        after: material,
+      });
+    }
+
     res
       .status(200)
       .json({
@@ -191,9 +310,11 @@ router.put("/status/:matCode", adminAuth, async (req, res) => {
 });
 
 // Get full material documents grouped by matCode
-router.get("/all-details-grouped", async (req, res) => {
+router.get("/all-details-grouped", requirePermission("material:view"), projectScope, async (req, res) => {
   try {
-    const materials = await Material.find({}).populate("projectAssigned");
+    const materials = await Material.find(req.projectFilter()).populate(
+      "projectAssigned"
+    );
 
     // Group materials by matCode
     const grouped = materials.reduce((acc, mat) => {
@@ -216,27 +337,39 @@ router.get("/all-details-grouped", async (req, res) => {
   }
 });
 
-router.delete("/:id", adminAuth, async (req, res) => {
+router.delete("/:id", requirePermission("material:manage"), projectScope, async (req, res) => {
   try {
     const { id } = req.params;
 
-    const deletedMaterial = await Material.findByIdAndDelete(id);
-    if (!deletedMaterial) {
+    const material = await Material.findOne({
+      _id: id,
+      ...req.projectFilter(),
+    });
+    if (!material) {
       return res.status(404).json({ error: "Material document not found" });
     }
+    const before = material.toObject();
+    await archive(material, req.user._id);
+    await recordAudit(req, { action: "delete", entityType: "Material", before });
 
-    res.status(200).json({ message: "Material document deleted successfully" });
+    res.status(200).json({ message: "Material document moved to trash" });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
-router.delete("/by-code/:matCode", adminAuth, async (req, res) => {
+router.delete("/by-code/:matCode", requirePermission("material:manage"), projectScope, async (req, res) => {
   try {
     const { matCode } = req.params;
 
-    const result = await Material.deleteMany({ matCode });
+    const filter = { matCode, ...req.projectFilter() };
+    const materials = await Material.find(filter);
+    for (const material of materials) {
+      const before = material.toObject();
+      await archive(material, req.user._id);
+      await recordAudit(req, { action: "delete", entityType: "Material", before });
+    }
 
-    if (result.deletedCount === 0) {
+    if (materials.length === 0) {
       return res
         .status(404)
         .json({ message: `No materials found with matCode: ${matCode}` });
@@ -245,7 +378,7 @@ router.delete("/by-code/:matCode", adminAuth, async (req, res) => {
     res
       .status(200)
       .json({
-        message: `Deleted ${result.deletedCount} material(s) with matCode: ${matCode}`,
+        message: `Moved ${materials.length} material(s) with matCode: ${matCode} to trash`,
       });
   } catch (err) {
     res.status(500).json({ error: err.message });
@@ -0,0 +1,418 @@
+const express = require("express");
+const { body, validationResult } = require("express-validator");
+const MaterialItem = require("../models/MaterialItem");
+const Material = require("../models/Material");
+const { requirePermission } = require("../middleware/auth");
+const { recordAudit } = require("../services/audit");
+const { archive } = require("../services/trash");
+const { permittedUnits } = require("../services/units");
+const { UNITS, normaliseUnit } = require("../config/units");
+
+const router = express.Router();
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+const itemValidators = (isUpdate) => {
+  const field = (name) => (isUpdate ? body(name).optional() : body(name));
+  return [
+    field("code").trim().notEmpty().withMessage("Code is required"),
+    field("name").trim().notEmpty().withMessage("Name is required"),
+    body("category").optional().trim(),
+    body("baseUnit")
+      .optional()
+      .trim()
+      .notEmpty()
+      .withMessage("Base unit cannot be empty"),
+    body("hsnCode")
+      .optional({ values: "falsy" })
+      .matches(/^\d{4,8}$/)
+      .withMessage("HSN code must be 4 to 8 digits"),
+    body("reorderLevel")
+      .optional()
+      .isFloat({ min: 0 })
+      .withMessage("Reorder level must be a non-negative number"),
+    body("specs")
+      .optional()
+      .isObject()
+      .withMessage("Specs must be an object of name/value pairs"),
+    body("conversions")
+      .optional()
+      .isArray()
+      .withMessage("Conversions must be an array"),
+    body("conversions.*.unit")
+      .trim()
+      .notEmpty()
+      .withMessage("Conversion unit is required"),
+    body("conversions.*.factor")
+      .isFloat({ gt: 0 })
+      .withMessage("Conversion factor must be a positive number"),
+  ];
+};
+
+const ITEM_FIELDS = [
+  "code",
+  "name",
+  "category",
+  "baseUnit",
+  "hsnCode",
+  "reorderLevel",
+  "specs",
+  "conversions",
+];
+
+// Conversions may not redefine the base unit or repeat a unit
+const conversionError = (baseUnit, conversions = []) => {
+  const units = conversions.map((c) => normaliseUnit(c.unit));
+  if (units.includes(normaliseUnit(baseUnit))) {
+    return "A conversion cannot be defined for the base unit";
+  }
+  if (new Set(units).size !== units.length) {
+    return "Each conversion unit may appear only once";
+  }
+  return null;
+};
+
+// @route   GET /api/material-items
+// @desc    Search the material catalogue (?q= matches code, name or HSN code;
+//          ?category=, ?conflicts=true for items needing review)
+// @access  Private (material:view)
+router.get("/", requirePermission("material:view"), async (req, res) => {
+  try {
+    const { page = 1, limit = 50, q, category, conflicts } = req.query;
+
+    const filter = {};
+    if (q) {
+      const pattern = { $regex: escapeRegex(q), $options: "i" };
+      filter.$or = [{ code: pattern }, { name: pattern }, { hsnCode: pattern }];
+    }
+    if (category) filter.category = category;
+    if (conflicts === "true") filter["conflictingNames.0"] = { $exists: true };
+
+    const pageNumber = parseInt(page, 10);
+    const limitNumber = parseInt(limit, 10);
+
+    const items = await MaterialItem.find(filter)
+      .sort({ code: 1 })
+      .limit(limitNumber)
+      .skip((pageNumber - 1) * limitNumber);
+
+    const total = await MaterialItem.countDocuments(filter);
+
+    res.json({
+      success: true,
+      data: {
+        items,
+        pagination: {
+          currentPage: pageNumber,
+          totalPages: Math.ceil(total / limitNumber),
+          totalItems: total,
+          hasNext: pageNumber < Math.ceil(total / limitNumber),
+          hasPrev: pageNumber > 1,
+        },
+      },
+    });
+  } catch (error) {
+    console.error("Get material items error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while fetching material catalogue",
+    });
+  }
+});
+
+// @route   GET /api/material-items/categories
+// @desc    Distinct categories in use, for filters and pickers
+// @access  Private (material:view)
+router.get("/categories", requirePermission("material:view"), async (req, res) => {
+  try {
+    const categories = await MaterialItem.distinct("category", {
+      category: { $nin: [null, ""] },
+    });
+
+    res.json({
+      success: true,
+      data: categories.sort(),
+    });
+  } catch (error) {
+    console.error("Get material categories error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while fetching categories",
+    });
+  }
+});
+
+// @route   GET /api/material-items/units
+// @desc    Standard units of measure and their dimensions
+// @access  Private (material:view)
+router.get("/units", requirePermission("material:view"), (req, res) => {
+  res.json({
+    success: true,
+    data: Object.entries(UNITS).map(([unit, { dimension, factor }]) => ({
+      unit,
+      dimension,
+      factor,
+    })),
+  });
+});
+
+// @route   GET /api/material-items/:id/units
+// @desc    Units a quantity of the item may be entered or reported in, with
+//          the number of base units in one of each
+// @access  Private (material:view)
+router.get("/:id/units", requirePermission("material:view"), async (req, res) => {
+  try {
+    const item = await MaterialItem.findById(req.params.id);
+
+    if (!item) {
+      return res.status(404).json({
+        success: false,
+        message: "Material item not found",
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        baseUnit: item.baseUnit,
+        units: permittedUnits(item),
+      },
+    });
+  } catch (error) {
+    console.error("Get material item units error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while fetching units",
+    });
+  }
+});
+
+// @route   GET /api/material-items/:id
+// @desc    Get a catalogue item
+// @access  Private (material:view)
+router.get("/:id", requirePermission("material:view"), async (req, res) => {
+  try {
+    const item = await MaterialItem.findById(req.params.id);
+
+    if (!item) {
+      return res.status(404).json({
+        success: false,
+        message: "Material item not found",
+      });
+    }
+
+    res.json({
+      success: true,
+      data: item,
+    });
+  } catch (error) {
+    console.error("Get material item error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while fetching material item",
+    });
+  }
+});
+
+// @route   POST /api/material-items
+// @desc    Add an item to the catalogue
+// @access  Private (material:manage)
+router.post(
+  "/",
+  requirePermission("material:manage"),
+  itemValidators(false),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const existing = await MaterialItem.findOne({ code: req.body.code }).setOptions({
+        withDeleted: true,
+      });
+      if (existing) {
+        return res.status(400).json({
+          success: false,
+          message: existing.deletedAt
+            ? "This code belongs to an item in the trash; restore it instead"
+            : "An item with this code already exists",
+        });
+      }
+
+      const data = {};
+      ITEM_FIELDS.forEach((key) => {
+        if (req.body[key] !== undefined) data[key] = req.body[key];
+      });
+
+      const unitError = conversionError(data.baseUnit || "nos", data.conversions);
+      if (unitError) {
+        return res.status(400).json({
+          success: false,
+          message: unitError,
+        });
+      }
+
+      const item = await MaterialItem.create(data);
+      await recordAudit(req, { action: "create", entityType: "MaterialItem", after: item });
+
+      res.status(201).json({
+        success: true,
+        message: "Material item created successfully",
+        data: item,
+      });
+    } catch (error) {
+      console.error("Create material item error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Server error while creating material item",
+      });
+    }
+  }
+);
+
+// @route   PUT /api/material-items/:id
+// @desc    Update a catalogue item. Renaming clears migration conflicts and
+//          the new name is copied onto the item's stock lots.
+// @access  Private (material:manage)
+router.put(
+  "/:id",
+  requirePermission("material:manage"),
+  itemValidators(true),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const item = await MaterialItem.findById(req.params.id);
+      if (!item) {
+        return res.status(404).json({
+          success: false,
+          message: "Material item not found",
+        });
+      }
+
+      // Lots are matched by code and held in the base unit, so neither can
+      // change once stock exists
+      const codeChanged = req.body.code !== undefined && req.body.code !== item.code;
+      const unitChanged =
+        req.body.baseUnit !== undefined &&
+        normaliseUnit(req.body.baseUnit) !== item.baseUnit;
+      if (codeChanged || unitChanged) {
+        const hasLots = await Material.exists({
+          $or: [{ item: item._id }, { matCode: item.code }],
+        });
+        if (hasLots) {
+          return res.status(400).json({
+            success: false,
+            message: "The code and base unit of an item with stock lots cannot be changed",
+          });
+        }
+      }
+      if (codeChanged) {
+        const taken = await MaterialItem.exists({ code: req.body.code }).setOptions({
+          withDeleted: true,
+        });
+        if (taken) {
+          return res.status(400).json({
+            success: false,
+            message: "An item with this code already exists",
+          });
+        }
+      }
+
+      const unitError = conversionError(
+        req.body.baseUnit ?? item.baseUnit,
+        req.body.conversions ?? item.conversions
+      );
+      if (unitError) {
+        return res.status(400).json({
+          success: false,
+          message: unitError,
+        });
+      }
+
+      const before = item.toObject();
+      ITEM_FIELDS.forEach((key) => {
+        if (req.body[key] !== undefined) item[key] = req.body[key];
+      });
+      if (req.body.name !== undefined) item.conflictingNames = [];
+      await item.save();
+
+      if (item.name !== before.name) {
+        await Material.updateMany({ item: item._id }, { name: item.name });
+      }
+      await recordAudit(req, {
+        action: "update",
+        entityType: "MaterialItem",
+        before,
+        after: item,
+      });
+
+      res.json({
+        success: true,
+        message: "Material item updated successfully",
+        data: item,
+      });
+    } catch (error) {
+      console.error("Update material item error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Server error while updating material item",
+      });
+    }
+  }
+);
+
+// @route   DELETE /api/material-items/:id
+// @desc    Move a catalogue item to the trash; refused while it has stock
+// @access  Private (material:manage)
+router.delete("/:id", requirePermission("material:manage"), async (req, res) => {
+  try {
+    const item = await MaterialItem.findById(req.params.id);
+    if (!item) {
+      return res.status(404).json({
+        success: false,
+        message: "Material item not found",
+      });
+    }
+
+    const inStock = await Material.exists({
+      item: item._id,
+      availableQuantity: { $gt: 0 },
+    });
+    if (inStock) {
+      return res.status(409).json({
+        success: false,
+        message: "This item still has stock on hand",
+      });
+    }
+
+    const before = item.toObject();
+    await archive(item, req.user._id);
+    await recordAudit(req, { action: "delete", entityType: "MaterialItem", before });
+
+    res.json({
+      success: true,
+      message: "Material item moved to trash",
+    });
+  } catch (error) {
+    console.error("Delete material item error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while deleting material item",
+    });
+  }
+});
+
+module.exports = router;
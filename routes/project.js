@@ -1,7 +1,27 @@
 const express = require("express");
-const { body, validationResult } = require("express-validator");
+const { body, query, validationResult } = require("express-validator");
 const Project = require("../models/Project");
-const { auth } = require("../middleware/auth");
+const Issue = require("../models/Issue");
+const { requirePermission } = require("../middleware/auth");
+const projectScope = require("../middleware/projectScope");
+const { recordAudit } = require("../services/audit");
+const { archive } = require("../services/trash");
+const ProjectTemplate = require("../models/ProjectTemplate");
+const {
+  TEMPLATE_PARTS,
+  createFromTemplate,
+} = require("../services/projectTemplates");
+const { getProjectDashboard } = require("../services/projectDashboard");
+const {
+  PROJECT_STATUSES,
+  allowedTransitions,
+  canTransition,
+} = require("../config/projectStatus");
+const {
+  canViewProject,
+  findViewableProject,
+  findScopedProject,
+} = require("../services/projectAccess");
 
 const router = express.Router();
 
@@ -10,7 +30,7 @@ const router = express.Router();
 // @access  Private
 router.post(
   "/",
-  auth,
+  requirePermission("project:manage"),
   [
     body("name")
       .trim()
@@ -59,6 +79,7 @@ router.post(
       });
 
       await project.save();
+      await recordAudit(req, { action: "create", entityType: "Project", after: project });
       await project.populate("createdBy", "username");
 
       res.status(201).json({
@@ -76,10 +97,122 @@ router.post(
   }
 );
 
+// Permission needed, beyond project:manage, to copy each template part
+const TEMPLATE_PART_PERMISSIONS = {
+  budget: "budget:manage",
+  assignments: "user:manage",
+  crew: "employee:manage",
+};
+
+// @route   POST /api/projects/from-template/:templateId
+// @desc    Create a project from a template. `copy` picks the parts to copy
+//          (tasks, budget, materials, assignments, crew); by default every
+//          part the caller is allowed to set up is copied.
+// @access  Private
+router.post(
+  "/from-template/:templateId",
+  requirePermission("project:manage"),
+  [
+    body("name")
+      .trim()
+      .isLength({ min: 1 })
+      .withMessage("Project name is required"),
+    body("description")
+      .optional()
+      .trim()
+      .isLength({ max: 500 })
+      .withMessage("Description must be less than 500 characters"),
+    body("date")
+      .optional()
+      .isISO8601()
+      .withMessage("Date must be valid ISO date"),
+    body("copy").optional().isArray().withMessage("Copy must be an array"),
+    body("copy.*")
+      .isIn(TEMPLATE_PARTS)
+      .withMessage(`Copy options are: ${TEMPLATE_PARTS.join(", ")}`),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const template = await ProjectTemplate.findById(req.params.templateId);
+      if (!template) {
+        return res.status(404).json({
+          success: false,
+          message: "Template not found",
+        });
+      }
+
+      const allowed = (part) =>
+        !TEMPLATE_PART_PERMISSIONS[part] ||
+        req.can(TEMPLATE_PART_PERMISSIONS[part]);
+      let copy = TEMPLATE_PARTS.filter(allowed);
+      if (req.body.copy) {
+        const denied = req.body.copy.filter((part) => !allowed(part));
+        if (denied.length) {
+          return res.status(403).json({
+            success: false,
+            message: `Access denied. Missing permission to copy: ${denied.join(", ")}`,
+          });
+        }
+        copy = [...new Set(req.body.copy)];
+      }
+
+      const { name, description, date } = req.body;
+      const existingProject = await Project.findOne({
+        name: name.trim(),
+        isActive: true,
+        createdBy: req.user._id,
+      });
+
+      if (existingProject) {
+        return res.status(400).json({
+          success: false,
+          message: "A project with this name already exists.",
+        });
+      }
+
+      const { project, copied } = await createFromTemplate(template, {
+        name,
+        description,
+        date,
+        copy,
+        user: req.user,
+      });
+      await recordAudit(req, {
+        action: "create",
+        entityType: "Project",
+        after: project,
+        summary: `Created from template "${template.name}"`,
+      });
+      await project.populate("createdBy", "username");
+
+      res.status(201).json({
+        success: true,
+        message: "Project created from template successfully",
+        data: { project, copied },
+      });
+    } catch (error) {
+      console.error("Create project from template error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Server error during project creation",
+      });
+    }
+  }
+);
+
 // @route   GET /api/projects
 // @desc    Get all projects (with pagination and filters)
 // @access  Private
-router.get("/", auth, async (req, res) => {
+router.get("/", requirePermission("project:view"), async (req, res) => {
   try {
     const {
       page = 1,
@@ -103,9 +236,18 @@ router.get("/", auth, async (req, res) => {
       ];
     }
 
-    // For regular users, only show their projects
+    // For regular users, only show projects they created or are assigned to
     if (req.user.role !== "admin") {
-      filter.createdBy = req.user._id;
+      const ownership = [
+        { createdBy: req.user._id },
+        { _id: { $in: req.user.getProjectIds() } },
+      ];
+      if (filter.$or) {
+        filter.$and = [{ $or: filter.$or }, { $or: ownership }];
+        delete filter.$or;
+      } else {
+        filter.$or = ownership;
+      }
     }
 
     const sortOptions = {};
@@ -147,7 +289,7 @@ router.get("/", auth, async (req, res) => {
 // @route   GET /api/projects/:id
 // @desc    Get single project
 // @access  Private
-router.get("/:id", auth, async (req, res) => {
+router.get("/:id", requirePermission("project:view"), async (req, res) => {
   try {
     const project = await Project.findById(req.params.id).populate(
       "createdBy",
@@ -162,10 +304,7 @@ router.get("/:id", auth, async (req, res) => {
     }
 
     // Check if user can access this project
-    if (
-      req.user.role !== "admin" &&
-      project.createdBy._id.toString() !== req.user._id.toString()
-    ) {
+    if (!canViewProject(req.user, project)) {
       return res.status(403).json({
         success: false,
         message: "Access denied",
@@ -190,7 +329,7 @@ router.get("/:id", auth, async (req, res) => {
 // @access  Private
 router.put(
   "/:id",
-  auth,
+  requirePermission("project:manage"),
   [
     body("name")
       .optional()
@@ -203,9 +342,9 @@ router.put(
       .isLength({ max: 500 })
       .withMessage("Description must be less than 500 characters"),
     body("status")
-      .optional()
-      .isIn(["active", "completed", "on-hold", "cancelled"])
-      .withMessage("Invalid status"),
+      .not()
+      .exists()
+      .withMessage("Use PATCH /api/projects/:id/status to change the status"),
   ],
   async (req, res) => {
     try {
@@ -238,7 +377,7 @@ router.put(
         });
       }
 
-      const allowedUpdates = ["name", "description", "status", "date"];
+      const allowedUpdates = ["name", "description", "date"];
       const updates = {};
 
       Object.keys(req.body).forEach((key) => {
@@ -252,6 +391,12 @@ router.put(
         updates,
         { new: true, runValidators: true }
       ).populate("createdBy", "username");
+      await recordAudit(req, {
+        action: "update",
+        entityType: "Project",
+        before: project,
+        after: updatedProject,
+      });
 
       res.json({
         success: true,
@@ -271,7 +416,7 @@ router.put(
 // @route   DELETE /api/projects/:id
 // @desc    Delete project (soft delete)
 // @access  Private
-router.delete("/:id", auth, async (req, res) => {
+router.delete("/:id", requirePermission("project:manage"), async (req, res) => {
   try {
     const project = await Project.findById(req.params.id);
 
@@ -293,11 +438,19 @@ router.delete("/:id", auth, async (req, res) => {
       });
     }
 
-    await Project.findByIdAndDelete(req.params.id);
+    const before = project.toObject();
+    const cascaded = await archive(project, req.user._id);
+    await recordAudit(req, {
+      action: "delete",
+      entityType: "Project",
+      before,
+      summary: "Archived with dependent records",
+    });
 
     res.json({
       success: true,
-      message: "Project deleted successfully",
+      message: "Project moved to trash",
+      data: { archived: cascaded },
     });
   } catch (error) {
     console.error("Delete project error:", error);
@@ -309,17 +462,23 @@ router.delete("/:id", auth, async (req, res) => {
 });
 
 // @route   PATCH /api/projects/:id/status
-// @desc    Change project status
+// @desc    Change project status along the allowed lifecycle; admins may
+//          force any other change with { override: true }
 // @access  Private
 router.patch(
   "/:id/status",
-  auth,
+  requirePermission("project:manage"),
   [
     body("status")
       .notEmpty()
       .withMessage("Status is required")
-      .isIn(["active", "completed", "on-hold", "cancelled"])
+      .isIn(PROJECT_STATUSES)
       .withMessage("Invalid status"),
+    body("reason").trim().notEmpty().withMessage("A reason is required"),
+    body("override")
+      .optional()
+      .isBoolean()
+      .withMessage("Override must be true or false"),
   ],
   async (req, res) => {
     try {
@@ -352,7 +511,8 @@ router.patch(
         });
       }
 
-      const { status } = req.body;
+      const { status, reason } = req.body;
+      const override = req.body.override === true || req.body.override === "true";
 
       // Check if status is actually changing
       if (project.status === status) {
@@ -362,8 +522,32 @@ router.patch(
         });
       }
 
+      const allowed = canTransition(project.status, status);
+      if (!allowed && !override) {
+        return res.status(409).json({
+          success: false,
+          message: `A project cannot move from ${project.status} to ${status}`,
+          data: { allowedTransitions: allowedTransitions(project.status) },
+        });
+      }
+      if (!allowed && req.user.role !== "admin") {
+        return res.status(403).json({
+          success: false,
+          message: "Only admins can override the project lifecycle",
+        });
+      }
+
+      const before = project.toObject();
+      project.statusHistory.push({
+        from: project.status,
+        to: status,
+        reason,
+        changedBy: req.user._id,
+        override: !allowed,
+      });
       project.status = status;
       await project.save();
+      await recordAudit(req, { action: "update", entityType: "Project", before, after: project });
       await project.populate("createdBy", "username");
 
       res.json({
@@ -381,4 +565,237 @@ router.patch(
   }
 );
 
+// @route   GET /api/projects/:id/dashboard
+// @desc    Live project state: material value received vs consumed, labour
+//          cost, today's headcount, low-stock items and open issues.
+//          ?from=&to= limit the cost figures to a date range.
+// @access  Private
+router.get(
+  "/:id/dashboard",
+  requirePermission("project:view"),
+  projectScope,
+  [
+    query("from").optional().isISO8601().withMessage("Invalid from date"),
+    query("to").optional().isISO8601().withMessage("Invalid to date"),
+    query("lowStockPercent")
+      .optional()
+      .isFloat({ min: 0, max: 100 })
+      .withMessage("lowStockPercent must be between 0 and 100"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const project = await findViewableProject(req, res);
+      if (!project) return;
+
+      const { from, to, lowStockPercent } = req.query;
+      const dashboard = await getProjectDashboard(project._id, {
+        from: from ? new Date(from) : undefined,
+        to: to ? new Date(to) : undefined,
+        lowStockPercent:
+          lowStockPercent !== undefined ? Number(lowStockPercent) : undefined,
+        // Wage figures are only visible to callers holding payroll:view on
+        // this project
+        includePayroll: req.canInProject(project._id, "payroll:view"),
+      });
+
+      res.json({
+        success: true,
+        data: {
+          project: {
+            _id: project._id,
+            name: project.name,
+            status: project.status,
+          },
+          ...dashboard,
+        },
+      });
+    } catch (error) {
+      console.error("Get project dashboard error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Server error while building project dashboard",
+      });
+    }
+  }
+);
+
+// @route   GET /api/projects/:id/issues
+// @desc    List issues raised on a project (?status=open|resolved)
+// @access  Private
+router.get("/:id/issues", requirePermission("project:view"), async (req, res) => {
+  try {
+    const project = await findViewableProject(req, res);
+    if (!project) return;
+
+    const filter = { project: project._id };
+    if (req.query.status) filter.status = req.query.status;
+
+    const issues = await Issue.find(filter)
+      .populate("raisedBy", "username")
+      .populate("resolvedBy", "username")
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      data: issues,
+    });
+  } catch (error) {
+    console.error("Get project issues error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while fetching issues",
+    });
+  }
+});
+
+// @route   POST /api/projects/:id/issues
+// @desc    Raise an issue on a project
+// @access  Private
+router.post(
+  "/:id/issues",
+  requirePermission("project:view"),
+  [
+    body("title").trim().notEmpty().withMessage("Title is required"),
+    body("description")
+      .optional()
+      .trim()
+      .isLength({ max: 1000 })
+      .withMessage("Description must be less than 1000 characters"),
+    body("priority")
+      .optional()
+      .isIn(["low", "medium", "high"])
+      .withMessage("Invalid priority"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const project = await findViewableProject(req, res);
+      if (!project) return;
+
+      const { title, description, priority } = req.body;
+      const issue = await Issue.create({
+        project: project._id,
+        title,
+        description,
+        priority,
+        raisedBy: req.user._id,
+      });
+      await recordAudit(req, { action: "create", entityType: "Issue", after: issue });
+
+      res.status(201).json({
+        success: true,
+        message: "Issue raised successfully",
+        data: issue,
+      });
+    } catch (error) {
+      console.error("Raise issue error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Server error while raising issue",
+      });
+    }
+  }
+);
+
+// @route   PATCH /api/projects/:id/issues/:issueId/resolve
+// @desc    Mark an open issue as resolved
+// @access  Private (project:manage on the project)
+router.patch(
+  "/:id/issues/:issueId/resolve",
+  requirePermission("project:manage"),
+  projectScope,
+  [body("resolution").optional().trim()],
+  async (req, res) => {
+    try {
+      const project = await findScopedProject(req, res);
+      if (!project) return;
+
+      const issue = await Issue.findOne({
+        _id: req.params.issueId,
+        project: project._id,
+      });
+      if (!issue) {
+        return res.status(404).json({
+          success: false,
+          message: "Issue not found",
+        });
+      }
+      if (issue.status === "resolved") {
+        return res.status(400).json({
+          success: false,
+          message: "Issue is already resolved",
+        });
+      }
+
+      const before = issue.toObject();
+      issue.status = "resolved";
+      issue.resolvedBy = req.user._id;
+      issue.resolvedAt = new Date();
+      issue.resolution = req.body.resolution;
+      await issue.save();
+      await recordAudit(req, { action: "update", entityType: "Issue", before, after: issue });
+
+      res.json({
+        success: true,
+        message: "Issue resolved successfully",
+        data: issue,
+      });
+    } catch (error) {
+      console.error("Resolve issue error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Server error while resolving issue",
+      });
+    }
+  }
+);
+
+// @route   GET /api/projects/:id/status-history
+// @desc    Status changes of a project, newest first, with the transitions
+//          currently allowed
+// @access  Private
+router.get(
+  "/:id/status-history",
+  requirePermission("project:view"),
+  async (req, res) => {
+    try {
+      const project = await findViewableProject(req, res);
+      if (!project) return;
+      await project.populate("statusHistory.changedBy", "username");
+
+      res.json({
+        success: true,
+        data: {
+          status: project.status,
+          allowedTransitions: allowedTransitions(project.status),
+          history: [...project.statusHistory].reverse(),
+        },
+      });
+    } catch (error) {
+      console.error("Get project status history error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Server error while fetching status history",
+      });
+    }
+  }
+);
+
 module.exports = router;
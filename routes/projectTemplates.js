@@ -0,0 +1,183 @@
+const express = require("express");
+const { body, validationResult } = require("express-validator");
+const ProjectTemplate = require("../models/ProjectTemplate");
+const { requirePermission } = require("../middleware/auth");
+const projectScope = require("../middleware/projectScope");
+const { recordAudit } = require("../services/audit");
+const { archive } = require("../services/trash");
+const { findScopedProject } = require("../services/projectAccess");
+const {
+  TEMPLATE_PARTS,
+  TEMPLATE_PART_VIEW_PERMISSIONS,
+  buildTemplate,
+} = require("../services/projectTemplates");
+
+const router = express.Router();
+
+// @route   GET /api/project-templates
+// @desc    List project templates
+// @access  Private (project:manage)
+router.get("/", requirePermission("project:manage"), async (req, res) => {
+  try {
+    const templates = await ProjectTemplate.find()
+      .populate("sourceProject", "name")
+      .populate("createdBy", "username")
+      .sort({ createdAt: -1 })
+      .lean();
+
+    res.json({
+      success: true,
+      data: templates.map(({ tasks, materials, assignments, crew, budget, ...rest }) => ({
+        ...rest,
+        counts: {
+          tasks: tasks.length,
+          materials: materials.length,
+          assignments: assignments.length,
+          crew: crew.length,
+          budgetHeads: budget?.heads?.length || 0,
+        },
+      })),
+    });
+  } catch (error) {
+    console.error("Get project templates error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while fetching project templates",
+    });
+  }
+});
+
+// @route   GET /api/project-templates/:id
+// @desc    Get a project template with everything it would copy; the budget,
+//          user roles and crew only with budget:view, user:view and
+//          employee:view
+// @access  Private (project:manage)
+router.get("/:id", requirePermission("project:manage"), async (req, res) => {
+  try {
+    const template = await ProjectTemplate.findById(req.params.id)
+      .populate("sourceProject", "name")
+      .populate("assignments.user", "username role")
+      .populate("crew", "name");
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: "Template not found",
+      });
+    }
+
+    const data = template.toObject();
+    for (const [part, permission] of Object.entries(TEMPLATE_PART_VIEW_PERMISSIONS)) {
+      if (!req.can(permission)) delete data[part];
+    }
+
+    res.json({
+      success: true,
+      data,
+    });
+  } catch (error) {
+    console.error("Get project template error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while fetching project template",
+    });
+  }
+});
+
+// @route   POST /api/project-templates
+// @desc    Save an existing project as a template, leaving out the budget,
+//          user roles and crew unless the caller may view them on it
+// @access  Private (project:manage on the project)
+router.post(
+  "/",
+  requirePermission("project:manage"),
+  projectScope,
+  [
+    body("projectId").isMongoId().withMessage("A valid projectId is required"),
+    body("name")
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage("Template name is required"),
+    body("description")
+      .optional()
+      .trim()
+      .isLength({ max: 500 })
+      .withMessage("Description must be less than 500 characters"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const project = await findScopedProject(req, res, req.body.projectId);
+      if (!project) return;
+
+      const parts = TEMPLATE_PARTS.filter(
+        (part) =>
+          !TEMPLATE_PART_VIEW_PERMISSIONS[part] ||
+          req.canInProject(project._id, TEMPLATE_PART_VIEW_PERMISSIONS[part])
+      );
+      const template = await buildTemplate(project, {
+        name: req.body.name,
+        description: req.body.description ?? project.description,
+        createdBy: req.user._id,
+        parts,
+      });
+      await recordAudit(req, {
+        action: "create",
+        entityType: "ProjectTemplate",
+        after: template,
+      });
+
+      res.status(201).json({
+        success: true,
+        message: "Template saved successfully",
+        data: template,
+      });
+    } catch (error) {
+      console.error("Save project template error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Server error while saving project template",
+      });
+    }
+  }
+);
+
+// @route   DELETE /api/project-templates/:id
+// @desc    Move a template to the trash
+// @access  Private (project:manage)
+router.delete("/:id", requirePermission("project:manage"), async (req, res) => {
+  try {
+    const template = await ProjectTemplate.findById(req.params.id);
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: "Template not found",
+      });
+    }
+
+    const before = template.toObject();
+    await archive(template, req.user._id);
+    await recordAudit(req, { action: "delete", entityType: "ProjectTemplate", before });
+
+    res.json({
+      success: true,
+      message: "Template moved to trash",
+    });
+  } catch (error) {
+    console.error("Delete project template error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while deleting project template",
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,732 @@
+const express = require("express");
+const { body, validationResult } = require("express-validator");
+const PurchaseOrder = require("../models/PurchaseOrder");
+const GoodsReceipt = require("../models/GoodsReceipt");
+const Vendor = require("../models/Vendor");
+const Project = require("../models/Project");
+const { requirePermission } = require("../middleware/auth");
+const projectScope = require("../middleware/projectScope");
+const idempotency = require("../middleware/idempotency");
+const { recordAudit } = require("../services/audit");
+const { nextVoucherNo } = require("../services/materialIssue");
+const { checkBudgetAlerts } = require("../services/budget");
+const { queueStockEvaluation } = require("../services/reorder");
+const {
+  buildOrderLines,
+  orderTotals,
+  receiveGoods,
+  orderProgress,
+  purchaseOrderReport,
+  vendorReport,
+} = require("../services/purchasing");
+
+const router = express.Router();
+
+// Orders that can still be edited and submitted
+const EDITABLE_STATUSES = ["draft", "rejected"];
+
+const lineValidators = (isUpdate) => [
+  (isUpdate ? body("lines").optional() : body("lines"))
+    .isArray({ min: 1 })
+    .withMessage("At least one line is required"),
+  body("lines.*.matCode").trim().notEmpty().withMessage("Material code is required"),
+  body("lines.*.quantity")
+    .isFloat({ gt: 0 })
+    .withMessage("Quantity must be a positive number")
+    .toFloat(),
+  body("lines.*.unit").optional().trim(),
+  body("lines.*.rate")
+    .isFloat({ min: 0 })
+    .withMessage("Rate must be a non-negative number")
+    .toFloat(),
+  body("lines.*.taxPercent")
+    .optional()
+    .isFloat({ min: 0, max: 100 })
+    .withMessage("Tax must be between 0 and 100 percent")
+    .toFloat(),
+  body("expectedDate")
+    .optional({ values: "falsy" })
+    .isISO8601()
+    .withMessage("Expected date must be a valid date"),
+  body("remarks").optional().trim(),
+];
+
+// Load an order on a project in the caller's scope, or send the 404/403 and
+// return null
+const findOrder = async (req, res) => {
+  const order = await PurchaseOrder.findById(req.params.id);
+  if (!order) {
+    res.status(404).json({
+      success: false,
+      message: "Purchase order not found",
+    });
+    return null;
+  }
+  if (!req.hasProjectAccess(order.project)) {
+    res.status(403).json({
+      success: false,
+      message: "No access to this project",
+    });
+    return null;
+  }
+  return order;
+};
+
+// Filters shared by the list and the reports
+const orderFilter = (req) => {
+  const { vendor, projectId, status } = req.query;
+  const filter = { ...req.projectFilter("project") };
+  if (projectId) {
+    if (!req.hasProjectAccess(projectId)) return null;
+    filter.project = projectId;
+  }
+  if (vendor) filter.vendor = vendor;
+  if (status) filter.status = status;
+  return filter;
+};
+
+// @route   GET /api/purchase-orders/reports/orders
+// @desc    Ordered, received and pending quantity and value (before tax) per
+//          line of every order placed (?vendor=, ?projectId=, ?status=)
+// @access  Private (purchase:view)
+router.get(
+  "/reports/orders",
+  requirePermission("purchase:view"),
+  projectScope,
+  async (req, res) => {
+    try {
+      const filter = orderFilter(req);
+      if (!filter) {
+        return res.status(403).json({
+          success: false,
+          message: "No access to this project",
+        });
+      }
+
+      const orders = await purchaseOrderReport(filter);
+
+      res.json({
+        success: true,
+        data: orders,
+      });
+    } catch (error) {
+      console.error("Get purchase order report error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Server error while fetching purchase order report",
+      });
+    }
+  }
+);
+
+// @route   GET /api/purchase-orders/reports/vendors
+// @desc    Orders placed with each vendor and the value ordered, received
+//          and still pending (?projectId=, ?status=)
+// @access  Private (purchase:view)
+router.get(
+  "/reports/vendors",
+  requirePermission("purchase:view"),
+  projectScope,
+  async (req, res) => {
+    try {
+      const filter = orderFilter(req);
+      if (!filter) {
+        return res.status(403).json({
+          success: false,
+          message: "No access to this project",
+        });
+      }
+
+      const vendors = await vendorReport(filter);
+
+      res.json({
+        success: true,
+        data: vendors,
+      });
+    } catch (error) {
+      console.error("Get vendor report error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Server error while fetching vendor report",
+      });
+    }
+  }
+);
+
+// @route   GET /api/purchase-orders
+// @desc    Purchase orders on the caller's sites (?vendor=, ?projectId=,
+//          ?status=)
+// @access  Private (purchase:view)
+router.get("/", requirePermission("purchase:view"), projectScope, async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+
+    const filter = orderFilter(req);
+    if (!filter) {
+      return res.status(403).json({
+        success: false,
+        message: "No access to this project",
+      });
+    }
+
+    const pageNumber = parseInt(page, 10);
+    const limitNumber = parseInt(limit, 10);
+
+    const orders = await PurchaseOrder.find(filter)
+      .populate({ path: "vendor", select: "name gstin", options: { withDeleted: true } })
+      .populate("project", "name")
+      .populate("createdBy approvedBy", "username")
+      .sort({ createdAt: -1 })
+      .limit(limitNumber)
+      .skip((pageNumber - 1) * limitNumber);
+
+    const total = await PurchaseOrder.countDocuments(filter);
+
+    res.json({
+      success: true,
+      data: {
+        orders,
+        pagination: {
+          currentPage: pageNumber,
+          totalPages: Math.ceil(total / limitNumber),
+          totalOrders: total,
+          hasNext: pageNumber < Math.ceil(total / limitNumber),
+          hasPrev: pageNumber > 1,
+        },
+      },
+    });
+  } catch (error) {
+    console.error("Get purchase orders error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while fetching purchase orders",
+    });
+  }
+});
+
+// @route   GET /api/purchase-orders/:id
+// @desc    Get a purchase order with what has been received and is pending
+//          on each line, and its goods receipts
+// @access  Private (purchase:view)
+router.get("/:id", requirePermission("purchase:view"), projectScope, async (req, res) => {
+  try {
+    const order = await findOrder(req, res);
+    if (!order) return;
+
+    await order.populate([
+      { path: "vendor", options: { withDeleted: true } },
+      { path: "project", select: "name location" },
+      { path: "createdBy approvedBy rejectedBy closedBy", select: "username" },
+    ]);
+    const receipts = await GoodsReceipt.find({ purchaseOrder: order._id })
+      .populate("receivedBy", "username")
+      .sort({ date: 1 });
+
+    res.json({
+      success: true,
+      data: {
+        order,
+        progress: orderProgress(order),
+        receipts,
+      },
+    });
+  } catch (error) {
+    console.error("Get purchase order error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while fetching purchase order",
+    });
+  }
+});
+
+// @route   POST /api/purchase-orders
+// @desc    Raise a purchase order as a draft. Lines are {matCode, quantity,
+//          unit, rate, taxPercent}, with the rate per `unit` before tax.
+// @access  Private (purchase:manage on the project)
+router.post(
+  "/",
+  requirePermission("purchase:manage"),
+  projectScope,
+  [
+    body("vendor").isMongoId().withMessage("Valid vendor is required"),
+    body("project").isMongoId().withMessage("Valid project is required"),
+    ...lineValidators(false),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      if (!req.hasProjectAccess(req.body.project)) {
+        return res.status(403).json({
+          success: false,
+          message: "No access to this project",
+        });
+      }
+      const [vendor, project] = await Promise.all([
+        Vendor.findById(req.body.vendor),
+        Project.findById(req.body.project).select("name"),
+      ]);
+      if (!vendor || !project) {
+        return res.status(400).json({
+          success: false,
+          message: vendor ? "Invalid project selected" : "Invalid vendor selected",
+        });
+      }
+
+      let lines;
+      try {
+        lines = await buildOrderLines(req.body.lines);
+      } catch (err) {
+        if (!err.status) throw err;
+        return res.status(err.status).json({
+          success: false,
+          message: err.message,
+        });
+      }
+
+      const order = await PurchaseOrder.create({
+        poNo: await nextVoucherNo("PO"),
+        vendor: vendor._id,
+        project: project._id,
+        lines,
+        ...orderTotals(lines),
+        expectedDate: req.body.expectedDate || undefined,
+        remarks: req.body.remarks,
+        createdBy: req.user._id,
+      });
+      await recordAudit(req, { action: "create", entityType: "PurchaseOrder", after: order });
+
+      res.status(201).json({
+        success: true,
+        message: `Purchase order ${order.poNo} saved as draft`,
+        data: order,
+      });
+    } catch (error) {
+      console.error("Create purchase order error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Server error while creating purchase order",
+      });
+    }
+  }
+);
+
+// @route   PUT /api/purchase-orders/:id
+// @desc    Edit a draft or rejected order; `lines` replaces all lines. A
+//          rejected order goes back to draft.
+// @access  Private (purchase:manage)
+router.put(
+  "/:id",
+  requirePermission("purchase:manage"),
+  projectScope,
+  [
+    body("vendor").optional().isMongoId().withMessage("Valid vendor is required"),
+    ...lineValidators(true),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const order = await findOrder(req, res);
+      if (!order) return;
+      if (!EDITABLE_STATUSES.includes(order.status)) {
+        return res.status(409).json({
+          success: false,
+          message: `A purchase order that is ${order.status} cannot be edited`,
+        });
+      }
+
+      if (req.body.vendor && !(await Vendor.exists({ _id: req.body.vendor }))) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid vendor selected",
+        });
+      }
+
+      const before = order.toObject();
+      const changes = { status: "draft" };
+      if (req.body.lines) {
+        try {
+          changes.lines = await buildOrderLines(req.body.lines);
+        } catch (err) {
+          if (!err.status) throw err;
+          return res.status(err.status).json({
+            success: false,
+            message: err.message,
+          });
+        }
+        Object.assign(changes, orderTotals(changes.lines));
+      }
+      if (req.body.vendor) changes.vendor = req.body.vendor;
+      if (req.body.expectedDate) changes.expectedDate = req.body.expectedDate;
+      if (req.body.remarks !== undefined) changes.remarks = req.body.remarks;
+
+      // Only while nobody has submitted it in the meantime
+      const saved = await PurchaseOrder.findOneAndUpdate(
+        { _id: order._id, status: before.status },
+        {
+          $set: changes,
+          ...(req.body.expectedDate === "" && { $unset: { expectedDate: 1 } }),
+        },
+        { new: true, runValidators: true }
+      );
+      if (!saved) {
+        return res.status(409).json({
+          success: false,
+          message: "Purchase order has changed since it was loaded",
+        });
+      }
+      await recordAudit(req, {
+        action: "update",
+        entityType: "PurchaseOrder",
+        before,
+        after: saved,
+      });
+
+      res.json({
+        success: true,
+        message: "Purchase order updated successfully",
+        data: saved,
+      });
+    } catch (error) {
+      console.error("Update purchase order error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Server error while updating purchase order",
+      });
+    }
+  }
+);
+
+// Apply a status change to an order in one of the `from` statuses. The
+// update only goes through while the order is still in the status it was
+// loaded with, since `update(order)` may depend on it, so only one of two
+// racing requests (or a receipt) wins. Sends the response.
+const changeStatus = async (req, res, { from, update, summary, label }) => {
+  const order = await findOrder(req, res);
+  if (!order) return;
+
+  if (!from.includes(order.status)) {
+    return res.status(409).json({
+      success: false,
+      message: `Purchase order is ${order.status}`,
+    });
+  }
+
+  const before = order.toObject();
+  const updated = await PurchaseOrder.findOneAndUpdate(
+    { _id: order._id, status: order.status },
+    update(order),
+    { new: true }
+  );
+  if (!updated) {
+    return res.status(409).json({
+      success: false,
+      message: `${order.poNo} has changed since it was loaded; try again`,
+    });
+  }
+
+  await recordAudit(req, {
+    action: "update",
+    entityType: "PurchaseOrder",
+    before,
+    after: updated,
+    summary,
+  });
+
+  res.json({
+    success: true,
+    message: `${updated.poNo} ${label || updated.status}`,
+    data: updated,
+  });
+};
+
+// @route   POST /api/purchase-orders/:id/submit
+// @desc    Submit a draft or rejected order for approval
+// @access  Private (purchase:manage)
+router.post(
+  "/:id/submit",
+  requirePermission("purchase:manage"),
+  projectScope,
+  async (req, res) => {
+    try {
+      await changeStatus(req, res, {
+        from: EDITABLE_STATUSES,
+        update: () => ({
+          status: "pending",
+          submittedAt: new Date(),
+          $unset: { rejectedBy: 1, rejectedAt: 1, rejectReason: 1 },
+        }),
+        label: "submitted for approval",
+      });
+    } catch (error) {
+      console.error("Submit purchase order error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Server error while submitting purchase order",
+      });
+    }
+  }
+);
+
+// @route   POST /api/purchase-orders/:id/approve
+// @desc    Approve a pending order so goods can be received against it. The
+//          approver must not be the person who raised it.
+// @access  Private (purchase:approve)
+router.post(
+  "/:id/approve",
+  requirePermission("purchase:approve"),
+  projectScope,
+  async (req, res) => {
+    try {
+      const order = await PurchaseOrder.findById(req.params.id).select("createdBy");
+      if (order && order.createdBy.equals(req.user._id) && req.user.role !== "admin") {
+        return res.status(403).json({
+          success: false,
+          message: "A purchase order must be approved by someone other than who raised it",
+        });
+      }
+
+      await changeStatus(req, res, {
+        from: ["pending"],
+        update: () => ({ status: "approved", approvedBy: req.user._id, approvedAt: new Date() }),
+      });
+    } catch (error) {
+      console.error("Approve purchase order error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Server error while approving purchase order",
+      });
+    }
+  }
+);
+
+// @route   POST /api/purchase-orders/:id/reject
+// @desc    Send a pending order back with a reason; it can be edited and
+//          submitted again
+// @access  Private (purchase:approve)
+router.post(
+  "/:id/reject",
+  requirePermission("purchase:approve"),
+  projectScope,
+  [body("reason").trim().notEmpty().withMessage("Reason is required")],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      await changeStatus(req, res, {
+        from: ["pending"],
+        update: () => ({
+          status: "rejected",
+          rejectedBy: req.user._id,
+          rejectedAt: new Date(),
+          rejectReason: req.body.reason,
+        }),
+      });
+    } catch (error) {
+      console.error("Reject purchase order error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Server error while rejecting purchase order",
+      });
+    }
+  }
+);
+
+// @route   POST /api/purchase-orders/:id/cancel
+// @desc    Cancel an order nothing has been received on, or close a part
+//          received one short; either way nothing more can be received
+// @access  Private (purchase:manage)
+router.post(
+  "/:id/cancel",
+  requirePermission("purchase:manage"),
+  projectScope,
+  [body("reason").trim().notEmpty().withMessage("Reason is required")],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      await changeStatus(req, res, {
+        from: ["draft", "pending", "approved", "rejected", "partially-received"],
+        update: (order) => ({
+          status: order.status === "partially-received" ? "closed" : "cancelled",
+          closedBy: req.user._id,
+          closedAt: new Date(),
+          closeReason: req.body.reason,
+        }),
+      });
+    } catch (error) {
+      console.error("Cancel purchase order error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Server error while cancelling purchase order",
+      });
+    }
+  }
+);
+
+// @route   GET /api/purchase-orders/:id/receipts
+// @desc    Goods receipts recorded against an order
+// @access  Private (purchase:view)
+router.get(
+  "/:id/receipts",
+  requirePermission("purchase:view"),
+  projectScope,
+  async (req, res) => {
+    try {
+      const order = await findOrder(req, res);
+      if (!order) return;
+
+      const receipts = await GoodsReceipt.find({ purchaseOrder: order._id })
+        .populate("receivedBy", "username")
+        .sort({ date: 1 });
+
+      res.json({
+        success: true,
+        data: receipts,
+      });
+    } catch (error) {
+      console.error("Get goods receipts error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Server error while fetching goods receipts",
+      });
+    }
+  }
+);
+
+// @route   POST /api/purchase-orders/:id/receipts
+// @desc    Record a goods receipt note (GRN) against an approved order. Lines
+//          are {matCode, quantity, rejectedQuantity, unit}; each accepted
+//          quantity becomes a stock lot on the order's project at the order
+//          rate. Partial deliveries leave the rest pending. Honours
+//          Idempotency-Key.
+// @access  Private (material:add on the order's project)
+router.post(
+  "/:id/receipts",
+  requirePermission("material:add"),
+  idempotency,
+  projectScope,
+  [
+    body("lines").isArray({ min: 1 }).withMessage("At least one line is required"),
+    body("lines.*.matCode").trim().notEmpty().withMessage("Material code is required"),
+    body("lines.*.quantity")
+      .optional()
+      .isFloat({ min: 0 })
+      .withMessage("Quantity must be a non-negative number")
+      .toFloat(),
+    body("lines.*.rejectedQuantity")
+      .optional()
+      .isFloat({ min: 0 })
+      .withMessage("Rejected quantity must be a non-negative number")
+      .toFloat(),
+    body("lines.*.unit").optional().trim(),
+    body("date").optional().isISO8601().withMessage("Date must be a valid date"),
+    body("challanNo").optional().trim(),
+    body("invoiceNo").optional().trim(),
+    body("vehicleNo").optional().trim(),
+    body("remarks").optional().trim(),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const order = await findOrder(req, res);
+      if (!order) return;
+      if (!PurchaseOrder.RECEIVABLE_STATUSES.includes(order.status)) {
+        return res.status(409).json({
+          success: false,
+          message: `Goods cannot be received against a purchase order that is ${order.status}`,
+        });
+      }
+
+      const before = order.toObject();
+      const { challanNo, invoiceNo, vehicleNo, remarks } = req.body;
+      let result;
+      try {
+        result = await receiveGoods({
+          order,
+          lines: req.body.lines,
+          user: req.user,
+          date: req.body.date,
+          details: { challanNo, invoiceNo, vehicleNo, remarks },
+        });
+      } catch (err) {
+        if (!err.status) throw err;
+        return res.status(err.status).json({
+          success: false,
+          message: err.message,
+        });
+      }
+
+      const { grn, lots } = result;
+      for (const lot of lots) {
+        await recordAudit(req, { action: "create", entityType: "Material", after: lot });
+      }
+      await recordAudit(req, { action: "create", entityType: "GoodsReceipt", after: grn });
+      await recordAudit(req, {
+        action: "update",
+        entityType: "PurchaseOrder",
+        before,
+        after: result.order,
+        summary: `Goods received on ${grn.grnNo}`,
+      });
+      if (lots.length) {
+        await checkBudgetAlerts(order.project);
+        queueStockEvaluation(order.project, lots.map((lot) => lot.matCode));
+      }
+
+      res.status(201).json({
+        success: true,
+        message:
+          result.order.status === "received"
+            ? `Goods received on ${grn.grnNo}; ${order.poNo} is fully received`
+            : `Goods received on ${grn.grnNo}`,
+        data: { receipt: grn, order: result.order },
+      });
+    } catch (error) {
+      console.error("Receive goods error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Server error while recording goods receipt",
+      });
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,227 @@
+const express = require("express");
+const { body, validationResult } = require("express-validator");
+const ReorderRule = require("../models/ReorderRule");
+const MaterialItem = require("../models/MaterialItem");
+const { requirePermission } = require("../middleware/auth");
+const projectScope = require("../middleware/projectScope");
+const { recordAudit } = require("../services/audit");
+const { findViewableProject, findScopedProject } = require("../services/projectAccess");
+const { toBase } = require("../services/units");
+const { stockStatus, queueStockEvaluation } = require("../services/reorder");
+
+// Mounted at /api/projects/:projectId
+const router = express.Router({ mergeParams: true });
+
+// @route   GET /api/projects/:projectId/reorder-rules
+// @desc    Reorder levels and safety stock set for the project's materials
+// @access  Private (material:view)
+router.get("/reorder-rules", requirePermission("material:view"), async (req, res) => {
+  try {
+    const project = await findViewableProject(req, res, req.params.projectId);
+    if (!project) return;
+
+    const rules = await ReorderRule.find({ project: project._id })
+      .populate("updatedBy", "username")
+      .sort({ matCode: 1 });
+
+    res.json({
+      success: true,
+      data: rules,
+    });
+  } catch (error) {
+    console.error("Get reorder rules error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while fetching reorder rules",
+    });
+  }
+});
+
+// @route   PUT /api/projects/:projectId/reorder-rules/:matCode
+// @desc    Set the reorder level, safety stock, order size and lead time for
+//          a material on the project; quantities may be given in `unit`
+// @access  Private (material:reorder on the project)
+router.put(
+  "/reorder-rules/:matCode",
+  requirePermission("material:reorder"),
+  projectScope,
+  [
+    body("reorderLevel")
+      .isFloat({ min: 0 })
+      .withMessage("Reorder level must be a non-negative number"),
+    body("safetyStock")
+      .optional()
+      .isFloat({ min: 0 })
+      .withMessage("Safety stock must be a non-negative number"),
+    body("reorderQuantity")
+      .optional()
+      .isFloat({ gt: 0 })
+      .withMessage("Reorder quantity must be a positive number"),
+    body("leadTimeDays")
+      .optional()
+      .isInt({ min: 0 })
+      .withMessage("Lead time must be a whole number of days"),
+    body("unit").optional().trim(),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const project = await findScopedProject(req, res, req.params.projectId);
+      if (!project) return;
+
+      const item = await MaterialItem.findOne({ code: req.params.matCode });
+      if (!item) {
+        return res.status(404).json({
+          success: false,
+          message: `Unknown material code ${req.params.matCode}`,
+        });
+      }
+
+      const { unit } = req.body;
+      const levels = {};
+      for (const key of ["reorderLevel", "safetyStock", "reorderQuantity"]) {
+        if (req.body[key] === undefined) continue;
+        levels[key] = toBase(item, req.body[key], unit);
+        if (levels[key] === null) {
+          return res.status(400).json({
+            success: false,
+            message: `Unit ${unit} is not permitted for ${item.code}`,
+          });
+        }
+      }
+      if ((levels.safetyStock || 0) > levels.reorderLevel) {
+        return res.status(400).json({
+          success: false,
+          message: "Safety stock cannot be above the reorder level",
+        });
+      }
+
+      // The rule is replaced as a whole
+      const cleared = {};
+      if (levels.reorderQuantity === undefined) cleared.reorderQuantity = 1;
+      if (req.body.leadTimeDays === undefined) cleared.leadTimeDays = 1;
+
+      const before = await ReorderRule.findOne({
+        project: project._id,
+        matCode: item.code,
+      }).lean();
+      const rule = await ReorderRule.findOneAndUpdate(
+        { project: project._id, matCode: item.code },
+        {
+          $set: {
+            item: item._id,
+            safetyStock: 0,
+            ...levels,
+            ...(req.body.leadTimeDays !== undefined && {
+              leadTimeDays: req.body.leadTimeDays,
+            }),
+            updatedBy: req.user._id,
+          },
+          ...(Object.keys(cleared).length && { $unset: cleared }),
+        },
+        { new: true, upsert: true, runValidators: true }
+      );
+      await recordAudit(req, {
+        action: before ? "update" : "create",
+        entityType: "ReorderRule",
+        before,
+        after: rule,
+      });
+      queueStockEvaluation(project._id, [item.code]);
+
+      res.json({
+        success: true,
+        message: "Reorder rule saved successfully",
+        data: rule,
+      });
+    } catch (error) {
+      console.error("Save reorder rule error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Server error while saving reorder rule",
+      });
+    }
+  }
+);
+
+// @route   DELETE /api/projects/:projectId/reorder-rules/:matCode
+// @desc    Remove a project's rule; the catalogue reorder level applies again
+// @access  Private (material:reorder on the project)
+router.delete(
+  "/reorder-rules/:matCode",
+  requirePermission("material:reorder"),
+  projectScope,
+  async (req, res) => {
+    try {
+      const project = await findScopedProject(req, res, req.params.projectId);
+      if (!project) return;
+
+      const rule = await ReorderRule.findOneAndDelete({
+        project: project._id,
+        matCode: req.params.matCode,
+      });
+      if (!rule) {
+        return res.status(404).json({
+          success: false,
+          message: "Reorder rule not found",
+        });
+      }
+
+      await recordAudit(req, {
+        action: "delete",
+        entityType: "ReorderRule",
+        before: rule.toObject(),
+      });
+      queueStockEvaluation(project._id, [rule.matCode]);
+
+      res.json({
+        success: true,
+        message: "Reorder rule removed",
+      });
+    } catch (error) {
+      console.error("Delete reorder rule error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Server error while removing reorder rule",
+      });
+    }
+  }
+);
+
+// @route   GET /api/projects/:projectId/stock-status
+// @desc    Stock of each material against its reorder level, with average
+//          daily consumption and a runout forecast (?status=reorder|critical
+//          to list only those)
+// @access  Private (material:view)
+router.get("/stock-status", requirePermission("material:view"), async (req, res) => {
+  try {
+    const project = await findViewableProject(req, res, req.params.projectId);
+    if (!project) return;
+
+    let materials = await stockStatus(project._id);
+    if (req.query.status) {
+      materials = materials.filter((m) => m.status === req.query.status);
+    }
+
+    res.json({
+      success: true,
+      data: materials,
+    });
+  } catch (error) {
+    console.error("Get stock status error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while fetching stock status",
+    });
+  }
+});
+
+module.exports = router;
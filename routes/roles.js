@@ -0,0 +1,212 @@
+const express = require("express");
+const { body, validationResult } = require("express-validator");
+const Role = require("../models/Role");
+const { requirePermission } = require("../middleware/auth");
+const {
+  PERMISSIONS,
+  DEFAULT_ROLE_PERMISSIONS,
+  DEFAULT_MAX_DEVICES,
+} = require("../config/roles");
+const {
+  ROLES,
+  loadRoleMatrix,
+  clearRoleCache,
+  isKnownPermission,
+} = require("../services/permissions");
+
+const router = express.Router();
+
+// @route   GET /api/roles/permissions
+// @desc    List every permission the system knows about
+// @access  Private (role:manage)
+router.get("/permissions", requirePermission("role:manage"), (req, res) => {
+  res.json({
+    success: true,
+    data: Object.entries(PERMISSIONS).map(([key, description]) => ({
+      key,
+      description,
+    })),
+  });
+});
+
+// @route   GET /api/roles
+// @desc    Get the role to permission mapping
+// @access  Private (role:manage)
+router.get("/", requirePermission("role:manage"), async (req, res) => {
+  try {
+    const matrix = await loadRoleMatrix();
+    const overrides = await Role.find().lean();
+    const byName = Object.fromEntries(overrides.map((role) => [role.name, role]));
+
+    res.json({
+      success: true,
+      data: ROLES.map((name) => ({
+        name,
+        permissions: matrix[name] || [],
+        isDefault: !byName[name]?.permissions,
+        editable: name !== "admin",
+        maxDevices:
+          byName[name]?.maxDevices !== undefined
+            ? byName[name].maxDevices
+            : DEFAULT_MAX_DEVICES[name],
+      })),
+    });
+  } catch (error) {
+    console.error("Get roles error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while fetching roles",
+    });
+  }
+});
+
+// @route   PUT /api/roles/:role
+// @desc    Replace the permission set of a role
+// @access  Private (role:manage)
+router.put(
+  "/:role",
+  requirePermission("role:manage"),
+  [
+    body("permissions")
+      .isArray()
+      .withMessage("Permissions must be an array"),
+    body("permissions.*")
+      .custom(isKnownPermission)
+      .withMessage("Unknown permission"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const { role } = req.params;
+      if (!ROLES.includes(role)) {
+        return res.status(404).json({
+          success: false,
+          message: "Role not found",
+        });
+      }
+      if (role === "admin") {
+        return res.status(400).json({
+          success: false,
+          message: "The admin role always has every permission",
+        });
+      }
+
+      const permissions = [...new Set(req.body.permissions)];
+      const updated = await Role.findOneAndUpdate(
+        { name: role },
+        { permissions, updatedBy: req.user._id },
+        { new: true, upsert: true, runValidators: true }
+      );
+      clearRoleCache();
+
+      res.json({
+        success: true,
+        message: "Role permissions updated successfully",
+        data: updated,
+      });
+    } catch (error) {
+      console.error("Update role error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Server error while updating role",
+      });
+    }
+  }
+);
+
+// @route   PUT /api/roles/:role/device-limit
+// @desc    Set how many approved devices users of a role may have
+//          ({ maxDevices: null } removes the cap)
+// @access  Private (role:manage)
+router.put(
+  "/:role/device-limit",
+  requirePermission("role:manage"),
+  [
+    body("maxDevices")
+      .custom((value) => value === null || (Number.isInteger(value) && value >= 0))
+      .withMessage("maxDevices must be a non-negative integer or null"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const { role } = req.params;
+      if (!ROLES.includes(role)) {
+        return res.status(404).json({
+          success: false,
+          message: "Role not found",
+        });
+      }
+
+      const updated = await Role.findOneAndUpdate(
+        { name: role },
+        { maxDevices: req.body.maxDevices, updatedBy: req.user._id },
+        { new: true, upsert: true, runValidators: true }
+      );
+
+      res.json({
+        success: true,
+        message: "Device limit updated successfully",
+        data: updated,
+      });
+    } catch (error) {
+      console.error("Update device limit error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Server error while updating device limit",
+      });
+    }
+  }
+);
+
+// @route   DELETE /api/roles/:role
+// @desc    Drop the overrides and restore the default permissions and
+//          device limit of a role
+// @access  Private (role:manage)
+router.delete("/:role", requirePermission("role:manage"), async (req, res) => {
+  try {
+    const { role } = req.params;
+    if (!ROLES.includes(role)) {
+      return res.status(404).json({
+        success: false,
+        message: "Role not found",
+      });
+    }
+
+    await Role.deleteOne({ name: role });
+    clearRoleCache();
+
+    res.json({
+      success: true,
+      message: "Role permissions reset to defaults",
+      data: {
+        name: role,
+        permissions: DEFAULT_ROLE_PERMISSIONS[role],
+        maxDevices: DEFAULT_MAX_DEVICES[role],
+      },
+    });
+  } catch (error) {
+    console.error("Reset role error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while resetting role",
+    });
+  }
+});
+
+module.exports = router;
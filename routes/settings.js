@@ -0,0 +1,92 @@
+const express = require("express");
+const { body, validationResult } = require("express-validator");
+const OrganisationSettings = require("../models/OrganisationSettings");
+const { requirePermission } = require("../middleware/auth");
+
+const router = express.Router();
+const { NOTIFICATION_EVENTS } = OrganisationSettings;
+
+// @route   GET /api/settings/notifications
+// @desc    Get the email recipients for each notification event
+// @access  Private (settings:manage)
+router.get(
+  "/notifications",
+  requirePermission("settings:manage"),
+  async (req, res) => {
+    try {
+      const settings = await OrganisationSettings.getSettings();
+
+      res.json({
+        success: true,
+        data: {
+          events: NOTIFICATION_EVENTS,
+          recipients: settings.notificationRecipients,
+        },
+      });
+    } catch (error) {
+      console.error("Get notification settings error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Server error while fetching notification settings",
+      });
+    }
+  }
+);
+
+// @route   PUT /api/settings/notifications
+// @desc    Set recipients per event, e.g. { "userCreated": ["a@b.com"] }
+// @access  Private (settings:manage)
+router.put(
+  "/notifications",
+  requirePermission("settings:manage"),
+  [
+    body()
+      .custom((b) => Object.keys(b).every((k) => NOTIFICATION_EVENTS.includes(k)))
+      .withMessage(`Events must be one of: ${NOTIFICATION_EVENTS.join(", ")}`),
+    body("*").isArray().withMessage("Recipients must be an array of emails"),
+    body("*.*").isEmail().withMessage("Recipients must be valid emails"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const updates = { updatedBy: req.user._id };
+      Object.entries(req.body).forEach(([event, recipients]) => {
+        updates[`notificationRecipients.${event}`] = [
+          ...new Set(recipients.map((email) => email.toLowerCase())),
+        ];
+      });
+
+      await OrganisationSettings.getSettings();
+      const settings = await OrganisationSettings.findOneAndUpdate(
+        { key: "default" },
+        { $set: updates },
+        { new: true }
+      );
+
+      res.json({
+        success: true,
+        message: "Notification recipients updated successfully",
+        data: {
+          events: NOTIFICATION_EVENTS,
+          recipients: settings.notificationRecipients,
+        },
+      });
+    } catch (error) {
+      console.error("Update notification settings error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Server error while updating notification settings",
+      });
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,521 @@
+const express = require("express");
+const { body, validationResult } = require("express-validator");
+const StockAdjustment = require("../models/StockAdjustment");
+const Material = require("../models/Material");
+const MaterialItem = require("../models/MaterialItem");
+const IssueVoucher = require("../models/IssueVoucher");
+const { requirePermission } = require("../middleware/auth");
+const projectScope = require("../middleware/projectScope");
+const upload = require("../middleware/upload");
+const { recordAudit } = require("../services/audit");
+const { toBase, fromBase } = require("../services/units");
+const { nextVoucherNo, round } = require("../services/materialIssue");
+const { adjustmentMovement, recordMovements } = require("../services/stockLedger");
+const { queueStockEvaluation } = require("../services/reorder");
+const { normaliseUnit } = require("../config/units");
+const {
+  ADJUSTMENT_TYPES,
+  REASON_CODES,
+  isReasonCode,
+} = require("../config/stockAdjustments");
+
+const router = express.Router();
+
+// Issued from a lot and not yet returned to it, in base units
+const returnableQuantity = (lot) => {
+  const issued = (lot.usageHistory || [])
+    .filter((u) => u.type !== "transfer")
+    .reduce((sum, u) => sum + u.quantity, 0);
+  const returned = (lot.adjustments || [])
+    .filter((a) => a.type === "return")
+    .reduce((sum, a) => sum + a.quantity, 0);
+  return round(issued - returned);
+};
+
+// The same as a query condition, so a return is only applied to a lot while
+// it still fits
+const sumOf = (field, cond) => ({
+  $sum: {
+    $map: {
+      input: { $filter: { input: { $ifNull: [field, []] }, cond } },
+      in: "$$this.quantity",
+    },
+  },
+});
+const RETURNABLE_QUANTITY = {
+  $round: [
+    {
+      $subtract: [
+        sumOf("$usageHistory", { $ne: ["$$this.type", "transfer"] }),
+        sumOf("$adjustments", { $eq: ["$$this.type", "return"] }),
+      ],
+    },
+    6,
+  ],
+};
+
+// @route   GET /api/stock-adjustments/reasons
+// @desc    Adjustment types and the reason codes each may be recorded under
+// @access  Private (material:view)
+router.get("/reasons", requirePermission("material:view"), (req, res) => {
+  res.json({
+    success: true,
+    data: REASON_CODES,
+  });
+});
+
+// @route   GET /api/stock-adjustments
+// @desc    Returns, wastage and adjustments on the caller's sites (?type=,
+//          ?status=, ?projectId=, ?matCode=)
+// @access  Private (material:view)
+router.get("/", requirePermission("material:view"), projectScope, async (req, res) => {
+  try {
+    const { page = 1, limit = 20, type, status, projectId, matCode } = req.query;
+
+    if (projectId && !req.hasProjectAccess(projectId)) {
+      return res.status(403).json({
+        success: false,
+        message: "No access to this project",
+      });
+    }
+
+    const filter = projectId ? { project: projectId } : req.projectFilter("project");
+    if (type) filter.type = type;
+    if (status) filter.status = status;
+    if (matCode) filter.matCode = matCode;
+
+    const pageNumber = parseInt(page, 10);
+    const limitNumber = parseInt(limit, 10);
+
+    const adjustments = await StockAdjustment.find(filter)
+      .populate("project", "name")
+      .populate("requestedBy approvedBy rejectedBy", "username")
+      .sort({ date: -1 })
+      .limit(limitNumber)
+      .skip((pageNumber - 1) * limitNumber);
+
+    const total = await StockAdjustment.countDocuments(filter);
+
+    res.json({
+      success: true,
+      data: {
+        adjustments,
+        pagination: {
+          currentPage: pageNumber,
+          totalPages: Math.ceil(total / limitNumber),
+          totalAdjustments: total,
+          hasNext: pageNumber < Math.ceil(total / limitNumber),
+          hasPrev: pageNumber > 1,
+        },
+      },
+    });
+  } catch (error) {
+    console.error("Get stock adjustments error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while fetching stock adjustments",
+    });
+  }
+});
+
+// @route   GET /api/stock-adjustments/:id
+// @desc    Get a return, wastage or adjustment entry
+// @access  Private (material:view)
+router.get("/:id", requirePermission("material:view"), projectScope, async (req, res) => {
+  try {
+    const adjustment = await StockAdjustment.findById(req.params.id)
+      .populate("project", "name")
+      .populate("voucher", "voucherNo")
+      .populate("requestedBy approvedBy rejectedBy", "username");
+
+    if (!adjustment) {
+      return res.status(404).json({
+        success: false,
+        message: "Stock adjustment not found",
+      });
+    }
+    if (!req.hasProjectAccess(adjustment.project._id)) {
+      return res.status(403).json({
+        success: false,
+        message: "No access to this project",
+      });
+    }
+
+    res.json({
+      success: true,
+      data: adjustment,
+    });
+  } catch (error) {
+    console.error("Get stock adjustment error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while fetching stock adjustment",
+    });
+  }
+});
+
+// @route   POST /api/stock-adjustments
+// @desc    Record a return, wastage or count adjustment against a stock lot,
+//          pending approval. Multipart, with an optional `photo`.
+//          return/wastage take `quantity`; adjustment takes the physical
+//          `countedQuantity` of the lot. Both may be given in `unit`.
+// @access  Private (material:adjust)
+router.post(
+  "/",
+  requirePermission("material:adjust"),
+  projectScope,
+  upload.single("photo"),
+  [
+    body("type")
+      .isIn(ADJUSTMENT_TYPES)
+      .withMessage(`Type must be one of: ${ADJUSTMENT_TYPES.join(", ")}`),
+    body("reasonCode").trim().notEmpty().withMessage("Reason code is required"),
+    body("material").isMongoId().withMessage("Valid stock lot is required"),
+    body("quantity")
+      .if(body("type").isIn(["return", "wastage"]))
+      .isFloat({ gt: 0 })
+      .withMessage("Quantity must be a positive number"),
+    body("countedQuantity")
+      .if(body("type").equals("adjustment"))
+      .isFloat({ min: 0 })
+      .withMessage("Counted quantity must be a non-negative number"),
+    body("unit").optional().trim(),
+    body("voucherNo").optional().trim(),
+    body("date").optional().isISO8601().withMessage("Date must be a valid date"),
+    body("remarks").optional().trim(),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const { type, reasonCode, unit, voucherNo, date, remarks } = req.body;
+
+      if (!isReasonCode(type, reasonCode)) {
+        return res.status(400).json({
+          success: false,
+          message: `Reason code for a ${type} must be one of: ${Object.keys(
+            REASON_CODES[type]
+          ).join(", ")}`,
+        });
+      }
+
+      const lot = await Material.findById(req.body.material);
+      if (!lot) {
+        return res.status(404).json({
+          success: false,
+          message: "Stock lot not found",
+        });
+      }
+      if (!req.hasProjectAccess(lot.projectAssigned)) {
+        return res.status(403).json({
+          success: false,
+          message: "No access to this project",
+        });
+      }
+
+      // Lots from before the catalogue are held in whatever unit they record
+      const item = (await MaterialItem.findOne({ code: lot.matCode }).setOptions({
+        withDeleted: true,
+      })) || { baseUnit: lot.unit || "nos" };
+      const entered = type === "adjustment" ? req.body.countedQuantity : req.body.quantity;
+      const baseQuantity = toBase(item, entered, unit);
+      if (baseQuantity === null) {
+        return res.status(400).json({
+          success: false,
+          message: `Unit ${unit} is not permitted for ${lot.matCode}`,
+        });
+      }
+
+      const data = {
+        type,
+        reasonCode,
+        remarks,
+        material: lot._id,
+        item: lot.item,
+        matCode: lot.matCode,
+        project: lot.projectAssigned,
+        unit: item.baseUnit,
+        enteredQuantity: Number(entered),
+        enteredUnit: normaliseUnit(unit) || item.baseUnit,
+        photo: req.file ? req.file.path : undefined,
+        date: date ? new Date(date) : new Date(),
+        requestedBy: req.user._id,
+      };
+
+      if (type === "return") {
+        if (baseQuantity > returnableQuantity(lot)) {
+          return res.status(400).json({
+            success: false,
+            message: `Only ${fromBase(item, returnableQuantity(lot), data.enteredUnit)} ${
+              data.enteredUnit
+            } issued from this lot can be returned`,
+          });
+        }
+        if (voucherNo) {
+          const voucher = await IssueVoucher.findOne({
+            voucherNo,
+            "lines.material": lot._id,
+          });
+          if (!voucher) {
+            return res.status(400).json({
+              success: false,
+              message: `Voucher ${voucherNo} did not issue from this lot`,
+            });
+          }
+          data.voucher = voucher._id;
+        }
+        data.quantity = baseQuantity;
+      } else if (type === "wastage") {
+        if (baseQuantity > lot.availableQuantity) {
+          return res.status(400).json({
+            success: false,
+            message: "Wastage exceeds the quantity available on this lot",
+          });
+        }
+        data.quantity = -baseQuantity;
+      } else {
+        data.bookQuantity = lot.availableQuantity;
+        data.countedQuantity = baseQuantity;
+        data.quantity = round(baseQuantity - lot.availableQuantity);
+        if (data.quantity === 0) {
+          return res.status(400).json({
+            success: false,
+            message: "The count matches the book quantity; nothing to adjust",
+          });
+        }
+      }
+
+      data.adjustmentNo = await nextVoucherNo("SA", data.date);
+      const adjustment = await StockAdjustment.create(data);
+      await recordAudit(req, {
+        action: "create",
+        entityType: "StockAdjustment",
+        after: adjustment,
+      });
+
+      res.status(201).json({
+        success: true,
+        message: `${adjustment.adjustmentNo} recorded and awaiting approval`,
+        data: adjustment,
+      });
+    } catch (error) {
+      console.error("Create stock adjustment error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Server error while recording stock adjustment",
+      });
+    }
+  }
+);
+
+// @route   POST /api/stock-adjustments/:id/approve
+// @desc    Approve a pending entry and apply it to the lot's availableQuantity.
+//          Count adjustments apply the difference found at the count, so
+//          issues made since then are not undone.
+// @access  Private (material:approve)
+router.post(
+  "/:id/approve",
+  requirePermission("material:approve"),
+  projectScope,
+  async (req, res) => {
+    try {
+      const adjustment = await StockAdjustment.findById(req.params.id);
+      if (!adjustment) {
+        return res.status(404).json({
+          success: false,
+          message: "Stock adjustment not found",
+        });
+      }
+      if (!req.hasProjectAccess(adjustment.project)) {
+        return res.status(403).json({
+          success: false,
+          message: "No access to this project",
+        });
+      }
+      if (
+        adjustment.requestedBy.equals(req.user._id) &&
+        req.user.role !== "admin"
+      ) {
+        return res.status(403).json({
+          success: false,
+          message: "An entry must be approved by someone other than who recorded it",
+        });
+      }
+
+      // Other returns may have been approved since this one was recorded
+      const lotBefore = await Material.findById(adjustment.material).lean();
+      if (
+        adjustment.type === "return" &&
+        adjustment.quantity > returnableQuantity(lotBefore || {})
+      ) {
+        return res.status(409).json({
+          success: false,
+          message: "More would be returned to the lot than was issued from it",
+        });
+      }
+
+      // Only one approval (or rejection) can win
+      const before = adjustment.toObject();
+      const approved = await StockAdjustment.findOneAndUpdate(
+        { _id: adjustment._id, status: "pending" },
+        { status: "approved", approvedBy: req.user._id, approvedAt: new Date() },
+        { new: true }
+      );
+      if (!approved) {
+        return res.status(409).json({
+          success: false,
+          message: `Stock adjustment is already ${adjustment.status}`,
+        });
+      }
+
+      // Write-offs may not take the lot below zero, and returns approved at
+      // the same time may not together exceed what was issued
+      const lotFilter = { _id: approved.material };
+      if (approved.quantity < 0) {
+        lotFilter.availableQuantity = { $gte: -approved.quantity };
+      }
+      if (approved.type === "return") {
+        lotFilter.$expr = { $gte: [RETURNABLE_QUANTITY, approved.quantity] };
+      }
+      const lot = await Material.findOneAndUpdate(
+        lotFilter,
+        {
+          $inc: { availableQuantity: approved.quantity },
+          $push: {
+            adjustments: {
+              adjustment: approved._id,
+              type: approved.type,
+              reasonCode: approved.reasonCode,
+              quantity: approved.quantity,
+              date: approved.date,
+            },
+          },
+        },
+        { new: true }
+      );
+      if (!lot) {
+        await StockAdjustment.updateOne(
+          { _id: approved._id },
+          { status: "pending", $unset: { approvedBy: 1, approvedAt: 1 } }
+        );
+        return res.status(409).json({
+          success: false,
+          message:
+            approved.type === "return"
+              ? "More would be returned to the lot than was issued from it"
+              : "Not enough stock left on the lot to apply this entry",
+        });
+      }
+
+      await recordMovements(adjustmentMovement(lot, approved, req.user._id));
+      queueStockEvaluation(approved.project, [approved.matCode]);
+      await recordAudit(req, {
+        action: "update",
+        entityType: "Material",
+        before: lotBefore,
+        after: lot,
+        summary: `Applied ${approved.type} ${approved.adjustmentNo}`,
+      });
+      await recordAudit(req, {
+        action: "update",
+        entityType: "StockAdjustment",
+        before,
+        after: approved,
+      });
+
+      res.json({
+        success: true,
+        message: `${approved.adjustmentNo} approved and applied`,
+        data: approved,
+      });
+    } catch (error) {
+      console.error("Approve stock adjustment error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Server error while approving stock adjustment",
+      });
+    }
+  }
+);
+
+// @route   POST /api/stock-adjustments/:id/reject
+// @desc    Reject a pending entry; stock is left as it is
+// @access  Private (material:approve)
+router.post(
+  "/:id/reject",
+  requirePermission("material:approve"),
+  projectScope,
+  [body("reason").trim().notEmpty().withMessage("Reason is required")],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const adjustment = await StockAdjustment.findById(req.params.id);
+      if (!adjustment) {
+        return res.status(404).json({
+          success: false,
+          message: "Stock adjustment not found",
+        });
+      }
+      if (!req.hasProjectAccess(adjustment.project)) {
+        return res.status(403).json({
+          success: false,
+          message: "No access to this project",
+        });
+      }
+
+      const before = adjustment.toObject();
+      const rejected = await StockAdjustment.findOneAndUpdate(
+        { _id: adjustment._id, status: "pending" },
+        {
+          status: "rejected",
+          rejectedBy: req.user._id,
+          rejectedAt: new Date(),
+          rejectionReason: req.body.reason,
+        },
+        { new: true }
+      );
+      if (!rejected) {
+        return res.status(409).json({
+          success: false,
+          message: `Stock adjustment is already ${adjustment.status}`,
+        });
+      }
+
+      await recordAudit(req, {
+        action: "update",
+        entityType: "StockAdjustment",
+        before,
+        after: rejected,
+      });
+
+      res.json({
+        success: true,
+        message: `${rejected.adjustmentNo} rejected`,
+        data: rejected,
+      });
+    } catch (error) {
+      console.error("Reject stock adjustment error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Server error while rejecting stock adjustment",
+      });
+    }
+  }
+);
+
+module.exports = router;
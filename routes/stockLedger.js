@@ -0,0 +1,139 @@
+const express = require("express");
+const { requirePermission } = require("../middleware/auth");
+const projectScope = require("../middleware/projectScope");
+const {
+  parseRange,
+  stockCard,
+  periodSummary,
+  balanceAsOf,
+} = require("../services/stockLedger");
+
+const router = express.Router();
+
+const invalidDate = (date) => date && Number.isNaN(date.getTime());
+
+// @route   GET /api/stock-ledger/card/:matCode
+// @desc    Stock card for a material: every movement with a running balance,
+//          between ?from= and ?to=, on ?projectId= or all the caller's sites
+// @access  Private (material:view)
+router.get("/card/:matCode", requirePermission("material:view"), projectScope, async (req, res) => {
+  try {
+    const { projectId } = req.query;
+    const { from, to } = parseRange(req.query);
+    if (invalidDate(from) || invalidDate(to)) {
+      return res.status(400).json({
+        success: false,
+        message: "from and to must be valid dates",
+      });
+    }
+    if (projectId && !req.hasProjectAccess(projectId)) {
+      return res.status(403).json({
+        success: false,
+        message: "No access to this project",
+      });
+    }
+
+    const card = await stockCard({
+      matCode: req.params.matCode,
+      projectIds: projectId ? [projectId] : req.projectIds,
+      from,
+      to,
+    });
+
+    res.json({
+      success: true,
+      data: card,
+    });
+  } catch (error) {
+    console.error("Get stock card error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while fetching stock card",
+    });
+  }
+});
+
+// @route   GET /api/stock-ledger/summary/:projectId
+// @desc    Opening, in, out and closing stock per material on a project for
+//          ?from= to ?to=, with the movements broken down by type
+// @access  Private (material:view)
+router.get(
+  "/summary/:projectId",
+  requirePermission("material:view"),
+  projectScope,
+  async (req, res) => {
+    try {
+      const { from, to } = parseRange(req.query);
+      if (invalidDate(from) || invalidDate(to)) {
+        return res.status(400).json({
+          success: false,
+          message: "from and to must be valid dates",
+        });
+      }
+      if (!req.hasProjectAccess(req.params.projectId)) {
+        return res.status(403).json({
+          success: false,
+          message: "No access to this project",
+        });
+      }
+
+      const materials = await periodSummary({
+        projectId: req.params.projectId,
+        from,
+        to,
+      });
+
+      res.json({
+        success: true,
+        data: { from, to, materials },
+      });
+    } catch (error) {
+      console.error("Get stock summary error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Server error while fetching stock summary",
+      });
+    }
+  }
+);
+
+// @route   GET /api/stock-ledger/balance
+// @desc    Stock on hand per site and material at the end of ?asOf= (default
+//          now), for ?projectId= or all the caller's sites
+// @access  Private (material:view)
+router.get("/balance", requirePermission("material:view"), projectScope, async (req, res) => {
+  try {
+    const { projectId } = req.query;
+    const { to: asOf } = parseRange({ to: req.query.asOf });
+    if (invalidDate(asOf)) {
+      return res.status(400).json({
+        success: false,
+        message: "asOf must be a valid date",
+      });
+    }
+    if (projectId && !req.hasProjectAccess(projectId)) {
+      return res.status(403).json({
+        success: false,
+        message: "No access to this project",
+      });
+    }
+
+    const balances = await balanceAsOf({
+      projectIds: projectId ? [projectId] : req.projectIds,
+      asOf,
+    });
+
+    res.json({
+      success: true,
+      data: { asOf: asOf || new Date(), balances },
+    });
+  } catch (error) {
+    console.error("Get stock balance error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while fetching stock balance",
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,109 @@
+const express = require("express");
+const { requirePermission } = require("../middleware/auth");
+const projectScope = require("../middleware/projectScope");
+const { parseRange } = require("../services/stockLedger");
+const { consumptionValue, closingStockValue } = require("../services/valuation");
+
+const router = express.Router();
+
+// Closing stock is worked out month by month
+const MAX_MONTHS = 36;
+
+const invalidDate = (date) => date && Number.isNaN(date.getTime());
+
+const monthsSpanned = (from, to = new Date()) =>
+  (to.getUTCFullYear() - from.getUTCFullYear()) * 12 +
+  (to.getUTCMonth() - from.getUTCMonth()) +
+  1;
+
+// @route   GET /api/stock-valuation/consumption
+// @desc    Value of material consumed between ?from= and ?to= per project,
+//          item and month, each issue at the cost of the lots it came from
+//          (FIFO), on ?projectId= or all the caller's sites (?matCode=)
+// @access  Private (material:view)
+router.get("/consumption", requirePermission("material:view"), projectScope, async (req, res) => {
+  try {
+    const { projectId, matCode } = req.query;
+    const { from, to } = parseRange(req.query);
+    if (invalidDate(from) || invalidDate(to)) {
+      return res.status(400).json({
+        success: false,
+        message: "from and to must be valid dates",
+      });
+    }
+    if (projectId && !req.hasProjectAccess(projectId)) {
+      return res.status(403).json({
+        success: false,
+        message: "No access to this project",
+      });
+    }
+
+    const consumption = await consumptionValue({
+      projectIds: projectId ? [projectId] : req.projectIds,
+      matCode,
+      from,
+      to,
+    });
+
+    res.json({
+      success: true,
+      data: { from, to, ...consumption },
+    });
+  } catch (error) {
+    console.error("Get consumption value error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while valuing consumption",
+    });
+  }
+});
+
+// @route   GET /api/stock-valuation/closing-stock
+// @desc    Value of stock on hand at the end of each month from ?from= to ?to=
+//          (default: now) per project and item, each lot at its unit cost, on
+//          ?projectId= or all the caller's sites (?matCode=)
+// @access  Private (material:view)
+router.get("/closing-stock", requirePermission("material:view"), projectScope, async (req, res) => {
+  try {
+    const { projectId, matCode } = req.query;
+    const { from, to } = parseRange(req.query);
+    if (invalidDate(from) || invalidDate(to)) {
+      return res.status(400).json({
+        success: false,
+        message: "from and to must be valid dates",
+      });
+    }
+    if (from && monthsSpanned(from, to) > MAX_MONTHS) {
+      return res.status(400).json({
+        success: false,
+        message: `Closing stock can be valued for at most ${MAX_MONTHS} months at a time`,
+      });
+    }
+    if (projectId && !req.hasProjectAccess(projectId)) {
+      return res.status(403).json({
+        success: false,
+        message: "No access to this project",
+      });
+    }
+
+    const closing = await closingStockValue({
+      projectIds: projectId ? [projectId] : req.projectIds,
+      matCode,
+      from,
+      to,
+    });
+
+    res.json({
+      success: true,
+      data: closing,
+    });
+  } catch (error) {
+    console.error("Get closing stock value error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while valuing closing stock",
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,490 @@
+const express = require("express");
+const mongoose = require("mongoose");
+const { body, validationResult } = require("express-validator");
+const Task = require("../models/Task");
+const User = require("../models/User");
+const { requirePermission } = require("../middleware/auth");
+const projectScope = require("../middleware/projectScope");
+const { recordAudit } = require("../services/audit");
+const { findViewableProject, findScopedProject } = require("../services/projectAccess");
+const { archive } = require("../services/trash");
+const {
+  DAY,
+  findCycle,
+  computeCriticalPath,
+  toGantt,
+  rollUpProgress,
+} = require("../services/schedule");
+
+// Mounted at /api/projects/:projectId
+const router = express.Router({ mergeParams: true });
+
+const taskValidators = (isUpdate) => {
+  const field = (name) => (isUpdate ? body(name).optional() : body(name));
+  return [
+    field("name").trim().notEmpty().withMessage("Task name is required"),
+    body("description")
+      .optional()
+      .trim()
+      .isLength({ max: 1000 })
+      .withMessage("Description must be less than 1000 characters"),
+    body("type")
+      .optional()
+      .isIn(["task", "milestone"])
+      .withMessage("Type must be task or milestone"),
+    field("plannedStart").isISO8601().withMessage("Invalid planned start date"),
+    body("plannedEnd")
+      .optional()
+      .isISO8601()
+      .withMessage("Invalid planned end date"),
+    body("actualStart").optional({ nullable: true }).isISO8601(),
+    body("actualEnd").optional({ nullable: true }).isISO8601(),
+    body("percentComplete")
+      .optional()
+      .isFloat({ min: 0, max: 100 })
+      .withMessage("Percent complete must be between 0 and 100"),
+    body("assignees").optional().isArray().withMessage("Assignees must be an array"),
+    body("assignees.*").isMongoId().withMessage("Invalid assignee"),
+    body("dependencies")
+      .optional()
+      .isArray()
+      .withMessage("Dependencies must be an array"),
+    body("dependencies.*").isMongoId().withMessage("Invalid dependency"),
+  ];
+};
+
+const TASK_FIELDS = [
+  "name",
+  "description",
+  "type",
+  "plannedStart",
+  "plannedEnd",
+  "actualStart",
+  "actualEnd",
+  "percentComplete",
+  "assignees",
+  "dependencies",
+];
+
+// Check that assignees exist and dependencies are other tasks of the same
+// project. Returns an error message or null.
+const checkReferences = async (projectId, taskId, { assignees, dependencies }) => {
+  if (assignees && assignees.length) {
+    const unique = [...new Set(assignees.map(String))];
+    const found = await User.countDocuments({ _id: { $in: unique } });
+    if (found !== unique.length) return "One or more assignees do not exist";
+  }
+  if (dependencies && dependencies.length) {
+    const unique = [...new Set(dependencies.map(String))];
+    if (taskId && unique.includes(taskId.toString())) {
+      return "A task cannot depend on itself";
+    }
+    const found = await Task.countDocuments({
+      _id: { $in: unique },
+      project: projectId,
+    });
+    if (found !== unique.length) {
+      return "Dependencies must be tasks of the same project";
+    }
+  }
+  return null;
+};
+
+// Planned end may not precede planned start (milestones take the start)
+const hasValidDates = ({ type, plannedStart, plannedEnd }) =>
+  type === "milestone" || new Date(plannedEnd) >= new Date(plannedStart);
+
+const sendDateError = (res) =>
+  res.status(400).json({
+    success: false,
+    message: "Planned end cannot be before planned start",
+  });
+
+// Names along a dependency loop, for error messages
+const describeCycle = (tasks, cycle) => {
+  const names = new Map(tasks.map((task) => [task._id.toString(), task.name]));
+  return cycle.map((id) => names.get(id) || id);
+};
+
+const sendCycleError = (res, tasks, cycle) =>
+  res.status(400).json({
+    success: false,
+    message: "Task dependencies would form a cycle",
+    data: { cycle: describeCycle(tasks, cycle) },
+  });
+
+// @route   GET /api/projects/:projectId/tasks
+// @desc    List the tasks and milestones of a project
+// @access  Private
+router.get("/tasks", requirePermission("project:view"), async (req, res) => {
+  try {
+    const project = await findViewableProject(req, res, req.params.projectId);
+    if (!project) return;
+
+    const filter = { project: project._id };
+    if (req.query.type) filter.type = req.query.type;
+
+    const tasks = await Task.find(filter)
+      .populate("assignees", "username")
+      .populate("dependencies", "name")
+      .sort({ plannedStart: 1 });
+
+    res.json({
+      success: true,
+      data: tasks,
+    });
+  } catch (error) {
+    console.error("Get tasks error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while fetching tasks",
+    });
+  }
+});
+
+// @route   POST /api/projects/:projectId/tasks
+// @desc    Add a task or milestone to a project
+// @access  Private (task:manage on the project)
+router.post(
+  "/tasks",
+  requirePermission("task:manage"),
+  projectScope,
+  taskValidators(false),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const project = await findScopedProject(req, res, req.params.projectId);
+      if (!project) return;
+
+      const data = {};
+      TASK_FIELDS.forEach((key) => {
+        if (req.body[key] !== undefined) data[key] = req.body[key];
+      });
+      if (!data.plannedEnd) data.plannedEnd = data.plannedStart;
+      if (!hasValidDates(data)) return sendDateError(res);
+
+      const referenceError = await checkReferences(project._id, null, data);
+      if (referenceError) {
+        return res.status(400).json({
+          success: false,
+          message: referenceError,
+        });
+      }
+
+      const task = new Task({
+        ...data,
+        project: project._id,
+        createdBy: req.user._id,
+      });
+      await task.save();
+      await recordAudit(req, { action: "create", entityType: "Task", after: task });
+      await rollUpProgress(project._id);
+
+      res.status(201).json({
+        success: true,
+        message: "Task created successfully",
+        data: task,
+      });
+    } catch (error) {
+      console.error("Create task error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Server error while creating task",
+      });
+    }
+  }
+);
+
+// @route   GET /api/projects/:projectId/tasks/:taskId
+// @desc    Get a single task
+// @access  Private
+router.get("/tasks/:taskId", requirePermission("project:view"), async (req, res) => {
+  try {
+    const project = await findViewableProject(req, res, req.params.projectId);
+    if (!project) return;
+
+    const task = await Task.findOne({
+      _id: req.params.taskId,
+      project: project._id,
+    })
+      .populate("assignees", "username phone")
+      .populate("dependencies", "name plannedStart plannedEnd percentComplete");
+
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        message: "Task not found",
+      });
+    }
+
+    res.json({
+      success: true,
+      data: task,
+    });
+  } catch (error) {
+    console.error("Get task error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while fetching task",
+    });
+  }
+});
+
+// @route   PUT /api/projects/:projectId/tasks/:taskId
+// @desc    Update a task's plan, progress, assignees or dependencies
+// @access  Private (task:manage on the project)
+router.put(
+  "/tasks/:taskId",
+  requirePermission("task:manage"),
+  projectScope,
+  taskValidators(true),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const project = await findScopedProject(req, res, req.params.projectId);
+      if (!project) return;
+
+      const task = await Task.findOne({
+        _id: req.params.taskId,
+        project: project._id,
+      });
+      if (!task) {
+        return res.status(404).json({
+          success: false,
+          message: "Task not found",
+        });
+      }
+
+      const updates = {};
+      TASK_FIELDS.forEach((key) => {
+        if (req.body[key] !== undefined) updates[key] = req.body[key];
+      });
+      if (!hasValidDates({ ...task.toObject(), ...updates })) {
+        return sendDateError(res);
+      }
+
+      const referenceError = await checkReferences(project._id, task._id, updates);
+      if (referenceError) {
+        return res.status(400).json({
+          success: false,
+          message: referenceError,
+        });
+      }
+
+      if (updates.dependencies) {
+        const tasks = await Task.find({ project: project._id })
+          .select("name dependencies")
+          .lean();
+        const proposed = tasks.map((t) =>
+          t._id.equals(task._id)
+            ? {
+                ...t,
+                dependencies: updates.dependencies.map(
+                  (id) => new mongoose.Types.ObjectId(id)
+                ),
+              }
+            : t
+        );
+        const cycle = findCycle(proposed);
+        if (cycle) return sendCycleError(res, tasks, cycle);
+      }
+
+      const before = task.toObject();
+      task.set(updates);
+      await task.save();
+      await recordAudit(req, { action: "update", entityType: "Task", before, after: task });
+      await rollUpProgress(project._id);
+
+      res.json({
+        success: true,
+        message: "Task updated successfully",
+        data: task,
+      });
+    } catch (error) {
+      console.error("Update task error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Server error while updating task",
+      });
+    }
+  }
+);
+
+// @route   DELETE /api/projects/:projectId/tasks/:taskId
+// @desc    Move a task to the trash. Links from other tasks are kept so a
+//          restore brings the schedule back intact; scheduling ignores them
+//          meanwhile.
+// @access  Private (task:manage on the project)
+router.delete("/tasks/:taskId", requirePermission("task:manage"), projectScope, async (req, res) => {
+  try {
+    const project = await findScopedProject(req, res, req.params.projectId);
+    if (!project) return;
+
+    const task = await Task.findOne({
+      _id: req.params.taskId,
+      project: project._id,
+    });
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        message: "Task not found",
+      });
+    }
+
+    const before = task.toObject();
+    await archive(task, req.user._id);
+    await recordAudit(req, { action: "delete", entityType: "Task", before });
+    await rollUpProgress(project._id);
+
+    res.json({
+      success: true,
+      message: "Task moved to trash",
+    });
+  } catch (error) {
+    console.error("Delete task error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while deleting task",
+    });
+  }
+});
+
+// @route   GET /api/projects/:projectId/schedule/critical-path
+// @desc    Critical path over planned durations, with early/late dates and
+//          slack (in days) for every task
+// @access  Private
+router.get(
+  "/schedule/critical-path",
+  requirePermission("project:view"),
+  async (req, res) => {
+    try {
+      const project = await findViewableProject(req, res, req.params.projectId);
+      if (!project) return;
+
+      const tasks = await Task.find({ project: project._id })
+        .select("name type plannedStart plannedEnd dependencies")
+        .lean();
+
+      let result;
+      try {
+        result = computeCriticalPath(tasks);
+      } catch (err) {
+        if (!err.cycle) throw err;
+        return sendCycleError(res, tasks, err.cycle);
+      }
+
+      // Offsets are counted from the earliest planned start
+      const start = tasks.length
+        ? new Date(Math.min(...tasks.map((t) => t.plannedStart)))
+        : project.date;
+      const at = (offset) => new Date(start.getTime() + offset * DAY);
+      const byId = new Map(tasks.map((t) => [t._id.toString(), t]));
+
+      res.json({
+        success: true,
+        data: {
+          projectStart: start,
+          projectDuration: result.projectDuration,
+          projectFinish: at(result.projectDuration),
+          criticalPath: result.criticalPath.map((id) => ({
+            _id: id,
+            name: byId.get(id).name,
+          })),
+          tasks: [...result.plan].map(([id, entry]) => ({
+            _id: id,
+            name: byId.get(id).name,
+            ...entry,
+            earlyStartDate: at(entry.earlyStart),
+            lateFinishDate: at(entry.lateFinish),
+          })),
+        },
+      });
+    } catch (error) {
+      console.error("Get critical path error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Server error while computing critical path",
+      });
+    }
+  }
+);
+
+// @route   GET /api/projects/:projectId/schedule/gantt
+// @desc    Gantt-ready rows with planned vs actual dates and progress
+// @access  Private
+router.get("/schedule/gantt", requirePermission("project:view"), async (req, res) => {
+  try {
+    const project = await findViewableProject(req, res, req.params.projectId);
+    if (!project) return;
+
+    const tasks = await Task.find({ project: project._id })
+      .populate("assignees", "username")
+      .sort({ plannedStart: 1 })
+      .lean();
+
+    res.json({
+      success: true,
+      data: {
+        project: {
+          _id: project._id,
+          name: project.name,
+          progress: project.progress,
+        },
+        tasks: toGantt(tasks),
+      },
+    });
+  } catch (error) {
+    console.error("Get gantt error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while building gantt data",
+    });
+  }
+});
+
+// @route   GET /api/projects/:projectId/schedule/cycles
+// @desc    Check the task dependencies for a circular chain
+// @access  Private
+router.get("/schedule/cycles", requirePermission("project:view"), async (req, res) => {
+  try {
+    const project = await findViewableProject(req, res, req.params.projectId);
+    if (!project) return;
+
+    const tasks = await Task.find({ project: project._id })
+      .select("name dependencies")
+      .lean();
+    const cycle = findCycle(tasks);
+
+    res.json({
+      success: true,
+      data: {
+        hasCycle: Boolean(cycle),
+        cycle: cycle ? describeCycle(tasks, cycle) : [],
+      },
+    });
+  } catch (error) {
+    console.error("Check task cycles error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while checking dependencies",
+    });
+  }
+});
+
+module.exports = router;
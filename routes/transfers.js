@@ -0,0 +1,549 @@
+const express = require("express");
+const mongoose = require("mongoose");
+const { body, validationResult } = require("express-validator");
+const Transfer = require("../models/Transfer");
+const Material = require("../models/Material");
+const MaterialItem = require("../models/MaterialItem");
+const Project = require("../models/Project");
+const { requirePermission } = require("../middleware/auth");
+const projectScope = require("../middleware/projectScope");
+const idempotency = require("../middleware/idempotency");
+const { recordAudit } = require("../services/audit");
+const { toBase, fromBase } = require("../services/units");
+const { deductFifo, rollback, nextVoucherNo, round } = require("../services/materialIssue");
+const {
+  receiptMovement,
+  usageMovement,
+  recordMovements,
+  reverseMovements,
+} = require("../services/stockLedger");
+const { queueStockEvaluation } = require("../services/reorder");
+const { normaliseUnit } = require("../config/units");
+const { isOperational } = require("../config/projectStatus");
+
+const router = express.Router();
+
+// @route   GET /api/transfers
+// @desc    Transfers into or out of the caller's sites (?status=, ?projectId=
+//          either side, ?direction=in|out with projectId, ?matCode=)
+// @access  Private (material:view)
+router.get("/", requirePermission("material:view"), projectScope, async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status, projectId, direction, matCode } = req.query;
+
+    const filter = {};
+    if (req.projectIds) {
+      filter.$or = [
+        { fromProject: { $in: req.projectIds } },
+        { toProject: { $in: req.projectIds } },
+      ];
+    }
+    if (projectId) {
+      if (!req.hasProjectAccess(projectId)) {
+        return res.status(403).json({
+          success: false,
+          message: "No access to this project",
+        });
+      }
+      const sides = {
+        in: [{ toProject: projectId }],
+        out: [{ fromProject: projectId }],
+      }[direction] || [{ fromProject: projectId }, { toProject: projectId }];
+      filter.$and = [{ $or: sides }];
+    }
+    if (status) filter.status = status;
+    if (matCode) filter.matCode = matCode;
+
+    const pageNumber = parseInt(page, 10);
+    const limitNumber = parseInt(limit, 10);
+
+    const transfers = await Transfer.find(filter)
+      .populate("fromProject toProject", "name")
+      .populate("dispatchedBy receivedBy", "username")
+      .sort({ dispatchedAt: -1 })
+      .limit(limitNumber)
+      .skip((pageNumber - 1) * limitNumber);
+
+    const total = await Transfer.countDocuments(filter);
+
+    res.json({
+      success: true,
+      data: {
+        transfers,
+        pagination: {
+          currentPage: pageNumber,
+          totalPages: Math.ceil(total / limitNumber),
+          totalTransfers: total,
+          hasNext: pageNumber < Math.ceil(total / limitNumber),
+          hasPrev: pageNumber > 1,
+        },
+      },
+    });
+  } catch (error) {
+    console.error("Get transfers error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while fetching transfers",
+    });
+  }
+});
+
+// @route   GET /api/transfers/:id
+// @desc    Get a transfer (the challan) with the source lots drawn from
+// @access  Private (material:view)
+router.get("/:id", requirePermission("material:view"), projectScope, async (req, res) => {
+  try {
+    const transfer = await Transfer.findById(req.params.id)
+      .populate("fromProject toProject", "name location")
+      .populate("dispatchedBy receivedBy cancelledBy", "username");
+
+    if (!transfer) {
+      return res.status(404).json({
+        success: false,
+        message: "Transfer not found",
+      });
+    }
+    if (
+      !req.hasProjectAccess(transfer.fromProject._id) &&
+      !req.hasProjectAccess(transfer.toProject._id)
+    ) {
+      return res.status(403).json({
+        success: false,
+        message: "No access to this transfer",
+      });
+    }
+
+    res.json({
+      success: true,
+      data: transfer,
+    });
+  } catch (error) {
+    console.error("Get transfer error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while fetching transfer",
+    });
+  }
+});
+
+// @route   POST /api/transfers
+// @desc    Dispatch material from one site to another. The quantity leaves
+//          the source site's lots (oldest first) straight away and is in
+//          transit until received. Honours Idempotency-Key.
+// @access  Private (material:issue on the source site)
+router.post(
+  "/",
+  requirePermission("material:issue"),
+  idempotency,
+  projectScope,
+  [
+    body("matCode").trim().notEmpty().withMessage("Material code is required"),
+    body("quantity").isFloat({ gt: 0 }).withMessage("Quantity must be a positive number"),
+    body("unit").optional().trim(),
+    body("fromProject").isMongoId().withMessage("Valid source project is required"),
+    body("toProject").isMongoId().withMessage("Valid destination project is required"),
+    body("vehicleNo").optional().trim(),
+    body("remarks").optional().trim(),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const { matCode, quantity, unit, fromProject, toProject, vehicleNo, remarks } =
+        req.body;
+
+      if (fromProject === toProject) {
+        return res.status(400).json({
+          success: false,
+          message: "Source and destination must be different projects",
+        });
+      }
+      if (!req.hasProjectAccess(fromProject)) {
+        return res.status(403).json({
+          success: false,
+          message: "No access to the source project",
+        });
+      }
+
+      const projects = await Project.find({ _id: { $in: [fromProject, toProject] } }).select(
+        "name status"
+      );
+      const source = projects.find((p) => p._id.equals(fromProject));
+      const destination = projects.find((p) => p._id.equals(toProject));
+      if (!source || !destination) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid project selected",
+        });
+      }
+      for (const project of [source, destination]) {
+        if (!isOperational(project.status)) {
+          return res.status(409).json({
+            success: false,
+            message: `Project ${project.name} is ${project.status}; material cannot be transferred`,
+          });
+        }
+      }
+
+      const item = await MaterialItem.findOne({ code: matCode });
+      if (!item) {
+        return res.status(404).json({
+          success: false,
+          message: `Unknown material code ${matCode}`,
+        });
+      }
+
+      const baseQuantity = toBase(item, quantity, unit);
+      if (baseQuantity === null) {
+        return res.status(400).json({
+          success: false,
+          message: `Unit ${unit} is not permitted for ${item.code}`,
+        });
+      }
+      const enteredUnit = normaliseUnit(unit) || item.baseUnit;
+
+      const transferId = new mongoose.Types.ObjectId();
+      const dispatchedAt = new Date();
+      let lines;
+      try {
+        lines = await deductFifo({
+          item,
+          filter: { projectAssigned: source._id },
+          quantity: baseQuantity,
+          entry: (lot, take) => ({
+            type: "transfer",
+            takenBy: `Transfer to ${destination.name}`,
+            quantity: take,
+            enteredQuantity: fromBase(item, take, enteredUnit),
+            enteredUnit,
+            transfer: transferId,
+            date: dispatchedAt,
+          }),
+        });
+      } catch (err) {
+        if (!err.status) throw err;
+        return res.status(err.status).json({
+          success: false,
+          message: err.message,
+        });
+      }
+
+      let transfer;
+      try {
+        transfer = await Transfer.create({
+          _id: transferId,
+          challanNo: await nextVoucherNo("TC", dispatchedAt),
+          item: item._id,
+          matCode: item.code,
+          name: item.name,
+          quantity: baseQuantity,
+          unit: item.baseUnit,
+          enteredQuantity: quantity,
+          enteredUnit,
+          // Priced at each source lot's unit cost; left unpriced if any lot
+          // was added without an amount
+          amount: lines.every((l) => typeof l.usage.value === "number")
+            ? round(lines.reduce((sum, l) => sum + l.usage.value, 0))
+            : undefined,
+          fromProject: source._id,
+          toProject: destination._id,
+          lines: lines.map((l) => ({
+            material: l.material,
+            lotDate: l.lotDate,
+            quantity: l.quantity,
+            usageId: l.usageId,
+          })),
+          vehicleNo,
+          remarks,
+          dispatchedBy: req.user._id,
+          dispatchedAt,
+        });
+      } catch (err) {
+        await rollback(lines);
+        throw err;
+      }
+
+      await recordMovements(
+        lines.map((l) =>
+          usageMovement(l.after, l.usage, {
+            reference: transfer.challanNo,
+            userId: req.user._id,
+          })
+        )
+      );
+      for (const line of lines) {
+        await recordAudit(req, {
+          action: "update",
+          entityType: "Material",
+          before: line.before,
+          after: line.after,
+          summary: `Dispatched ${line.quantity} ${item.baseUnit} on ${transfer.challanNo}`,
+        });
+      }
+      await recordAudit(req, { action: "create", entityType: "Transfer", after: transfer });
+      queueStockEvaluation(source._id, [item.code]);
+
+      res.status(201).json({
+        success: true,
+        message: `Material dispatched on challan ${transfer.challanNo}`,
+        data: transfer,
+      });
+    } catch (error) {
+      console.error("Dispatch transfer error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Server error while dispatching transfer",
+      });
+    }
+  }
+);
+
+// @route   POST /api/transfers/:id/receive
+// @desc    Receive an in-transit transfer at the destination site as a new
+//          stock lot. receivedQuantity (default: all of it, in `unit` or the
+//          base unit) below the dispatched quantity records a shortage.
+// @access  Private (material:add on the destination site)
+router.post(
+  "/:id/receive",
+  requirePermission("material:add"),
+  projectScope,
+  [
+    body("receivedQuantity")
+      .optional()
+      .isFloat({ min: 0 })
+      .withMessage("Received quantity must be a non-negative number"),
+    body("unit").optional().trim(),
+    body("remarks").optional().trim(),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const transfer = await Transfer.findById(req.params.id);
+      if (!transfer) {
+        return res.status(404).json({
+          success: false,
+          message: "Transfer not found",
+        });
+      }
+      if (!req.hasProjectAccess(transfer.toProject)) {
+        return res.status(403).json({
+          success: false,
+          message: "No access to the destination project",
+        });
+      }
+
+      // The destination may have been closed or put on hold since dispatch
+      const destination = await Project.findById(transfer.toProject).select("name status");
+      if (!destination || !isOperational(destination.status)) {
+        return res.status(409).json({
+          success: false,
+          message: destination
+            ? `Project ${destination.name} is ${destination.status}; material cannot be received`
+            : "The destination project no longer exists",
+        });
+      }
+
+      const item = await MaterialItem.findById(transfer.item).setOptions({
+        withDeleted: true,
+      });
+      let received = transfer.quantity;
+      if (req.body.receivedQuantity !== undefined) {
+        received = toBase(item, req.body.receivedQuantity, req.body.unit);
+        if (received === null) {
+          return res.status(400).json({
+            success: false,
+            message: `Unit ${req.body.unit} is not permitted for ${item.code}`,
+          });
+        }
+      }
+      if (received > transfer.quantity) {
+        return res.status(400).json({
+          success: false,
+          message: `Cannot receive more than the ${transfer.quantity} ${transfer.unit} dispatched`,
+        });
+      }
+
+      // Only one receipt (or cancellation) can win
+      const before = transfer.toObject();
+      const updated = await Transfer.findOneAndUpdate(
+        { _id: transfer._id, status: "in-transit" },
+        {
+          status: "received",
+          receivedQuantity: received,
+          shortQuantity: round(transfer.quantity - received),
+          receivedBy: req.user._id,
+          receivedAt: new Date(),
+          receiptRemarks: req.body.remarks,
+        },
+        { new: true }
+      );
+      if (!updated) {
+        return res.status(409).json({
+          success: false,
+          message: `Transfer is already ${transfer.status}`,
+        });
+      }
+
+      if (received > 0) {
+        try {
+          const lot = await Material.create({
+            item: item._id,
+            name: item.name,
+            matCode: item.code,
+            quantity: received,
+            availableQuantity: received,
+            unit: item.baseUnit,
+            enteredQuantity: received,
+            enteredUnit: item.baseUnit,
+            amount:
+              typeof transfer.amount === "number"
+                ? round((transfer.amount * received) / transfer.quantity)
+                : undefined,
+            transfer: transfer._id,
+            date: updated.receivedAt,
+            addedBy: req.user.username,
+            projectAssigned: transfer.toProject,
+          });
+          updated.receivedLot = lot._id;
+          await updated.save();
+          await recordMovements(receiptMovement(lot, req.user._id, transfer.challanNo));
+          await recordAudit(req, { action: "create", entityType: "Material", after: lot });
+        } catch (err) {
+          await Transfer.updateOne(
+            { _id: transfer._id },
+            {
+              status: "in-transit",
+              $unset: {
+                receivedQuantity: 1,
+                shortQuantity: 1,
+                receivedBy: 1,
+                receivedAt: 1,
+                receiptRemarks: 1,
+              },
+            }
+          );
+          throw err;
+        }
+      }
+
+      await recordAudit(req, {
+        action: "update",
+        entityType: "Transfer",
+        before,
+        after: updated,
+      });
+      queueStockEvaluation(updated.toProject, [updated.matCode]);
+
+      res.json({
+        success: true,
+        message: updated.shortQuantity
+          ? `Transfer received with a shortage of ${updated.shortQuantity} ${updated.unit}`
+          : "Transfer received successfully",
+        data: updated,
+      });
+    } catch (error) {
+      console.error("Receive transfer error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Server error while receiving transfer",
+      });
+    }
+  }
+);
+
+// @route   POST /api/transfers/:id/cancel
+// @desc    Cancel an in-transit transfer; the stock goes back to the source
+//          lots it was drawn from
+// @access  Private (material:issue on the source site)
+router.post(
+  "/:id/cancel",
+  requirePermission("material:issue"),
+  projectScope,
+  [body("reason").trim().notEmpty().withMessage("Reason is required")],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const transfer = await Transfer.findById(req.params.id);
+      if (!transfer) {
+        return res.status(404).json({
+          success: false,
+          message: "Transfer not found",
+        });
+      }
+      if (!req.hasProjectAccess(transfer.fromProject)) {
+        return res.status(403).json({
+          success: false,
+          message: "No access to the source project",
+        });
+      }
+
+      const before = transfer.toObject();
+      const updated = await Transfer.findOneAndUpdate(
+        { _id: transfer._id, status: "in-transit" },
+        {
+          status: "cancelled",
+          cancelledBy: req.user._id,
+          cancelledAt: new Date(),
+          cancelReason: req.body.reason,
+        },
+        { new: true }
+      );
+      if (!updated) {
+        return res.status(409).json({
+          success: false,
+          message: `Transfer is already ${transfer.status}`,
+        });
+      }
+
+      await rollback(updated.lines);
+      await reverseMovements(
+        { sourceModel: "Transfer", source: updated._id, type: "transfer-out" },
+        { userId: req.user._id, remarks: `Transfer cancelled: ${req.body.reason}` }
+      );
+      queueStockEvaluation(updated.fromProject, [updated.matCode]);
+      await recordAudit(req, {
+        action: "update",
+        entityType: "Transfer",
+        before,
+        after: updated,
+      });
+
+      res.json({
+        success: true,
+        message: "Transfer cancelled and stock returned to the source site",
+        data: updated,
+      });
+    } catch (error) {
+      console.error("Cancel transfer error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Server error while cancelling transfer",
+      });
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,137 @@
+const express = require("express");
+const { requirePermission } = require("../middleware/auth");
+const projectScope = require("../middleware/projectScope");
+const { recordAudit } = require("../services/audit");
+const { TRASH_TYPES, restore, archivedParent } = require("../services/trash");
+const { rollUpProgress } = require("../services/schedule");
+const { checkBudgetAlerts } = require("../services/budget");
+
+const router = express.Router();
+
+// Resolve :type and require the permission that manages it
+const trashType = (req, res, next) => {
+  const type = TRASH_TYPES[req.params.type];
+  if (!type) {
+    return res.status(404).json({
+      success: false,
+      message: `Unknown trash type. Use one of: ${Object.keys(TRASH_TYPES).join(", ")}`,
+    });
+  }
+  req.trashType = type;
+  requirePermission(type.permission)(req, res, next);
+};
+
+// @route   GET /api/trash/:type
+// @desc    List archived items of a type (project, material, employee, user,
+//          attendance, task, issue, expense, template, materialItem, vendor)
+// @access  Private (the type's manage permission)
+router.get("/:type", trashType, projectScope, async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+    const { model, scopeField, select } = req.trashType;
+
+    const filter = {
+      deletedAt: { $ne: null },
+      ...(scopeField && req.projectFilter(scopeField)),
+    };
+
+    const pageNumber = parseInt(page, 10);
+    const limitNumber = parseInt(limit, 10);
+
+    const items = await model
+      .find(filter)
+      .select(select || "")
+      .populate("deletedBy", "username")
+      .sort({ deletedAt: -1 })
+      .limit(limitNumber)
+      .skip((pageNumber - 1) * limitNumber);
+
+    const total = await model.countDocuments(filter);
+
+    res.json({
+      success: true,
+      data: {
+        items,
+        pagination: {
+          currentPage: pageNumber,
+          totalPages: Math.ceil(total / limitNumber),
+          totalItems: total,
+          hasNext: pageNumber < Math.ceil(total / limitNumber),
+          hasPrev: pageNumber > 1,
+        },
+      },
+    });
+  } catch (error) {
+    console.error("Get trash error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while fetching trash",
+    });
+  }
+});
+
+// @route   POST /api/trash/:type/:id/restore
+// @desc    Restore an archived item, and for a project everything that was
+//          archived along with it
+// @access  Private (the type's manage permission)
+router.post("/:type/:id/restore", trashType, projectScope, async (req, res) => {
+  try {
+    const { model, scopeField, select } = req.trashType;
+
+    // $and keeps the scope filter from replacing _id for projects
+    const item = await model
+      .findOne({
+        $and: [
+          { _id: req.params.id, deletedAt: { $ne: null } },
+          scopeField ? req.projectFilter(scopeField) : {},
+        ],
+      })
+      .setOptions({ withDeleted: true })
+      .select(select || "");
+
+    if (!item) {
+      return res.status(404).json({
+        success: false,
+        message: "Item not found in trash",
+      });
+    }
+
+    const parent = await archivedParent(item);
+    if (parent) {
+      return res.status(409).json({
+        success: false,
+        message: `This item was archived with ${parent.name || parent._id}; restore that first`,
+      });
+    }
+
+    const restored = await restore(item, req.user._id);
+    if (model.modelName === "Task") await rollUpProgress(item.project);
+    if (model.modelName === "Expense") await checkBudgetAlerts(item.project);
+    await recordAudit(req, {
+      action: "restore",
+      entityType: model.modelName,
+      after: item,
+    });
+
+    res.json({
+      success: true,
+      message: "Item restored successfully",
+      data: { item, restored },
+    });
+  } catch (error) {
+    // A unique field (a username, phone or code) was reused while it was away
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: "Another record now uses this item's username, phone or code; change that first",
+      });
+    }
+    console.error("Restore from trash error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while restoring item",
+    });
+  }
+});
+
+module.exports = router;
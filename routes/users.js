@@ -1,33 +1,77 @@
 const express = require("express");
 const { body, validationResult } = require("express-validator");
 const User = require("../models/User");
-const { auth, adminAuth } = require("../middleware/auth");
-const bcrypt = require("bcrypt");
-const nodemailer = require("nodemailer");
-require("dotenv").config();
+const Project = require("../models/Project");
+const { requirePermission } = require("../middleware/auth");
+const { ROLES, PROJECT_ROLES } = require("../config/roles");
+const { revokeUserSessions } = require("../services/sessions");
+const {
+  sendInvitation,
+  revokeInvitations,
+} = require("../services/invitations");
+const { notify } = require("../services/notifications");
+const { recordAudit } = require("../services/audit");
+const { archive } = require("../services/trash");
+const {
+  throttleKeys,
+  clearThrottle,
+  getThrottleStatus,
+} = require("../services/loginThrottle");
 
 const router = express.Router();
 
-// Configure nodemailer (Gmail example – configure env vars)
-const transporter = nodemailer.createTransport({
-  service: "gmail",
-  auth: {
-    user: process.env.ADMIN_EMAIL,
-    pass: process.env.ADMIN_EMAIL_PASSWORD,
-  },
-});
+// Invite tokens are only echoed back to the client while developing locally
+const exposeInviteToken = () => process.env.NODE_ENV === "development";
+
+// Secrets never sent back with a user
+const PRIVATE_FIELDS = "-password -otp -passwordResetOtp -passwordReset";
+
+// Accepts `projectAssignments: [{ project, role }]` or the older single
+// `projectAssigned` ID and returns { assignments, projects } or { error }.
+// Assignments without a role inherit the user's role where possible.
+const resolveAssignments = async (
+  { projectAssignments, projectAssigned },
+  userRole
+) => {
+  const defaultRole = PROJECT_ROLES.includes(userRole) ? userRole : "viewer";
+  let assignments = null;
+
+  if (projectAssignments?.length) {
+    assignments = projectAssignments.map((a) => ({
+      project: a.project,
+      role: a.role || defaultRole,
+    }));
+  } else if (projectAssigned) {
+    assignments = [{ project: projectAssigned, role: defaultRole }];
+  }
+  if (!assignments) return { assignments: null, projects: [] };
+
+  const ids = [...new Set(assignments.map((a) => a.project.toString()))];
+  if (ids.length !== assignments.length) {
+    return { error: "A project can only be assigned once" };
+  }
+
+  const projects = await Project.find({ _id: { $in: ids } }).select("name");
+  if (projects.length !== ids.length) {
+    return { error: "Invalid project selected" };
+  }
+  return { assignments, projects };
+};
 
 // @route   POST /api/users
-// @desc    Add a new user (Admin only)
-// @access  Private/Admin
+// @desc    Invite a new user; they set their own password on acceptance.
+//          The very first user is created directly with a password.
+// @access  Private (user:manage)
 router.post(
   "/",
   async (req, res, next) => {
-    const userCount = await User.countDocuments();
+    // Users in the trash count, so trashing everyone does not reopen this
+    const userCount = await User.countDocuments().setOptions({ withDeleted: true });
     if (userCount === 0) {
+      req.isBootstrap = true;
       return next();
     }
-    return adminAuth(req, res, next);
+    return requirePermission("user:manage")(req, res, next);
   },
   [
     body("username")
@@ -35,17 +79,33 @@ router.post(
       .isLength({ min: 3 })
       .withMessage("Username must be at least 3 characters"),
     body("password")
+      .if((value, { req }) => req.isBootstrap)
       .isLength({ min: 6 })
       .withMessage("Password must be at least 6 characters"),
     body("phone")
       .matches(/^[0-9]{10}$/)
       .withMessage("Phone must be 10 digits"),
+    body("email")
+      .optional({ values: "falsy" })
+      .isEmail()
+      .withMessage("Email must be valid"),
     body("role")
-      .isIn(["admin", "user"])
-      .withMessage("Role must be admin or user"),
-    body("projectAssigned")
-      .notEmpty()
-      .withMessage("Project assigned is required"),
+      .isIn(ROLES)
+      .withMessage(`Role must be one of: ${ROLES.join(", ")}`),
+    body()
+      .custom((b) => b.projectAssignments?.length || b.projectAssigned)
+      .withMessage("At least one project assignment is required"),
+    body("projectAssignments")
+      .optional()
+      .isArray()
+      .withMessage("Project assignments must be an array"),
+    body("projectAssignments.*.project")
+      .isMongoId()
+      .withMessage("Each assignment needs a valid project ID"),
+    body("projectAssignments.*.role")
+      .optional()
+      .isIn(PROJECT_ROLES)
+      .withMessage(`Project role must be one of: ${PROJECT_ROLES.join(", ")}`),
   ],
   async (req, res) => {
     try {
@@ -58,63 +118,87 @@ router.post(
         });
       }
 
-      const { username, password, phone, role, projectAssigned } = req.body;
+      const { username, password, phone, email, role } = req.body;
 
-      // Check if user already exists
+      // Only admins may hand out the admin role (first-user bootstrap aside)
+      if (role === "admin" && req.user && req.user.role !== "admin") {
+        return res.status(403).json({
+          success: false,
+          message: "Only admins can create admin users",
+        });
+      }
+
+      // Check if user already exists, in the trash too (usernames and
+      // phones stay unique there)
       const existingUser = await User.findOne({
         $or: [{ username }, { phone }],
-      });
+      }).setOptions({ withDeleted: true });
 
       if (existingUser) {
         return res.status(409).json({
           success: false,
-          message: "User with this username or phone already exists",
+          message: existingUser.deletedAt
+            ? "This username or phone belongs to a user in the trash; restore it instead"
+            : "User with this username or phone already exists",
         });
       }
 
-      // Check if project exists
-      const Project = require("../models/Project");
-      const projectExists = await Project.findById(projectAssigned);
-      if (!projectExists) {
+      // Check the assigned projects exist
+      const { assignments, projects, error } = await resolveAssignments(
+        req.body,
+        role
+      );
+      if (error) {
         return res.status(400).json({
           success: false,
-          message: "Invalid project selected",
+          message: error,
         });
       }
 
       const user = new User({
         username,
-        password,
         phone,
+        email,
         role,
-        projectAssigned,
+        projectAssignments: assignments,
+        ...(req.isBootstrap
+          ? { password }
+          : { accountStatus: "invited", isActive: false }),
       });
 
       await user.save();
+      await recordAudit(req, { action: "create", entityType: "User", after: user });
 
-      // Send email with plain password
-      try {
-        const info = await transporter.sendMail({
-          from: process.env.ADMIN_EMAIL,
-          to: "sparshsaxena9654@gmail.com",
-          subject: `New user: ${username}`,
-          text: `User created with:\n- Username: ${username}\n- Phone: ${phone}\n- Role: ${role}\n- Project: ${projectExists.name}\n- Password: ${password}`,
-        });
+      const invite = req.isBootstrap
+        ? null
+        : await sendInvitation(user, req.user._id);
+
+      await notify("userCreated", {
+        subject: `New user: ${username}`,
+        text: `User ${req.isBootstrap ? "created" : "invited"}:\n- Username: ${username}\n- Phone: ${phone}\n- Role: ${role}\n- Projects: ${projects.map((p) => p.name).join(", ")}`,
+      });
 
-        console.log("Email sent:", info.response);
-      } catch (err) {
-        console.error("Email send error:", err.message);
-      }
       res.status(201).json({
         success: true,
-        message: "User created successfully",
+        message: !invite
+          ? "User created successfully"
+          : invite.delivered
+          ? "User invited successfully"
+          : "User created, but the invitation could not be delivered; resend it",
         data: {
           id: user._id,
           username: user.username,
           phone: user.phone,
+          email: user.email,
           role: user.role,
-          projectAssigned: user.projectAssigned,
+          accountStatus: user.accountStatus,
+          projectAssignments: user.projectAssignments,
           createdAt: user.createdAt,
+          ...(invite && {
+            inviteExpiresAt: invite.invitation.expiresAt,
+            inviteDelivered: invite.delivered,
+            ...(exposeInviteToken() && { inviteToken: invite.token }),
+          }),
         },
       });
     } catch (error) {
@@ -128,20 +212,20 @@ router.post(
 );
 
 /// @route   GET /api/users
-// @desc    Get users (Admin only), optionally filter by project
-// @access  Private/Admin
-router.get("/", async (req, res) => {
+// @desc    Get users, optionally filter by project
+// @access  Private (user:view)
+router.get("/", requirePermission("user:view"), async (req, res) => {
   try {
     const { page = 1, limit = 10, role, isActive, projectId } = req.query;
 
     const filter = {};
     if (role) filter.role = role;
     if (isActive !== undefined) filter.isActive = isActive === "true";
-    if (projectId) filter.projectAssigned = projectId;
+    if (projectId) filter["projectAssignments.project"] = projectId;
 
     const users = await User.find(filter)
-      .populate("projectAssigned", "name")
-      .select("-password -otp")
+      .populate("projectAssignments.project", "name")
+      .select(PRIVATE_FIELDS)
       .sort({ createdAt: -1 })
       .limit(limit * 1)
       .skip((page - 1) * limit);
@@ -171,8 +255,8 @@ router.get("/", async (req, res) => {
 });
 // @route   PUT /api/users/refresh-all
 // @desc    Refresh all users (clear OTP, reset login status)
-// @access  Private/Admin
-router.put("/refresh-all", adminAuth, async (req, res) => {
+// @access  Private (user:manage)
+router.put("/refresh-all", requirePermission("user:manage"), async (req, res) => {
   try {
     const result = await User.updateMany(
       {},
@@ -181,6 +265,11 @@ router.put("/refresh-all", adminAuth, async (req, res) => {
         $set: { lastLogin: null },
       }
     );
+    await recordAudit(req, {
+      action: "update",
+      entityType: "User",
+      summary: `Refreshed all users (${result.modifiedCount} modified)`,
+    });
 
     res.json({
       success: true,
@@ -198,18 +287,232 @@ router.put("/refresh-all", adminAuth, async (req, res) => {
   }
 });
 
+// @route   DELETE /api/users/:id/sessions
+// @desc    Revoke every session of a user
+// @access  Private (user:manage)
+router.delete("/:id/sessions", requirePermission("user:manage"), async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id).select("_id");
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+      });
+    }
+
+    const revoked = await revokeUserSessions(user._id, "admin-revoked");
+    await recordAudit(req, {
+      action: "update",
+      entityType: "User",
+      after: user,
+      summary: `Revoked ${revoked} session(s)`,
+    });
+
+    res.json({
+      success: true,
+      message: "All sessions revoked for user",
+      data: { revokedCount: revoked },
+    });
+  } catch (error) {
+    console.error("Revoke user sessions error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while revoking sessions",
+    });
+  }
+});
+
+// @route   POST /api/users/:id/invite/resend
+// @desc    Send a fresh invitation, invalidating earlier ones
+// @access  Private (user:manage)
+router.post("/:id/invite/resend", requirePermission("user:manage"), async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+      });
+    }
+    if (user.accountStatus !== "invited") {
+      return res.status(400).json({
+        success: false,
+        message: "User has already accepted their invitation",
+      });
+    }
+
+    const { invitation, token, delivered } = await sendInvitation(user, req.user._id);
+    await recordAudit(req, {
+      action: "update",
+      entityType: "User",
+      after: user,
+      summary: "Invitation resent",
+    });
+
+    res.json({
+      success: true,
+      message: delivered
+        ? "Invitation resent successfully"
+        : "Invitation renewed, but it could not be delivered",
+      data: {
+        inviteExpiresAt: invitation.expiresAt,
+        inviteDelivered: delivered,
+        ...(exposeInviteToken() && { inviteToken: token }),
+      },
+    });
+  } catch (error) {
+    console.error("Resend invitation error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while resending invitation",
+    });
+  }
+});
+
+// @route   DELETE /api/users/:id/invite
+// @desc    Revoke the user's pending invitation
+// @access  Private (user:manage)
+router.delete("/:id/invite", requirePermission("user:manage"), async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id).select("accountStatus");
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+      });
+    }
+
+    const revoked = await revokeInvitations(user._id);
+    if (!revoked) {
+      return res.status(404).json({
+        success: false,
+        message: "No pending invitation for this user",
+      });
+    }
+    await recordAudit(req, {
+      action: "update",
+      entityType: "User",
+      after: user,
+      summary: "Invitation revoked",
+    });
+
+    res.json({
+      success: true,
+      message: "Invitation revoked successfully",
+    });
+  } catch (error) {
+    console.error("Revoke invitation error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while revoking invitation",
+    });
+  }
+});
+
+// @route   GET /api/users/:id/lock-status
+// @desc    Show failed-attempt counters and lockouts for a user
+// @access  Private (user:manage)
+router.get("/:id/lock-status", requirePermission("user:manage"), async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id).select("username phone");
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+      });
+    }
+
+    const status = await getThrottleStatus(
+      throttleKeys({ username: user.username, phone: user.phone })
+    );
+
+    res.json({
+      success: true,
+      data: status,
+    });
+  } catch (error) {
+    console.error("Get lock status error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while fetching lock status",
+    });
+  }
+});
+
+// @route   POST /api/users/:id/unlock
+// @desc    Clear a user's lockout; pass { ip } to also clear an IP lockout
+// @access  Private (user:manage)
+router.post("/:id/unlock", requirePermission("user:manage"), async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+      });
+    }
+
+    await clearThrottle(
+      throttleKeys({ username: user.username, phone: user.phone, ip: req.body?.ip })
+    );
+
+    // Also lift the per-code OTP attempt lock so a fresh OTP is not needed
+    if (user.otp) {
+      user.otp.attempts = 0;
+      await user.save();
+    }
+    await recordAudit(req, {
+      action: "update",
+      entityType: "User",
+      after: user,
+      summary: "Login lockout cleared",
+    });
+
+    res.json({
+      success: true,
+      message: "User unlocked successfully",
+    });
+  } catch (error) {
+    console.error("Unlock user error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while unlocking user",
+    });
+  }
+});
+
 // @route   PUT /api/users/:id/status
-// @desc    Update user status (Admin only)
-// @access  Private/Admin
-router.put("/:id/status", adminAuth, async (req, res) => {
+// @desc    Update user status
+// @access  Private (user:manage)
+router.put("/:id/status", requirePermission("user:manage"), async (req, res) => {
   try {
     const { isActive } = req.body;
 
+    // Invited users become active by accepting their invitation
+    if (isActive) {
+      const pending = await User.exists({
+        _id: req.params.id,
+        accountStatus: "invited",
+      });
+      if (pending) {
+        return res.status(400).json({
+          success: false,
+          message: "User has not accepted their invitation yet",
+        });
+      }
+    }
+
+    const before = await User.findById(req.params.id).lean();
     const user = await User.findByIdAndUpdate(
       req.params.id,
       { isActive },
       { new: true }
-    ).select("-password -otp");
+    ).select(PRIVATE_FIELDS);
 
     if (!user) {
       return res.status(404).json({
@@ -217,6 +520,11 @@ router.put("/:id/status", adminAuth, async (req, res) => {
         message: "User not found",
       });
     }
+    await recordAudit(req, { action: "update", entityType: "User", before, after: user });
+
+    if (!isActive) {
+      await revokeUserSessions(user._id, "user-deactivated");
+    }
 
     res.json({
       success: true,
@@ -233,11 +541,11 @@ router.put("/:id/status", adminAuth, async (req, res) => {
 });
 
 // @route   DELETE /api/users/:id
-// @desc    Delete a user by ID (Admin only)
-// @access  Private/Admin
-router.delete("/:id", adminAuth, async (req, res) => {
+// @desc    Move a user to the trash; refused for the last active admin
+// @access  Private (user:manage)
+router.delete("/:id", requirePermission("user:manage"), async (req, res) => {
   try {
-    const user = await User.findByIdAndDelete(req.params.id);
+    const user = await User.findById(req.params.id);
 
     if (!user) {
       return res.status(404).json({
@@ -246,9 +554,28 @@ router.delete("/:id", adminAuth, async (req, res) => {
       });
     }
 
+    if (user.role === "admin") {
+      const otherAdmins = await User.countDocuments({
+        _id: { $ne: user._id },
+        role: "admin",
+        isActive: true,
+      });
+      if (!otherAdmins) {
+        return res.status(409).json({
+          success: false,
+          message: "The last active admin cannot be deleted",
+        });
+      }
+    }
+
+    const before = user.toObject();
+    await archive(user, req.user._id);
+    await revokeUserSessions(user._id, "user-deleted");
+    await recordAudit(req, { action: "delete", entityType: "User", before });
+
     res.json({
       success: true,
-      message: "User deleted successfully",
+      message: "User moved to trash",
     });
   } catch (error) {
     console.error("Delete user error:", error);
@@ -260,11 +587,11 @@ router.delete("/:id", adminAuth, async (req, res) => {
 });
 
 // @route   PUT /api/users/:id
-// @desc    Update user info (Admin only)
-// @access  Private/Admin
+// @desc    Update user info
+// @access  Private (user:manage)
 router.put(
   "/:id",
-  adminAuth,
+  requirePermission("user:manage"),
   [
     body("username")
       .optional()
@@ -274,14 +601,25 @@ router.put(
       .optional()
       .matches(/^[0-9]{10}$/)
       .withMessage("Phone must be 10 digits"),
+    body("email")
+      .optional({ values: "falsy" })
+      .isEmail()
+      .withMessage("Email must be valid"),
     body("role")
       .optional()
-      .isIn(["admin", "user"])
-      .withMessage("Role must be admin or user"),
-    body("projectAssigned")
+      .isIn(ROLES)
+      .withMessage(`Role must be one of: ${ROLES.join(", ")}`),
+    body("projectAssignments")
+      .optional()
+      .isArray({ min: 1 })
+      .withMessage("Project assignments must be a non-empty array"),
+    body("projectAssignments.*.project")
+      .isMongoId()
+      .withMessage("Each assignment needs a valid project ID"),
+    body("projectAssignments.*.role")
       .optional()
-      .notEmpty()
-      .withMessage("Project assigned is required"),
+      .isIn(PROJECT_ROLES)
+      .withMessage(`Project role must be one of: ${PROJECT_ROLES.join(", ")}`),
   ],
   async (req, res) => {
     try {
@@ -294,25 +632,64 @@ router.put(
         });
       }
 
-      const { username, phone, role, projectAssigned } = req.body;
+      const { username, phone, email, role } = req.body;
 
-      // Check if projectAssigned is valid (if provided)
-      if (projectAssigned) {
-        const Project = require("../models/Project");
-        const projectExists = await Project.findById(projectAssigned);
-        if (!projectExists) {
-          return res.status(400).json({
+      const target = await User.findById(req.params.id).lean();
+      if (!target) {
+        return res.status(404).json({
+          success: false,
+          message: "User not found",
+        });
+      }
+
+      if (req.user.role !== "admin") {
+        if (role === "admin" || target.role === "admin") {
+          return res.status(403).json({
             success: false,
-            message: "Invalid project selected",
+            message: "Only admins can modify admin users",
           });
         }
       }
 
+      const taken = [username && { username }, phone && { phone }].filter(Boolean);
+      if (taken.length) {
+        const existingUser = await User.findOne({
+          _id: { $ne: target._id },
+          $or: taken,
+        }).setOptions({ withDeleted: true });
+        if (existingUser) {
+          return res.status(409).json({
+            success: false,
+            message: existingUser.deletedAt
+              ? "This username or phone belongs to a user in the trash"
+              : "User with this username or phone already exists",
+          });
+        }
+      }
+
+      // Check the assigned projects are valid (if provided)
+      const { assignments, error } = await resolveAssignments(
+        req.body,
+        role || target.role
+      );
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: error,
+        });
+      }
+
       const updatedUser = await User.findByIdAndUpdate(
         req.params.id,
-        { username, phone, role, projectAssigned },
+        {
+          username,
+          phone,
+          email,
+          role,
+          ...(assignments && { projectAssignments: assignments }),
+        },
         { new: true, runValidators: true }
-      ).select("-password -otp");
+      ).select(PRIVATE_FIELDS);
 
       if (!updatedUser) {
         return res.status(404).json({
@@ -320,6 +697,12 @@ router.put(
           message: "User not found",
         });
       }
+      await recordAudit(req, {
+        action: "update",
+        entityType: "User",
+        before: target,
+        after: updatedUser,
+      });
 
       res.json({
         success: true,
@@ -338,7 +721,7 @@ router.put(
 
 router.put(
   "/:id/reset-password",
-  adminAuth,
+  requirePermission("user:manage"),
   body("newPassword").isLength({ min: 6 }),
   async (req, res) => {
     const errors = validationResult(req);
@@ -348,40 +731,41 @@ router.put(
     const { id } = req.params;
     const { newPassword } = req.body;
 
-    const user = await User.findById(id);
+    const user = await User.findById(id).select("+passwordHistory");
     if (!user)
       return res
         .status(404)
         .json({ success: false, message: "User not found" });
 
-    // ✅ Hash the new password using bcrypt
-    const salt = await bcrypt.genSalt(10);
-    const hashedPassword = await bcrypt.hash(newPassword, salt);
+    if (await user.isPasswordReused(newPassword))
+      return res.status(400).json({
+        success: false,
+        message: "New password must differ from the user's recent passwords",
+      });
 
-    user.password = hashedPassword;
+    // The pre-save hook hashes the new password
+    user.setPassword(newPassword);
     await user.save();
+    await recordAudit(req, {
+      action: "update",
+      entityType: "User",
+      after: user,
+      summary: "Password reset by admin",
+    });
+    await revokeUserSessions(user._id, "password-reset-by-admin");
 
-    // Send email to admin with updated password info
-    const emailOptions = {
-      from: process.env.ADMIN_EMAIL,
-      to: "sparshsaxena9654@gmail.com",
+    await notify("passwordReset", {
       subject: `Password Reset for ${user.username}`,
       text: `Password was reset for user:\n\nUsername: ${
         user.username
-      }\nPhone: ${user.phone}\nRole: ${
-        user.role
-      }\nNew Password: ${newPassword}\n\nTime: ${new Date().toLocaleString()}`,
-    };
-
-    try {
-      await transporter.sendMail(emailOptions);
-    } catch (err) {
-      console.error("Email send error:", err.message);
-    }
+      }\nPhone: ${user.phone}\nRole: ${user.role}\nReset by: ${
+        req.user.username
+      }\n\nTime: ${new Date().toLocaleString()}`,
+    });
 
     return res.json({
       success: true,
-      message: "Password reset successfully and email sent to admin",
+      message: "Password reset successfully",
     });
   }
 );
@@ -0,0 +1,279 @@
+const express = require("express");
+const { body, validationResult } = require("express-validator");
+const Vendor = require("../models/Vendor");
+const PurchaseOrder = require("../models/PurchaseOrder");
+const { requirePermission } = require("../middleware/auth");
+const { recordAudit } = require("../services/audit");
+const { archive } = require("../services/trash");
+
+const router = express.Router();
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+const vendorValidators = (isUpdate) => {
+  const field = (name) => (isUpdate ? body(name).optional() : body(name));
+  return [
+    field("name").trim().notEmpty().withMessage("Name is required"),
+    body("gstin")
+      .optional({ values: "falsy" })
+      .trim()
+      .toUpperCase()
+      .matches(Vendor.GSTIN_PATTERN)
+      .withMessage("GSTIN must be a valid 15 character GST number"),
+    body("contactPerson").optional().trim(),
+    body("phone").optional().trim(),
+    body("email")
+      .optional({ values: "falsy" })
+      .isEmail()
+      .withMessage("Please provide a valid email"),
+    body("address").optional().trim(),
+    body("creditDays")
+      .optional()
+      .isInt({ min: 0 })
+      .withMessage("Credit days must be a whole number of days"),
+    body("paymentTerms").optional().trim(),
+  ];
+};
+
+const VENDOR_FIELDS = [
+  "name",
+  "gstin",
+  "contactPerson",
+  "phone",
+  "email",
+  "address",
+  "creditDays",
+  "paymentTerms",
+];
+
+// Orders not yet received in full, closed or cancelled
+const OPEN_ORDER_STATUSES = ["draft", "pending", "approved", "rejected", "partially-received"];
+
+const gstinTaken = (gstin, exceptId) =>
+  Vendor.exists({ gstin, ...(exceptId ? { _id: { $ne: exceptId } } : {}) }).setOptions({
+    withDeleted: true,
+  });
+
+// @route   GET /api/vendors
+// @desc    List vendors (?q= matches name, GSTIN or contact person)
+// @access  Private (purchase:view)
+router.get("/", requirePermission("purchase:view"), async (req, res) => {
+  try {
+    const { page = 1, limit = 50, q } = req.query;
+
+    const filter = {};
+    if (q) {
+      const pattern = { $regex: escapeRegex(q), $options: "i" };
+      filter.$or = [{ name: pattern }, { gstin: pattern }, { contactPerson: pattern }];
+    }
+
+    const pageNumber = parseInt(page, 10);
+    const limitNumber = parseInt(limit, 10);
+
+    const vendors = await Vendor.find(filter)
+      .sort({ name: 1 })
+      .limit(limitNumber)
+      .skip((pageNumber - 1) * limitNumber);
+
+    const total = await Vendor.countDocuments(filter);
+
+    res.json({
+      success: true,
+      data: {
+        vendors,
+        pagination: {
+          currentPage: pageNumber,
+          totalPages: Math.ceil(total / limitNumber),
+          totalVendors: total,
+          hasNext: pageNumber < Math.ceil(total / limitNumber),
+          hasPrev: pageNumber > 1,
+        },
+      },
+    });
+  } catch (error) {
+    console.error("Get vendors error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while fetching vendors",
+    });
+  }
+});
+
+// @route   GET /api/vendors/:id
+// @desc    Get a vendor
+// @access  Private (purchase:view)
+router.get("/:id", requirePermission("purchase:view"), async (req, res) => {
+  try {
+    const vendor = await Vendor.findById(req.params.id).populate("createdBy", "username");
+    if (!vendor) {
+      return res.status(404).json({
+        success: false,
+        message: "Vendor not found",
+      });
+    }
+
+    res.json({
+      success: true,
+      data: vendor,
+    });
+  } catch (error) {
+    console.error("Get vendor error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while fetching vendor",
+    });
+  }
+});
+
+// @route   POST /api/vendors
+// @desc    Add a vendor
+// @access  Private (purchase:manage)
+router.post(
+  "/",
+  requirePermission("purchase:manage"),
+  vendorValidators(false),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      if (req.body.gstin && (await gstinTaken(req.body.gstin))) {
+        return res.status(400).json({
+          success: false,
+          message: "A vendor with this GSTIN already exists",
+        });
+      }
+
+      const data = { createdBy: req.user._id };
+      VENDOR_FIELDS.forEach((key) => {
+        if (req.body[key] !== undefined) data[key] = req.body[key];
+      });
+      if (!data.gstin) delete data.gstin;
+
+      const vendor = await Vendor.create(data);
+      await recordAudit(req, { action: "create", entityType: "Vendor", after: vendor });
+
+      res.status(201).json({
+        success: true,
+        message: "Vendor created successfully",
+        data: vendor,
+      });
+    } catch (error) {
+      console.error("Create vendor error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Server error while creating vendor",
+      });
+    }
+  }
+);
+
+// @route   PUT /api/vendors/:id
+// @desc    Update a vendor; orders already raised keep their terms
+// @access  Private (purchase:manage)
+router.put(
+  "/:id",
+  requirePermission("purchase:manage"),
+  vendorValidators(true),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const vendor = await Vendor.findById(req.params.id);
+      if (!vendor) {
+        return res.status(404).json({
+          success: false,
+          message: "Vendor not found",
+        });
+      }
+
+      if (req.body.gstin && (await gstinTaken(req.body.gstin, vendor._id))) {
+        return res.status(400).json({
+          success: false,
+          message: "A vendor with this GSTIN already exists",
+        });
+      }
+
+      const before = vendor.toObject();
+      VENDOR_FIELDS.forEach((key) => {
+        if (req.body[key] !== undefined) vendor[key] = req.body[key];
+      });
+      if (!vendor.gstin) vendor.gstin = undefined;
+      await vendor.save();
+      await recordAudit(req, {
+        action: "update",
+        entityType: "Vendor",
+        before,
+        after: vendor,
+      });
+
+      res.json({
+        success: true,
+        message: "Vendor updated successfully",
+        data: vendor,
+      });
+    } catch (error) {
+      console.error("Update vendor error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Server error while updating vendor",
+      });
+    }
+  }
+);
+
+// @route   DELETE /api/vendors/:id
+// @desc    Move a vendor to the trash; refused while it has open orders
+// @access  Private (purchase:manage)
+router.delete("/:id", requirePermission("purchase:manage"), async (req, res) => {
+  try {
+    const vendor = await Vendor.findById(req.params.id);
+    if (!vendor) {
+      return res.status(404).json({
+        success: false,
+        message: "Vendor not found",
+      });
+    }
+
+    const openOrder = await PurchaseOrder.exists({
+      vendor: vendor._id,
+      status: { $in: OPEN_ORDER_STATUSES },
+    });
+    if (openOrder) {
+      return res.status(409).json({
+        success: false,
+        message: "This vendor still has open purchase orders",
+      });
+    }
+
+    const before = vendor.toObject();
+    await archive(vendor, req.user._id);
+    await recordAudit(req, { action: "delete", entityType: "Vendor", before });
+
+    res.json({
+      success: true,
+      message: "Vendor moved to trash",
+    });
+  } catch (error) {
+    console.error("Delete vendor error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while deleting vendor",
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,122 @@
+// scripts/backfill-stock-ledger.js
+// Builds the stock movement ledger from existing lots:
+//   - a receipt (or transfer-in) per lot, dated when it was added, with its
+//     GRN or transfer challan number
+//   - an issue or transfer-out per usageHistory entry
+//   - a return, wastage or adjustment per approved adjustment on the lot
+//   - a write-off for lots sitting in the trash
+//   - finally, a balancing adjustment for any lot whose ledger total still
+//     differs from its availableQuantity (e.g. stock zeroed by the old
+//     out-of-stock status), so ledger balances match the lots from now on
+// Entries are keyed by the event they record, so the script is safe to
+// re-run and also fills in entries the API failed to write.
+//
+// Usage: node scripts/backfill-stock-ledger.js
+require("dotenv").config();
+const mongoose = require("mongoose");
+const Material = require("../models/Material");
+const StockMovement = require("../models/StockMovement");
+const StockAdjustment = require("../models/StockAdjustment");
+const IssueVoucher = require("../models/IssueVoucher");
+const Transfer = require("../models/Transfer");
+const GoodsReceipt = require("../models/GoodsReceipt");
+const {
+  receiptMovement,
+  usageMovement,
+  adjustmentMovement,
+  balanceMovement,
+  recordMovements,
+} = require("../services/stockLedger");
+
+const round = (value) => Math.round(value * 1e6) / 1e6;
+
+const numbers = async (model, field) => {
+  const docs = await model.find().select(field).lean();
+  return new Map(docs.map((d) => [String(d._id), d[field]]));
+};
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  const vouchers = await numbers(IssueVoucher, "voucherNo");
+  const challans = await numbers(Transfer, "challanNo");
+  const adjustmentNos = await numbers(StockAdjustment, "adjustmentNo");
+  const grns = await numbers(GoodsReceipt, "grnNo");
+
+  let lots = 0;
+  let balanced = 0;
+  const before = await StockMovement.estimatedDocumentCount();
+
+  const cursor = Material.find().setOptions({ withDeleted: true }).lean().cursor();
+  for await (const lot of cursor) {
+    lots++;
+    const receivedOn = lot.transfer
+      ? challans.get(String(lot.transfer))
+      : grns.get(String(lot.goodsReceipt));
+    const entries = [receiptMovement(lot, undefined, receivedOn)];
+
+    for (const usage of lot.usageHistory || []) {
+      const reference = usage.transfer
+        ? challans.get(String(usage.transfer))
+        : vouchers.get(String(usage.voucher));
+      entries.push(usageMovement(lot, usage, { reference }));
+    }
+
+    for (const adjustment of lot.adjustments || []) {
+      entries.push(
+        adjustmentMovement(lot, {
+          _id: adjustment.adjustment,
+          type: adjustment.type,
+          quantity: adjustment.quantity,
+          date: adjustment.date,
+          reasonCode: adjustment.reasonCode,
+          adjustmentNo: adjustmentNos.get(String(adjustment.adjustment)),
+        })
+      );
+    }
+
+    if (lot.deletedAt) {
+      entries.push(
+        balanceMovement(lot, {
+          key: `trash:${lot.deletedAt.getTime()}`,
+          quantity: -(lot.availableQuantity || 0),
+          remarks: "Lot moved to trash",
+          userId: lot.deletedBy,
+          date: lot.deletedAt,
+        })
+      );
+    }
+
+    await recordMovements(entries);
+
+    // Whatever the history cannot explain
+    const [row] = await StockMovement.aggregate([
+      { $match: { material: lot._id } },
+      { $group: { _id: null, quantity: { $sum: "$quantity" } } },
+    ]);
+    const expected = lot.deletedAt ? 0 : lot.availableQuantity || 0;
+    const difference = round(expected - (row?.quantity || 0));
+    if (difference) {
+      await recordMovements(
+        balanceMovement(lot, {
+          key: `backfill:${Date.now()}`,
+          quantity: difference,
+          remarks: "Balancing entry from ledger backfill",
+        })
+      );
+      balanced++;
+    }
+  }
+
+  const after = await StockMovement.estimatedDocumentCount();
+  console.log(
+    `Lots processed: ${lots}, ledger entries written: ${after - before}, lots balanced: ${balanced}`
+  );
+
+  await mongoose.disconnect();
+};
+
+run().catch((err) => {
+  console.error("Backfill failed:", err);
+  process.exit(1);
+});
@@ -0,0 +1,89 @@
+// scripts/build-material-catalogue.js
+// One-off migration to the material catalogue:
+//   - one MaterialItem per distinct Material.matCode, named after the name
+//     used most often on its lots
+//   - items whose lots carry other names get those in conflictingNames, for
+//     review via GET /api/material-items?conflicts=true
+//   - every lot gets its `item` reference
+// Safe to re-run: existing catalogue items are linked, not recreated.
+//
+// Usage: node scripts/build-material-catalogue.js
+require("dotenv").config();
+const mongoose = require("mongoose");
+const MaterialItem = require("../models/MaterialItem");
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+  const lots = mongoose.connection.db.collection("materials");
+
+  const groups = await lots
+    .aggregate([
+      { $group: { _id: { code: "$matCode", name: "$name" }, lots: { $sum: 1 } } },
+      { $sort: { lots: -1 } },
+      {
+        $group: {
+          _id: "$_id.code",
+          names: { $push: { name: "$_id.name", lots: "$lots" } },
+        },
+      },
+      { $sort: { _id: 1 } },
+    ])
+    .toArray();
+
+  let created = 0;
+  let conflicts = 0;
+  let linked = 0;
+
+  for (const group of groups) {
+    const code = group._id?.trim();
+    if (!code) continue;
+
+    // Names are sorted by how many lots use them
+    const names = [...new Set(group.names.map((n) => n.name?.trim()).filter(Boolean))];
+    const [name, ...others] = names;
+
+    let item = await MaterialItem.findOne({ code }).setOptions({ withDeleted: true });
+    if (!item) {
+      item = await MaterialItem.create({
+        code,
+        name: name || code,
+        conflictingNames: others,
+      });
+      created++;
+    } else {
+      const extra = names.filter(
+        (n) => n !== item.name && !item.conflictingNames.includes(n)
+      );
+      if (extra.length) {
+        item.conflictingNames.push(...extra);
+        await item.save();
+      }
+    }
+
+    if (item.conflictingNames.length) {
+      conflicts++;
+      console.log(
+        `Conflict ${code}: "${item.name}" vs ${item.conflictingNames
+          .map((n) => `"${n}"`)
+          .join(", ")}`
+      );
+    }
+
+    const result = await lots.updateMany(
+      { matCode: group._id, item: { $exists: false } },
+      { $set: { item: item._id } }
+    );
+    linked += result.modifiedCount;
+  }
+
+  console.log(
+    `Catalogue items created: ${created}, with conflicting names: ${conflicts}, lots linked: ${linked}`
+  );
+
+  await mongoose.disconnect();
+};
+
+run().catch((err) => {
+  console.error("Migration failed:", err);
+  process.exit(1);
+});
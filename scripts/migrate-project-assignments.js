@@ -0,0 +1,59 @@
+// scripts/migrate-project-assignments.js
+// One-off migration for multi-project access:
+//   - User.projectAssigned (single ID) -> User.projectAssignments [{ project, role }]
+//   - Attendance.project backfilled from the employee's first assigned project
+//
+// Usage: node scripts/migrate-project-assignments.js
+require("dotenv").config();
+const mongoose = require("mongoose");
+const { PROJECT_ROLES } = require("../config/roles");
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+  const db = mongoose.connection.db;
+
+  const users = db.collection("users");
+  const legacyUsers = await users
+    .find({ projectAssigned: { $ne: null }, projectAssignments: { $exists: false } })
+    .toArray();
+
+  for (const user of legacyUsers) {
+    const role = PROJECT_ROLES.includes(user.role) ? user.role : "viewer";
+    await users.updateOne(
+      { _id: user._id },
+      {
+        $set: { projectAssignments: [{ project: user.projectAssigned, role }] },
+        $unset: { projectAssigned: 1 },
+      }
+    );
+  }
+  console.log(`Users migrated: ${legacyUsers.length}`);
+
+  const employees = db.collection("employees");
+  const attendance = db.collection("attendances");
+  const cursor = attendance.find({ project: { $exists: false } });
+  let backfilled = 0;
+  let skipped = 0;
+
+  for await (const record of cursor) {
+    const employee = await employees.findOne(
+      { _id: record.employeeId },
+      { projection: { assignedProjects: 1 } }
+    );
+    const project = employee?.assignedProjects?.[0];
+    if (!project) {
+      skipped++;
+      continue;
+    }
+    await attendance.updateOne({ _id: record._id }, { $set: { project } });
+    backfilled++;
+  }
+  console.log(`Attendance backfilled: ${backfilled}, skipped: ${skipped}`);
+
+  await mongoose.disconnect();
+};
+
+run().catch((err) => {
+  console.error("Migration failed:", err);
+  process.exit(1);
+});
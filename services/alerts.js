@@ -0,0 +1,46 @@
+// services/alerts.js
+const Alert = require("../models/Alert");
+const { notify } = require("./notifications");
+
+// Raise an alert unless one for the same `key` is still unresolved. Returns
+// the new alert, or null when it already existed. Never throws.
+const raiseAlert = async ({ key, type, severity, project, message, data }) => {
+  try {
+    const existing = await Alert.findOne({
+      key,
+      status: { $in: ["open", "acknowledged"] },
+    });
+    if (existing) return null;
+
+    const alert = await Alert.create({
+      key,
+      type,
+      severity,
+      project,
+      message,
+      data,
+    });
+    await notify("alertRaised", {
+      subject: `[${alert.severity}] ${message}`,
+      text: message,
+    });
+    return alert;
+  } catch (err) {
+    // A concurrent request raised the same alert first
+    if (err.code === 11000) return null;
+    console.error("Raise alert error:", err.message);
+    return null;
+  }
+};
+
+// Resolve the open alerts whose condition has cleared
+const resolveAlerts = async (keys) => {
+  if (!keys.length) return 0;
+  const result = await Alert.updateMany(
+    { key: { $in: keys }, status: { $in: ["open", "acknowledged"] } },
+    { status: "resolved", resolvedAt: new Date() }
+  );
+  return result.modifiedCount;
+};
+
+module.exports = { raiseAlert, resolveAlerts };
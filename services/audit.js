@@ -0,0 +1,91 @@
+// services/audit.js
+const AuditLog = require("../models/AuditLog");
+
+// Never copied into the audit trail
+const SENSITIVE_FIELDS = [
+  "password",
+  "passwordHistory",
+  "passwordReset",
+  "passwordResetOtp",
+  "otp",
+  "refreshTokenHash",
+  "tokenHash",
+];
+// Bookkeeping fields that change on every write
+const IGNORED_FIELDS = ["updatedAt", "__v"];
+
+const toPlain = (doc) => {
+  if (!doc) return null;
+  const plain = doc.toObject
+    ? doc.toObject({ depopulate: true })
+    : JSON.parse(JSON.stringify(doc));
+  SENSITIVE_FIELDS.forEach((field) => delete plain[field]);
+  return plain;
+};
+
+// Top-level fields whose value differs between the two snapshots
+const diff = (before, after) => {
+  const fields = new Set([
+    ...Object.keys(before || {}),
+    ...Object.keys(after || {}),
+  ]);
+  const changes = [];
+
+  fields.forEach((field) => {
+    if (IGNORED_FIELDS.includes(field)) return;
+    const from = before ? before[field] : undefined;
+    const to = after ? after[field] : undefined;
+    if (JSON.stringify(from) !== JSON.stringify(to)) {
+      changes.push({ field, before: from, after: to });
+    }
+  });
+  return changes;
+};
+
+// Which projects a document belongs to, whatever the model calls the field
+const projectsOf = (entityType, doc) => {
+  if (!doc) return [];
+  if (entityType === "Project") return [doc._id];
+  if (doc.projectAssigned) return [doc.projectAssigned];
+  if (doc.project) return [doc.project];
+  if (doc.fromProject) return [doc.fromProject, doc.toProject];
+  if (doc.assignedProjects) return doc.assignedProjects;
+  if (doc.projectAssignments) return doc.projectAssignments.map((a) => a.project);
+  return [];
+};
+
+// Record one audit entry. `before`/`after` are documents or plain objects;
+// pass only `before` for deletes and only `after` for creates. Updates with
+// no field changes are skipped unless a `summary` is given. Never throws.
+const recordAudit = async (req, { action, entityType, before, after, summary }) => {
+  try {
+    const beforePlain = toPlain(before);
+    const afterPlain = toPlain(after);
+    const subject = afterPlain || beforePlain;
+
+    const changes =
+      action === "update" && beforePlain ? diff(beforePlain, afterPlain) : [];
+    if (action === "update" && !changes.length && !summary) return null;
+
+    return await AuditLog.create({
+      actor: req.user?._id,
+      actorName: req.user?.username,
+      action,
+      method: req.method,
+      route: req.originalUrl,
+      entityType,
+      entityId: subject?._id,
+      projects: projectsOf(entityType, subject),
+      summary,
+      changes,
+      before: beforePlain,
+      after: afterPlain,
+      ip: req.ip,
+    });
+  } catch (err) {
+    console.error("Audit log error:", err.message);
+    return null;
+  }
+};
+
+module.exports = { recordAudit, diff };
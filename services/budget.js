@@ -0,0 +1,187 @@
+// services/budget.js
+const mongoose = require("mongoose");
+const Budget = require("../models/Budget");
+const Material = require("../models/Material");
+const Attendance = require("../models/Attendance");
+const Expense = require("../models/Expense");
+const { MANDAYS } = require("./projectDashboard");
+const { raiseAlert, resolveAlerts } = require("./alerts");
+
+const { BUDGET_HEADS } = Budget;
+
+// Percent-of-budget levels that raise an alert, e.g. BUDGET_ALERT_THRESHOLDS=80,100
+const DEFAULT_THRESHOLDS = (process.env.BUDGET_ALERT_THRESHOLDS || "80,100")
+  .split(",")
+  .map(Number)
+  .filter((n) => n > 0);
+
+const MONTH = (field) => ({ $dateToString: { format: "%Y-%m", date: field } });
+
+// Actual spend per head and month: { materials: { "2025-01": 1200, … }, … }
+// Materials are valued at purchase (Material.amount), labour at the daily
+// wage of each attendance day, equipment and overheads from expenses. Lots
+// received from another site stay on the budget of the project that bought
+// them.
+const computeActuals = async (projectId) => {
+  const id = new mongoose.Types.ObjectId(projectId);
+
+  const [materials, labour, expenses] = await Promise.all([
+    Material.aggregate([
+      { $match: { projectAssigned: id, transfer: { $exists: false } } },
+      {
+        $group: {
+          _id: MONTH("$date"),
+          amount: { $sum: { $ifNull: ["$amount", 0] } },
+        },
+      },
+    ]),
+    Attendance.aggregate([
+      { $match: { project: id } },
+      { $addFields: { mandays: MANDAYS } },
+      { $match: { mandays: { $gt: 0 } } },
+      {
+        $lookup: {
+          from: "employees",
+          localField: "employeeId",
+          foreignField: "_id",
+          as: "employee",
+        },
+      },
+      { $unwind: "$employee" },
+      {
+        $group: {
+          _id: MONTH("$date"),
+          amount: {
+            $sum: {
+              $multiply: ["$mandays", { $ifNull: ["$employee.salaryPerDay", 0] }],
+            },
+          },
+        },
+      },
+    ]),
+    Expense.aggregate([
+      { $match: { project: id } },
+      {
+        $group: {
+          _id: { head: "$head", month: MONTH("$date") },
+          amount: { $sum: "$amount" },
+        },
+      },
+    ]),
+  ]);
+
+  const actuals = Object.fromEntries(BUDGET_HEADS.map((head) => [head, {}]));
+  materials.forEach((row) => (actuals.materials[row._id] = row.amount));
+  labour.forEach((row) => (actuals.labour[row._id] = row.amount));
+  expenses.forEach((row) => {
+    actuals[row._id.head][row._id.month] = row.amount;
+  });
+  return actuals;
+};
+
+const sum = (values) => values.reduce((total, value) => total + value, 0);
+
+const percentOf = (actual, budget) =>
+  budget > 0 ? Math.round((actual / budget) * 1000) / 10 : null;
+
+// Budget vs actual per head, overall and per month. With `month` only that
+// month's phased budget and actuals are compared.
+const budgetVariance = async (projectId, { month } = {}) => {
+  const [budget, actuals] = await Promise.all([
+    Budget.findOne({ project: projectId }).lean(),
+    computeActuals(projectId),
+  ]);
+
+  const heads = BUDGET_HEADS.map((head) => {
+    const planned = budget?.heads.find((h) => h.head === head);
+    const phasing = Object.fromEntries(
+      (planned?.phasing || []).map((p) => [p.month, p.amount])
+    );
+    const spent = actuals[head];
+
+    const months = [...new Set([...Object.keys(phasing), ...Object.keys(spent)])]
+      .sort()
+      .map((m) => ({
+        month: m,
+        budget: phasing[m] ?? null,
+        actual: spent[m] || 0,
+        variance: phasing[m] !== undefined ? phasing[m] - (spent[m] || 0) : null,
+      }));
+
+    const budgetAmount = month ? phasing[month] ?? null : planned?.amount ?? null;
+    const actual = month ? spent[month] || 0 : sum(Object.values(spent));
+
+    return {
+      head,
+      budget: budgetAmount,
+      actual,
+      variance: budgetAmount !== null ? budgetAmount - actual : null,
+      percentUsed: percentOf(actual, budgetAmount),
+      ...(!month && { months }),
+    };
+  });
+
+  const withBudget = heads.filter((h) => h.budget !== null);
+  const totalBudget = sum(withBudget.map((h) => h.budget));
+  const totalActual = sum(heads.map((h) => h.actual));
+
+  return {
+    month: month || null,
+    hasBudget: Boolean(budget),
+    thresholds: budget?.alertThresholds?.length
+      ? budget.alertThresholds
+      : DEFAULT_THRESHOLDS,
+    heads,
+    total: {
+      budget: withBudget.length ? totalBudget : null,
+      actual: totalActual,
+      variance: withBudget.length ? totalBudget - totalActual : null,
+      percentUsed: percentOf(totalActual, totalBudget),
+    },
+  };
+};
+
+// Raise an alert for every threshold a head has crossed, and resolve the
+// ones it has dropped back under (e.g. after the budget was raised).
+// Never throws, so it can run after any write that changes actuals.
+const checkBudgetAlerts = async (projectId) => {
+  try {
+    const variance = await budgetVariance(projectId);
+    if (!variance.hasBudget) return;
+
+    const cleared = [];
+    for (const head of variance.heads) {
+      for (const threshold of variance.thresholds) {
+        const key = `budget:${projectId}:${head.head}:${threshold}`;
+        if (head.percentUsed === null || head.percentUsed < threshold) {
+          cleared.push(key);
+          continue;
+        }
+        await raiseAlert({
+          key,
+          type: "budget-threshold",
+          severity: threshold >= 100 ? "critical" : "warning",
+          project: projectId,
+          message: `${head.head} spend has reached ${head.percentUsed}% of budget (threshold ${threshold}%)`,
+          data: {
+            head: head.head,
+            threshold,
+            budget: head.budget,
+            actual: head.actual,
+            percentUsed: head.percentUsed,
+          },
+        });
+      }
+    }
+    await resolveAlerts(cleared);
+  } catch (err) {
+    console.error("Budget alert check error:", err.message);
+  }
+};
+
+module.exports = {
+  DEFAULT_THRESHOLDS,
+  computeActuals,
+  budgetVariance,
+  checkBudgetAlerts,
+};
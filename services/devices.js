@@ -0,0 +1,61 @@
+// services/devices.js
+const Device = require("../models/Device");
+const { getMaxDevices } = require("./permissions");
+const { notify } = require("./notifications");
+
+// Find or register the device the user is logging in from. Unknown devices
+// start as pending (admins are trusted on first use) and the organisation
+// is notified so someone can review them.
+const resolveLoginDevice = async (user, { deviceId, userAgent, label }) => {
+  let device = await Device.findOne({ user: user._id, deviceId });
+
+  if (!device) {
+    const autoApprove = user.role === "admin";
+    device = await Device.create({
+      user: user._id,
+      deviceId,
+      label,
+      userAgent,
+      status: autoApprove ? "approved" : "pending",
+      ...(autoApprove && { reviewedAt: new Date(), reviewNote: "auto-approved admin" }),
+    });
+
+    if (!autoApprove) {
+      await notify("deviceApprovalRequested", {
+        subject: `Device approval needed for ${user.username}`,
+        text: `${user.username} (${user.phone}) tried to login from a new device.\n- Device ID: ${deviceId}\n- User agent: ${userAgent || "Unknown"}`,
+      });
+    }
+  }
+
+  device.lastSeenAt = new Date();
+  if (userAgent) device.userAgent = userAgent;
+  await device.save();
+  return device;
+};
+
+const isDeviceApproved = async (userId, deviceId) => {
+  if (!deviceId) return false;
+  return Boolean(
+    await Device.exists({ user: userId, deviceId, status: "approved" })
+  );
+};
+
+// Whether approving one more device keeps the user within their role's cap,
+// or with `{ approving: false }` whether the devices already approved are
+// within it (to check an approval that may have raced another)
+const hasDeviceCapacity = async (user, { approving = true } = {}) => {
+  const maxDevices = await getMaxDevices(user.role);
+  if (maxDevices === null) return { allowed: true, maxDevices };
+
+  const approved = await Device.countDocuments({
+    user: user._id,
+    status: "approved",
+  });
+  return {
+    allowed: approving ? approved < maxDevices : approved <= maxDevices,
+    maxDevices,
+  };
+};
+
+module.exports = { resolveLoginDevice, isDeviceApproved, hasDeviceCapacity };
@@ -0,0 +1,66 @@
+// services/invitations.js
+const crypto = require("crypto");
+const Invitation = require("../models/Invitation");
+const { sendMail } = require("./mailer");
+const { sendMessage } = require("./otpDelivery");
+
+const INVITE_TTL_HOURS = parseInt(process.env.INVITE_TTL_HOURS, 10) || 72;
+
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+const inviteLink = (token) =>
+  `${process.env.APP_URL || "http://localhost:3000"}/accept-invite?token=${token}`;
+
+// Revoke every pending invitation of a user; returns how many were revoked
+const revokeInvitations = async (userId) => {
+  const result = await Invitation.updateMany(
+    { user: userId, acceptedAt: null, revokedAt: null },
+    { revokedAt: new Date() }
+  );
+  return result.modifiedCount;
+};
+
+// Issue a fresh invitation (revoking older ones) and deliver it by email
+// when the user has one, otherwise by SMS. Returns { invitation, token,
+// delivered }; a failed delivery leaves the invitation to be resent.
+const sendInvitation = async (user, createdBy) => {
+  await revokeInvitations(user._id);
+
+  const token = crypto.randomBytes(32).toString("hex");
+  const invitation = await Invitation.create({
+    user: user._id,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + INVITE_TTL_HOURS * 60 * 60 * 1000),
+    channel: user.email ? "email" : "sms",
+    createdBy,
+  });
+
+  const text =
+    `Hello ${user.username}, you have been invited to Divya Swastik. ` +
+    `Set your password within ${INVITE_TTL_HOURS} hours: ${inviteLink(token)}`;
+
+  let delivered = true;
+  try {
+    if (user.email) {
+      await sendMail({ to: user.email, subject: "Your Divya Swastik invitation", text });
+    } else {
+      await sendMessage({ to: user.phone, body: text, meta: { userId: user._id } });
+    }
+  } catch (err) {
+    console.error("Invitation delivery error:", err.message);
+    delivered = false;
+  }
+
+  return { invitation, token, delivered };
+};
+
+// Look up a usable invitation by its plain token
+const findInvitation = async (token) => {
+  const invitation = await Invitation.findOne({
+    tokenHash: hashToken(String(token || "")),
+  });
+  return invitation && invitation.isUsable() ? invitation : null;
+};
+
+module.exports = { sendInvitation, revokeInvitations, findInvitation };
@@ -0,0 +1,57 @@
+// services/loginEvents.js
+const LoginEvent = require("../models/LoginEvent");
+
+const toNumber = (value) => {
+  const number = parseFloat(value);
+  return Number.isFinite(number) ? number : undefined;
+};
+
+// Record a login attempt from the /login request. Never throws – losing an
+// audit record must not block the user from logging in.
+const recordLoginAttempt = async (req, { user, status, failureReason }) => {
+  try {
+    const { username, deviceId, latitude, longitude, accuracy } = req.body;
+    const hasLocation =
+      toNumber(latitude) !== undefined && toNumber(longitude) !== undefined;
+
+    return await LoginEvent.create({
+      user: user?._id || null,
+      username,
+      projects: user ? user.getProjectIds() : [],
+      status,
+      failureReason,
+      selfie: req.file
+        ? { filename: req.file.filename, path: req.file.path }
+        : undefined,
+      deviceId,
+      userAgent: req.headers["user-agent"],
+      ip: req.ip,
+      location: hasLocation
+        ? {
+            latitude: toNumber(latitude),
+            longitude: toNumber(longitude),
+            accuracy: toNumber(accuracy),
+          }
+        : undefined,
+    });
+  } catch (err) {
+    console.error("Login event error:", err.message);
+    return null;
+  }
+};
+
+// Close the user's latest pending attempt once the OTP step finishes
+const completeLoginAttempt = async (userId, { status, failureReason, session }) => {
+  try {
+    return await LoginEvent.findOneAndUpdate(
+      { user: userId, status: "otp-pending" },
+      { status, failureReason, session, completedAt: new Date() },
+      { sort: { createdAt: -1 }, new: true }
+    );
+  } catch (err) {
+    console.error("Login event error:", err.message);
+    return null;
+  }
+};
+
+module.exports = { recordLoginAttempt, completeLoginAttempt };
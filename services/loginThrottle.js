@@ -0,0 +1,158 @@
+// services/loginThrottle.js
+// Failed-attempt tracking per username, phone and IP with progressive delays
+// and temporary lockout. Counters live in a pluggable store chosen with
+// THROTTLE_STORE ("mongo" by default, or "memory" for a single process).
+const LoginAttempt = require("../models/LoginAttempt");
+
+const MAX_FAILURES = parseInt(process.env.LOGIN_MAX_FAILURES, 10) || 5;
+// Whole sites often share one IP, so the IP threshold is higher
+const MAX_IP_FAILURES = parseInt(process.env.LOGIN_MAX_IP_FAILURES, 10) || 20;
+const DELAY_AFTER = parseInt(process.env.LOGIN_DELAY_AFTER, 10) || 3;
+const LOCKOUT_MINUTES = parseInt(process.env.LOGIN_LOCKOUT_MINUTES, 10) || 15;
+const FAILURE_WINDOW_MINUTES =
+  parseInt(process.env.LOGIN_FAILURE_WINDOW_MINUTES, 10) || 15;
+const MAX_DELAY_SECONDS = 60;
+
+// A store keeps one record per key: { failures, nextAttemptAt, lockedUntil }
+const memoryStore = () => {
+  const records = new Map();
+  return {
+    async get(key) {
+      const entry = records.get(key);
+      if (!entry) return null;
+      if (entry.expiresAt <= Date.now()) {
+        records.delete(key);
+        return null;
+      }
+      return entry.record;
+    },
+    async set(key, record, expiresAt) {
+      records.set(key, { record, expiresAt: expiresAt.getTime() });
+    },
+    async delete(keys) {
+      keys.forEach((key) => records.delete(key));
+    },
+  };
+};
+
+const mongoStore = () => ({
+  async get(key) {
+    const record = await LoginAttempt.findOne({
+      key,
+      expiresAt: { $gt: new Date() },
+    }).lean();
+    return record || null;
+  },
+  async set(key, record, expiresAt) {
+    await LoginAttempt.updateOne(
+      { key },
+      { ...record, key, expiresAt },
+      { upsert: true }
+    );
+  },
+  async delete(keys) {
+    await LoginAttempt.deleteMany({ key: { $in: keys } });
+  },
+});
+
+const stores = { memory: memoryStore, mongo: mongoStore };
+let store = null;
+
+const getStore = () => {
+  if (!store) {
+    const name = process.env.THROTTLE_STORE || "mongo";
+    if (!stores[name]) throw new Error(`Unknown throttle store "${name}"`);
+    store = stores[name]();
+  }
+  return store;
+};
+
+// Swap the store at runtime, e.g. a Redis-backed one with the same interface
+const setStore = (customStore) => {
+  store = customStore;
+};
+
+// Build the throttle keys for whatever identifiers are known
+const throttleKeys = ({ username, phone, ip }) =>
+  [
+    username && `user:${String(username).toLowerCase()}`,
+    phone && `phone:${phone}`,
+    ip && `ip:${ip}`,
+  ].filter(Boolean);
+
+const maxFailuresFor = (key) =>
+  key.startsWith("ip:") ? MAX_IP_FAILURES : MAX_FAILURES;
+
+// Returns { blocked, locked, retryAfter } across all the keys
+const checkThrottle = async (keys) => {
+  const now = Date.now();
+  let retryAt = 0;
+  let locked = false;
+
+  for (const key of keys) {
+    const record = await getStore().get(key);
+    if (!record) continue;
+
+    if (record.lockedUntil && record.lockedUntil.getTime() > now) {
+      locked = true;
+      retryAt = Math.max(retryAt, record.lockedUntil.getTime());
+    } else if (record.nextAttemptAt && record.nextAttemptAt.getTime() > now) {
+      retryAt = Math.max(retryAt, record.nextAttemptAt.getTime());
+    }
+  }
+
+  return {
+    blocked: retryAt > now,
+    locked,
+    retryAfter: retryAt > now ? Math.ceil((retryAt - now) / 1000) : 0,
+  };
+};
+
+// Count a failed attempt against every key
+const recordFailure = async (keys) => {
+  const now = Date.now();
+
+  for (const key of keys) {
+    const previous = await getStore().get(key);
+    const failures = (previous?.failures || 0) + 1;
+    const record = { failures, nextAttemptAt: null, lockedUntil: null };
+
+    if (failures >= maxFailuresFor(key)) {
+      record.lockedUntil = new Date(now + LOCKOUT_MINUTES * 60 * 1000);
+    } else if (failures >= DELAY_AFTER) {
+      const delay = Math.min(2 ** (failures - DELAY_AFTER), MAX_DELAY_SECONDS);
+      record.nextAttemptAt = new Date(now + delay * 1000);
+    }
+
+    const expiresAt = new Date(
+      Math.max(
+        now + FAILURE_WINDOW_MINUTES * 60 * 1000,
+        record.lockedUntil ? record.lockedUntil.getTime() : 0
+      )
+    );
+    await getStore().set(key, record, expiresAt);
+  }
+};
+
+// Clear the counters of the given keys (successful login or admin unlock)
+const clearThrottle = async (keys) => {
+  if (keys.length) await getStore().delete(keys);
+};
+
+// Current state of each key, for admins
+const getThrottleStatus = async (keys) => {
+  const status = {};
+  for (const key of keys) {
+    status[key] = (await getStore().get(key)) || { failures: 0 };
+  }
+  return status;
+};
+
+module.exports = {
+  throttleKeys,
+  checkThrottle,
+  recordFailure,
+  clearThrottle,
+  getThrottleStatus,
+  setStore,
+};
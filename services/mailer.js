@@ -0,0 +1,91 @@
+// services/mailer.js
+const nodemailer = require("nodemailer");
+
+// A mail driver is any object exposing:
+//   async send({ from, to, subject, text, html }) -> { id?, status? }
+// Select one with MAIL_DRIVER: "smtp" (any SMTP server, including a local
+// stub such as MailHog on localhost:1025), "gmail" or "console".
+
+const smtpDriver = () => {
+  const transport = nodemailer.createTransport({
+    host: process.env.MAIL_HOST || "localhost",
+    port: parseInt(process.env.MAIL_PORT, 10) || 1025,
+    secure: process.env.MAIL_SECURE === "true",
+    auth: process.env.MAIL_USER
+      ? { user: process.env.MAIL_USER, pass: process.env.MAIL_PASSWORD }
+      : undefined,
+  });
+  return {
+    async send(message) {
+      const info = await transport.sendMail(message);
+      return { id: info.messageId, status: info.response };
+    },
+  };
+};
+
+const gmailDriver = () => {
+  const transport = nodemailer.createTransport({
+    service: "gmail",
+    auth: {
+      user: process.env.ADMIN_EMAIL,
+      pass: process.env.ADMIN_EMAIL_PASSWORD,
+    },
+  });
+  return {
+    async send(message) {
+      const info = await transport.sendMail(message);
+      return { id: info.messageId, status: info.response };
+    },
+  };
+};
+
+const consoleDriver = () => ({
+  async send({ to, subject, text }) {
+    console.log(`[mail] -> ${[].concat(to).join(", ")}: ${subject}\n${text}`);
+    return { status: "logged" };
+  },
+});
+
+const factories = {
+  smtp: smtpDriver,
+  gmail: gmailDriver,
+  console: consoleDriver,
+};
+const instances = {};
+
+const registerDriver = (name, driver) => {
+  if (!driver || typeof driver.send !== "function") {
+    throw new Error(`Mail driver "${name}" must implement send()`);
+  }
+  instances[name] = driver;
+};
+
+// Falls back to gmail when its password is set, and otherwise to the console
+// outside production only, so mail carrying live links is never just logged
+const getDriver = () => {
+  const name =
+    process.env.MAIL_DRIVER ||
+    (process.env.ADMIN_EMAIL_PASSWORD ? "gmail" : null) ||
+    (process.env.NODE_ENV !== "production" ? "console" : null);
+  if (!name) {
+    throw new Error("MAIL_DRIVER must be set in production");
+  }
+
+  if (!instances[name]) {
+    if (!factories[name]) throw new Error(`Unknown mail driver "${name}"`);
+    instances[name] = factories[name]();
+  }
+  return instances[name];
+};
+
+const sendMail = async ({ to, subject, text, html }) => {
+  return getDriver().send({
+    from: process.env.MAIL_FROM || process.env.ADMIN_EMAIL,
+    to,
+    subject,
+    text,
+    html,
+  });
+};
+
+module.exports = { registerDriver, sendMail };
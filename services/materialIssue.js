@@ -0,0 +1,200 @@
+// services/materialIssue.js
+const mongoose = require("mongoose");
+const Material = require("../models/Material");
+const IssueVoucher = require("../models/IssueVoucher");
+const Counter = require("../models/Counter");
+const { fromBase } = require("./units");
+const { usageMovement, recordMovements } = require("./stockLedger");
+const { unitCost } = require("./valuation");
+
+// Times the lots are re-read when another issue changes them mid-way
+const MAX_ATTEMPTS = 5;
+
+const round = (value) => Math.round(value * 1e6) / 1e6;
+
+const issueError = (message, status) => {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+};
+
+// Yearly document numbers, e.g. IV-2026-000123 for issue vouchers
+const nextVoucherNo = async (prefix, date = new Date()) => {
+  const year = date.getFullYear();
+  const seq = await Counter.next(`${prefix}:${year}`);
+  return `${prefix}-${year}-${String(seq).padStart(6, "0")}`;
+};
+
+// Put back what was deducted, lot by lot
+const rollback = async (lines) => {
+  for (const line of lines) {
+    await Material.updateOne(
+      { _id: line.material },
+      {
+        $inc: { availableQuantity: line.quantity },
+        $pull: { usageHistory: { _id: line.usageId } },
+      }
+    ).setOptions({ withDeleted: true });
+  }
+};
+
+// Deduct `quantity` (base units) of `item` from the lots matching `filter`,
+// oldest first, pushing `entry(lot, take)` onto each lot's usage history
+// with the cost of what was taken at that lot's unit cost. Returns one line
+// per lot drawn from.
+//
+// Each lot is decremented with a conditional update that only applies if its
+// available quantity is still what was read, so concurrent issues can never
+// overdraw a lot; on a clash the lots are re-read and the deduction carries
+// on. If the stock runs out part-way the deductions already made are rolled
+// back. Conditional updates are used rather than a transaction so this works
+// on a standalone MongoDB too.
+//
+// Throws errors with `status` 400/404 (not enough stock) or 409 (lots kept
+// changing under us).
+const deductFifo = async ({ item, filter, quantity, entry }) => {
+  const lines = [];
+  let remaining = round(quantity);
+
+  try {
+    for (let attempt = 0; remaining > 0; attempt++) {
+      if (attempt >= MAX_ATTEMPTS) {
+        throw issueError("Stock changed while issuing; please try again", 409);
+      }
+
+      const lots = await Material.find({
+        ...filter,
+        matCode: item.code,
+        availableQuantity: { $gt: 0 },
+      }).sort({ date: 1 });
+
+      const totalAvailable = lots.reduce((acc, m) => acc + m.availableQuantity, 0);
+      if (round(totalAvailable) < remaining) {
+        throw issueError(
+          lines.length || lots.length
+            ? "Not enough material available"
+            : "Material not found or out of stock",
+          lines.length || lots.length ? 400 : 404
+        );
+      }
+
+      for (const lot of lots) {
+        if (remaining <= 0) break;
+
+        const take = round(Math.min(lot.availableQuantity, remaining));
+        const cost = unitCost(lot);
+        const usage = {
+          _id: new mongoose.Types.ObjectId(),
+          ...entry(lot, take),
+          ...(cost !== null && {
+            unitCost: cost,
+            value: Math.round(take * cost * 100) / 100,
+          }),
+        };
+        const updated = await Material.findOneAndUpdate(
+          { _id: lot._id, availableQuantity: lot.availableQuantity },
+          {
+            $inc: { availableQuantity: -take },
+            $push: { usageHistory: usage },
+          },
+          { new: true }
+        );
+
+        // Someone else issued from this lot since we read it; start over
+        // from fresh figures for what is still owed
+        if (!updated) break;
+
+        lines.push({
+          material: lot._id,
+          project: lot.projectAssigned,
+          lotDate: lot.date,
+          quantity: take,
+          usageId: usage._id,
+          usage,
+          before: lot.toObject(),
+          after: updated,
+        });
+        remaining = round(remaining - take);
+      }
+    }
+  } catch (err) {
+    await rollback(lines);
+    throw err;
+  }
+
+  return lines;
+};
+
+// Issue `quantity` (base units) of `item` for consumption and record it on a
+// voucher listing the lots drawn from. See deductFifo for the guarantees.
+const issueMaterial = async ({
+  item,
+  filter,
+  quantity,
+  enteredUnit,
+  takenBy,
+  date,
+  issuedBy,
+  idempotencyKey,
+}) => {
+  const voucherId = new mongoose.Types.ObjectId();
+  const issuedAt = date ? new Date(date) : new Date();
+
+  const lines = await deductFifo({
+    item,
+    filter,
+    quantity,
+    entry: (lot, take) => ({
+      type: "issue",
+      takenBy,
+      quantity: take,
+      enteredQuantity: fromBase(item, take, enteredUnit),
+      enteredUnit,
+      voucher: voucherId,
+      date: issuedAt,
+    }),
+  });
+
+  try {
+    const voucher = await IssueVoucher.create({
+      _id: voucherId,
+      voucherNo: await nextVoucherNo("IV", issuedAt),
+      item: item._id,
+      matCode: item.code,
+      name: item.name,
+      quantity: round(quantity),
+      unit: item.baseUnit,
+      enteredQuantity: fromBase(item, quantity, enteredUnit),
+      enteredUnit,
+      lines: lines.map(({ material, project, lotDate, quantity: qty, usage }) => ({
+        material,
+        project,
+        lotDate,
+        quantity: qty,
+        unitCost: usage.unitCost,
+        value: usage.value,
+      })),
+      value: lines.every((l) => l.usage.value !== undefined)
+        ? Math.round(lines.reduce((sum, l) => sum + l.usage.value, 0) * 100) / 100
+        : undefined,
+      projects: [...new Set(lines.filter((l) => l.project).map((l) => String(l.project)))],
+      takenBy,
+      date: issuedAt,
+      issuedBy,
+      idempotencyKey,
+    });
+
+    await recordMovements(
+      lines.map((l) =>
+        usageMovement(l.after, l.usage, { reference: voucher.voucherNo, userId: issuedBy })
+      )
+    );
+
+    return { voucher, lines };
+  } catch (err) {
+    await rollback(lines);
+    throw err;
+  }
+};
+
+module.exports = { deductFifo, rollback, issueMaterial, nextVoucherNo, round };
@@ -0,0 +1,29 @@
+// services/notifications.js
+const OrganisationSettings = require("../models/OrganisationSettings");
+const { sendMail } = require("./mailer");
+
+// Recipients configured for the event, falling back to NOTIFY_EMAILS
+const getRecipients = async (event) => {
+  const settings = await OrganisationSettings.getSettings();
+  const configured = settings.notificationRecipients?.[event] || [];
+  if (configured.length) return configured;
+
+  return (process.env.NOTIFY_EMAILS || "")
+    .split(",")
+    .map((email) => email.trim())
+    .filter(Boolean);
+};
+
+// Email the organisation about an event. Never throws – a failed
+// notification must not fail the request that triggered it.
+const notify = async (event, { subject, text }) => {
+  try {
+    const to = await getRecipients(event);
+    if (!to.length) return;
+    await sendMail({ to, subject, text });
+  } catch (err) {
+    console.error(`Notification "${event}" failed:`, err.message);
+  }
+};
+
+module.exports = { notify, getRecipients };
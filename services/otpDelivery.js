@@ -0,0 +1,84 @@
+// services/otpDelivery.js
+const fs = require("fs");
+const path = require("path");
+
+// A delivery driver is any object exposing:
+//   async send({ to, channel, body, meta }) -> { id?, status? }
+// `channel` is "sms" or "whatsapp". Real gateways (MSG91, Twilio, Gupshup…)
+// register themselves with registerDriver() and are picked via OTP_DRIVER.
+
+// Logs the message to stdout – default for local development
+const consoleDriver = {
+  async send({ to, channel, body }) {
+    console.log(`[${channel}] -> ${to}: ${body}`);
+    return { status: "logged" };
+  },
+};
+
+// Appends one JSON line per message so testers can read codes from a file
+const fileDriver = {
+  async send({ to, channel, body, meta }) {
+    const file = process.env.OTP_FILE_PATH || "logs/otp-messages.log";
+    await fs.promises.mkdir(path.dirname(file), { recursive: true });
+    const line = JSON.stringify({ at: new Date(), channel, to, body, meta });
+    await fs.promises.appendFile(file, line + "\n");
+    return { status: "written" };
+  },
+};
+
+const drivers = {
+  console: consoleDriver,
+  file: fileDriver,
+};
+
+const registerDriver = (name, driver) => {
+  if (!driver || typeof driver.send !== "function") {
+    throw new Error(`OTP driver "${name}" must implement send()`);
+  }
+  drivers[name] = driver;
+};
+
+// Outside production codes go to the console unless a driver is set; in
+// production a driver must be chosen, so codes are never just logged
+const getDriver = () => {
+  const name =
+    process.env.OTP_DRIVER || (process.env.NODE_ENV !== "production" ? "console" : null);
+  if (!name) {
+    throw new Error("OTP_DRIVER must be set in production");
+  }
+  const driver = drivers[name];
+  if (!driver) {
+    throw new Error(`Unknown OTP driver "${name}"`);
+  }
+  return driver;
+};
+
+// Send an arbitrary text message through the configured driver
+const sendMessage = async ({ to, body, channel, meta = {} }) => {
+  return getDriver().send({
+    to,
+    body,
+    channel: channel || process.env.OTP_CHANNEL || "sms",
+    meta,
+  });
+};
+
+// Send an OTP code to the user's registered phone
+const sendOTP = async (user, code, { expiresAt, purpose = "login" } = {}) => {
+  const minutes = expiresAt
+    ? Math.max(1, Math.round((expiresAt - Date.now()) / 60000))
+    : null;
+
+  const body =
+    `${code} is your Divya Swastik ${purpose.replace("-", " ")} code.` +
+    (minutes ? ` It expires in ${minutes} minutes.` : "") +
+    " Do not share it with anyone.";
+
+  return sendMessage({
+    to: user.phone,
+    body,
+    meta: { userId: user._id, purpose },
+  });
+};
+
+module.exports = { registerDriver, sendMessage, sendOTP };
@@ -0,0 +1,70 @@
+// services/permissions.js
+const Role = require("../models/Role");
+const {
+  PERMISSIONS,
+  ROLES,
+  DEFAULT_ROLE_PERMISSIONS,
+  DEFAULT_MAX_DEVICES,
+} = require("../config/roles");
+
+const CACHE_TTL_MS = 60 * 1000;
+let cache = null;
+let cacheLoadedAt = 0;
+
+// Role name -> array of permissions, with admin overrides applied
+const loadRoleMatrix = async () => {
+  if (cache && Date.now() - cacheLoadedAt < CACHE_TTL_MS) return cache;
+
+  const overrides = await Role.find().lean();
+  const matrix = { ...DEFAULT_ROLE_PERMISSIONS };
+  overrides.forEach((role) => {
+    if (role.name !== "admin" && role.permissions) {
+      matrix[role.name] = role.permissions;
+    }
+  });
+
+  cache = matrix;
+  cacheLoadedAt = Date.now();
+  return matrix;
+};
+
+// Maximum approved devices for a role; null means unlimited
+const getMaxDevices = async (role) => {
+  const override = await Role.findOne({ name: role }).select("maxDevices").lean();
+  if (override && override.maxDevices !== undefined) return override.maxDevices;
+  return DEFAULT_MAX_DEVICES[role] ?? null;
+};
+
+const clearRoleCache = () => {
+  cache = null;
+};
+
+const getRolePermissions = async (role) => {
+  const matrix = await loadRoleMatrix();
+  return new Set(matrix[role] || []);
+};
+
+// Union of the permissions of several roles
+const getPermissionsForRoles = async (roles) => {
+  const matrix = await loadRoleMatrix();
+  const granted = new Set();
+  roles.forEach((role) => (matrix[role] || []).forEach((p) => granted.add(p)));
+  return granted;
+};
+
+const hasPermission = (granted, permission) =>
+  granted.has("*") || granted.has(permission);
+
+const isKnownPermission = (permission) =>
+  Object.prototype.hasOwnProperty.call(PERMISSIONS, permission);
+
+module.exports = {
+  ROLES,
+  loadRoleMatrix,
+  clearRoleCache,
+  getRolePermissions,
+  getPermissionsForRoles,
+  getMaxDevices,
+  hasPermission,
+  isKnownPermission,
+};
@@ -0,0 +1,51 @@
+// services/projectAccess.js
+const Project = require("../models/Project");
+
+// Admins see every project; everyone else only the ones they created or are
+// assigned to
+const canViewProject = (user, project) => {
+  if (user.role === "admin") return true;
+  const createdBy = project.createdBy._id || project.createdBy;
+  if (createdBy.toString() === user._id.toString()) return true;
+  return user
+    .getProjectIds()
+    .some((id) => id.toString() === project._id.toString());
+};
+
+// Load an active project the caller may view, or send the 404/403 and
+// return null
+const findViewableProject = async (req, res, projectId = req.params.id) => {
+  const project = await Project.findById(projectId);
+
+  if (!project || !project.isActive) {
+    res.status(404).json({
+      success: false,
+      message: "Project not found",
+    });
+    return null;
+  }
+  if (!canViewProject(req.user, project)) {
+    res.status(403).json({
+      success: false,
+      message: "Access denied",
+    });
+    return null;
+  }
+  return project;
+};
+
+// Load a project on which the caller's role grants the permissions the route
+// requires, or send the 403/404 and return null. Must run after
+// requirePermission() and projectScope.
+const findScopedProject = async (req, res, projectId = req.params.id) => {
+  if (!req.hasProjectAccess(projectId)) {
+    res.status(403).json({
+      success: false,
+      message: "No access to this project",
+    });
+    return null;
+  }
+  return findViewableProject(req, res, projectId);
+};
+
+module.exports = { canViewProject, findViewableProject, findScopedProject };
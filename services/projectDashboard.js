@@ -0,0 +1,234 @@
+// services/projectDashboard.js
+const mongoose = require("mongoose");
+const Material = require("../models/Material");
+const Attendance = require("../models/Attendance");
+const Issue = require("../models/Issue");
+
+// A material code counts as low stock once what is left drops to this share
+// of what was received
+const LOW_STOCK_PERCENT = Number(process.env.LOW_STOCK_PERCENT) || 20;
+
+// Half days are paid at half the daily wage, as in the DPR attendance report
+const MANDAYS = {
+  $switch: {
+    branches: [
+      { case: { $eq: ["$status", "Present"] }, then: 1 },
+      { case: { $eq: ["$status", "Half Day"] }, then: 0.5 },
+    ],
+    default: 0,
+  },
+};
+
+const dateMatch = (field, { from, to }) => {
+  if (!from && !to) return {};
+  const range = {};
+  if (from) range.$gte = from;
+  if (to) range.$lte = to;
+  return { [field]: range };
+};
+
+// Value of stock received vs consumed in the range, per material code.
+// A lot's `amount` is its total value, so consumption is priced at
+// amount / quantity of the lot it was drawn from.
+const materialSummary = async (projectId, range) => {
+  const [received, consumed] = await Promise.all([
+    Material.aggregate([
+      { $match: { projectAssigned: projectId, ...dateMatch("date", range) } },
+      {
+        $group: {
+          _id: "$matCode",
+          name: { $first: "$name" },
+          quantity: { $sum: "$quantity" },
+          value: { $sum: { $ifNull: ["$amount", 0] } },
+        },
+      },
+    ]),
+    Material.aggregate([
+      { $match: { projectAssigned: projectId } },
+      { $unwind: "$usageHistory" },
+      {
+        $match: {
+          ...dateMatch("usageHistory.date", range),
+          "usageHistory.type": { $ne: "transfer" },
+        },
+      },
+      {
+        $group: {
+          _id: "$matCode",
+          name: { $first: "$name" },
+          quantity: { $sum: "$usageHistory.quantity" },
+          value: {
+            $sum: {
+              $cond: [
+                { $gt: ["$quantity", 0] },
+                {
+                  $multiply: [
+                    "$usageHistory.quantity",
+                    { $divide: [{ $ifNull: ["$amount", 0] }, "$quantity"] },
+                  ],
+                },
+                0,
+              ],
+            },
+          },
+        },
+      },
+    ]),
+  ]);
+
+  const byCode = {};
+  const entry = (row) =>
+    (byCode[row._id] = byCode[row._id] || {
+      matCode: row._id,
+      name: row.name,
+      receivedQuantity: 0,
+      receivedValue: 0,
+      consumedQuantity: 0,
+      consumedValue: 0,
+    });
+  received.forEach((row) => {
+    entry(row).receivedQuantity = row.quantity;
+    entry(row).receivedValue = row.value;
+  });
+  consumed.forEach((row) => {
+    entry(row).consumedQuantity = row.quantity;
+    entry(row).consumedValue = row.value;
+  });
+
+  const items = Object.values(byCode);
+  return {
+    receivedValue: items.reduce((sum, i) => sum + i.receivedValue, 0),
+    consumedValue: items.reduce((sum, i) => sum + i.consumedValue, 0),
+    items,
+  };
+};
+
+// Man-days worked and wages earned in the range
+const labourSummary = async (projectId, range) => {
+  const [totals] = await Attendance.aggregate([
+    { $match: { project: projectId, ...dateMatch("date", range) } },
+    { $addFields: { mandays: MANDAYS } },
+    { $match: { mandays: { $gt: 0 } } },
+    {
+      $lookup: {
+        from: "employees",
+        localField: "employeeId",
+        foreignField: "_id",
+        as: "employee",
+      },
+    },
+    { $unwind: "$employee" },
+    {
+      $group: {
+        _id: null,
+        mandays: { $sum: "$mandays" },
+        cost: {
+          $sum: {
+            $multiply: ["$mandays", { $ifNull: ["$employee.salaryPerDay", 0] }],
+          },
+        },
+        workers: { $addToSet: "$employeeId" },
+      },
+    },
+    { $project: { _id: 0, mandays: 1, cost: 1, workers: { $size: "$workers" } } },
+  ]);
+
+  return totals || { mandays: 0, cost: 0, workers: 0 };
+};
+
+// Distinct workers marked present on the project today
+const todayHeadcount = async (projectId) => {
+  const start = new Date();
+  start.setHours(0, 0, 0, 0);
+  const end = new Date(start);
+  end.setDate(end.getDate() + 1);
+
+  const [result] = await Attendance.aggregate([
+    {
+      $match: {
+        project: projectId,
+        date: { $gte: start, $lt: end },
+        status: { $in: ["Present", "Half Day"] },
+      },
+    },
+    { $group: { _id: "$employeeId" } },
+    { $count: "headcount" },
+  ]);
+
+  return result ? result.headcount : 0;
+};
+
+// Material codes whose remaining stock is at or below the threshold
+const lowStockItems = async (projectId, percent = LOW_STOCK_PERCENT) => {
+  return Material.aggregate([
+    { $match: { projectAssigned: projectId } },
+    {
+      $group: {
+        _id: "$matCode",
+        name: { $first: "$name" },
+        received: { $sum: "$quantity" },
+        available: { $sum: { $ifNull: ["$availableQuantity", 0] } },
+      },
+    },
+    {
+      $match: {
+        $expr: {
+          $lte: ["$available", { $multiply: ["$received", percent / 100] }],
+        },
+      },
+    },
+    { $sort: { available: 1 } },
+    {
+      $project: {
+        _id: 0,
+        matCode: "$_id",
+        name: 1,
+        received: 1,
+        available: 1,
+      },
+    },
+  ]);
+};
+
+const openIssues = async (projectId) => {
+  const [count, latest] = await Promise.all([
+    Issue.countDocuments({ project: projectId, status: "open" }),
+    Issue.find({ project: projectId, status: "open" })
+      .populate("raisedBy", "username")
+      .sort({ createdAt: -1 })
+      .limit(5),
+  ]);
+  return { count, latest };
+};
+
+// Live state of a project. `from`/`to` limit the cost figures; headcount,
+// stock and issues always reflect the current state. Labour cost is left
+// out unless `includePayroll` is set.
+const getProjectDashboard = async (
+  projectId,
+  { from, to, includePayroll = false, lowStockPercent } = {}
+) => {
+  const id = new mongoose.Types.ObjectId(projectId);
+  const range = { from, to };
+
+  const [materials, labour, headcount, lowStock, issues] = await Promise.all([
+    materialSummary(id, range),
+    labourSummary(id, range),
+    todayHeadcount(id),
+    lowStockItems(id, lowStockPercent),
+    openIssues(id),
+  ]);
+
+  if (!includePayroll) delete labour.cost;
+
+  return {
+    range: { from: from || null, to: to || null },
+    materials,
+    labour,
+    todayHeadcount: headcount,
+    lowStock,
+    openIssues: issues,
+  };
+};
+
+module.exports = { getProjectDashboard, LOW_STOCK_PERCENT, MANDAYS };
@@ -0,0 +1,223 @@
+// services/projectTemplates.js
+const mongoose = require("mongoose");
+const Project = require("../models/Project");
+const ProjectTemplate = require("../models/ProjectTemplate");
+const Task = require("../models/Task");
+const Budget = require("../models/Budget");
+const Material = require("../models/Material");
+const Employee = require("../models/Employee");
+const User = require("../models/User");
+const { DAY, durationOf } = require("./schedule");
+
+// Parts of a template that can be copied into a new project
+const TEMPLATE_PARTS = ["tasks", "budget", "materials", "assignments", "crew"];
+
+// Permission needed to see each template part, when capturing it from a
+// project and when reading it back from a template
+const TEMPLATE_PART_VIEW_PERMISSIONS = {
+  budget: "budget:view",
+  assignments: "user:view",
+  crew: "employee:view",
+};
+
+const monthIndex = (month) => {
+  const [year, m] = month.split("-").map(Number);
+  return year * 12 + m - 1;
+};
+
+const toMonth = (date) =>
+  `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, "0")}`;
+
+const fromMonthIndex = (index) =>
+  `${Math.floor(index / 12)}-${String((index % 12) + 1).padStart(2, "0")}`;
+
+// Capture a project's tasks, budget, expected materials, user roles and crew,
+// or only the `parts` given
+const buildTemplate = async (
+  project,
+  { name, description, createdBy, parts = TEMPLATE_PARTS }
+) => {
+  const capture = new Set(parts);
+  const [tasks, budget, planned, users, crew] = await Promise.all([
+    capture.has("tasks")
+      ? Task.find({ project: project._id }).sort({ plannedStart: 1 }).lean()
+      : [],
+    capture.has("budget") ? Budget.findOne({ project: project._id }).lean() : null,
+    !capture.has("materials")
+      ? []
+      : project.plannedMaterials?.length
+      ? project.plannedMaterials
+      : Material.aggregate([
+          { $match: { projectAssigned: project._id } },
+          {
+            $group: {
+              _id: "$matCode",
+              name: { $first: "$name" },
+              plannedQuantity: { $sum: "$quantity" },
+            },
+          },
+          { $project: { _id: 0, matCode: "$_id", name: 1, plannedQuantity: 1 } },
+          { $sort: { matCode: 1 } },
+        ]),
+    capture.has("assignments")
+      ? User.find({ "projectAssignments.project": project._id })
+          .select("projectAssignments")
+          .lean()
+      : [],
+    capture.has("crew")
+      ? Employee.find({ assignedProjects: project._id }).distinct("_id")
+      : [],
+  ]);
+
+  // Task dates are kept as offsets from the earliest task
+  const start = tasks.length
+    ? Math.min(...tasks.map((t) => t.plannedStart))
+    : project.date.getTime();
+  const keys = new Map(tasks.map((t, index) => [t._id.toString(), index]));
+
+  // Phasing months are kept relative to the earliest budgeted month
+  const phasedMonths = (budget?.heads || []).flatMap((h) =>
+    h.phasing.map((p) => monthIndex(p.month))
+  );
+  const firstMonth = Math.min(monthIndex(toMonth(project.date)), ...phasedMonths);
+
+  return ProjectTemplate.create({
+    name,
+    description,
+    sourceProject: project._id,
+    tasks: tasks.map((t, index) => ({
+      key: index,
+      name: t.name,
+      description: t.description,
+      type: t.type,
+      startOffsetDays: Math.round((t.plannedStart - start) / DAY),
+      durationDays: durationOf(t),
+      dependencies: t.dependencies
+        .map((id) => keys.get(id.toString()))
+        .filter((key) => key !== undefined),
+    })),
+    budget: budget && {
+      heads: budget.heads.map((h) => ({
+        head: h.head,
+        amount: h.amount,
+        phasing: h.phasing.map((p) => ({
+          monthOffset: monthIndex(p.month) - firstMonth,
+          amount: p.amount,
+        })),
+      })),
+      alertThresholds: budget.alertThresholds,
+    },
+    materials: planned,
+    assignments: users.map((u) => ({
+      user: u._id,
+      role: u.projectAssignments.find(
+        (a) => a.project.toString() === project._id.toString()
+      ).role,
+    })),
+    crew,
+    createdBy,
+  });
+};
+
+// Create a project from a template, copying only the `copy` parts. Returns
+// the project and how much of each part was copied. If copying fails the
+// new project, tasks and budget are removed again.
+const createFromTemplate = async (
+  template,
+  { name, description, date, copy = TEMPLATE_PARTS, user }
+) => {
+  const start = date ? new Date(date) : new Date();
+  const parts = new Set(copy);
+
+  const project = await Project.create({
+    name,
+    description: description ?? template.description,
+    date: start,
+    createdBy: user._id,
+    template: template._id,
+    plannedMaterials: parts.has("materials") ? template.materials : [],
+  });
+  const copied = {
+    tasks: 0,
+    budget: false,
+    materials: project.plannedMaterials.length,
+    assignments: 0,
+    crew: 0,
+  };
+
+  try {
+    if (parts.has("tasks") && template.tasks.length) {
+      const ids = template.tasks.map(() => new mongoose.Types.ObjectId());
+      const tasks = template.tasks.map((t) => {
+        const plannedStart = new Date(start.getTime() + t.startOffsetDays * DAY);
+        const days = t.type === "milestone" ? 0 : Math.max(t.durationDays - 1, 0);
+        return {
+          _id: ids[t.key],
+          project: project._id,
+          name: t.name,
+          description: t.description,
+          type: t.type,
+          plannedStart,
+          plannedEnd: new Date(plannedStart.getTime() + days * DAY),
+          dependencies: t.dependencies.map((key) => ids[key]).filter(Boolean),
+          createdBy: user._id,
+        };
+      });
+      await Task.insertMany(tasks);
+      copied.tasks = tasks.length;
+    }
+
+    if (parts.has("budget") && template.budget?.heads?.length) {
+      const firstMonth = monthIndex(toMonth(start));
+      await Budget.create({
+        project: project._id,
+        heads: template.budget.heads.map((h) => ({
+          head: h.head,
+          amount: h.amount,
+          phasing: h.phasing.map((p) => ({
+            month: fromMonthIndex(firstMonth + p.monthOffset),
+            amount: p.amount,
+          })),
+        })),
+        alertThresholds: template.budget.alertThresholds,
+        updatedBy: user._id,
+      });
+      copied.budget = true;
+    }
+  } catch (err) {
+    await Promise.all([
+      Task.deleteMany({ project: project._id }),
+      Budget.deleteOne({ project: project._id }),
+      Project.deleteOne({ _id: project._id }),
+    ]);
+    throw err;
+  }
+
+  // People are linked last so a failure above leaves nobody assigned to a
+  // project that no longer exists
+  if (parts.has("assignments")) {
+    for (const { user: userId, role } of template.assignments) {
+      const result = await User.updateOne(
+        { _id: userId, "projectAssignments.project": { $ne: project._id } },
+        { $push: { projectAssignments: { project: project._id, role } } }
+      );
+      copied.assignments += result.modifiedCount;
+    }
+  }
+  if (parts.has("crew") && template.crew.length) {
+    const result = await Employee.updateMany(
+      { _id: { $in: template.crew } },
+      { $addToSet: { assignedProjects: project._id } }
+    );
+    copied.crew = result.modifiedCount;
+  }
+
+  return { project, copied };
+};
+
+module.exports = {
+  TEMPLATE_PARTS,
+  TEMPLATE_PART_VIEW_PERMISSIONS,
+  buildTemplate,
+  createFromTemplate,
+};
@@ -0,0 +1,299 @@
+// services/purchasing.js
+const mongoose = require("mongoose");
+const Material = require("../models/Material");
+const MaterialItem = require("../models/MaterialItem");
+const PurchaseOrder = require("../models/PurchaseOrder");
+const GoodsReceipt = require("../models/GoodsReceipt");
+const { toBase } = require("./units");
+const { nextVoucherNo } = require("./materialIssue");
+const { receiptMovement, recordMovements } = require("./stockLedger");
+const { normaliseUnit } = require("../config/units");
+
+const round = (value, places = 2) => Math.round(value * 10 ** places) / 10 ** places;
+
+const purchaseError = (message, status) => {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+};
+
+// Order lines from what was entered ({matCode, quantity, unit, rate,
+// taxPercent}, rate per entered unit), priced and converted to base units
+const buildOrderLines = async (input) => {
+  const codes = input.map((line) => line.matCode);
+  const duplicate = codes.find((code, i) => codes.indexOf(code) !== i);
+  if (duplicate) {
+    throw purchaseError(`${duplicate} appears on more than one line`, 400);
+  }
+
+  const items = await MaterialItem.find({ code: { $in: codes } });
+  return input.map((line) => {
+    const item = items.find((i) => i.code === line.matCode);
+    if (!item) {
+      throw purchaseError(`Unknown material code ${line.matCode}`, 404);
+    }
+    const quantity = toBase(item, line.quantity, line.unit);
+    if (quantity === null) {
+      throw purchaseError(`Unit ${line.unit} is not permitted for ${item.code}`, 400);
+    }
+    const amount = round(line.quantity * line.rate);
+    return {
+      item: item._id,
+      matCode: item.code,
+      name: item.name,
+      quantity,
+      unit: item.baseUnit,
+      enteredQuantity: line.quantity,
+      enteredUnit: normaliseUnit(line.unit) || item.baseUnit,
+      rate: line.rate,
+      baseRate: round(amount / quantity, 6),
+      taxPercent: line.taxPercent || 0,
+      amount,
+    };
+  });
+};
+
+const orderTotals = (lines) => {
+  const subtotal = round(lines.reduce((sum, l) => sum + l.amount, 0));
+  const taxAmount = round(
+    lines.reduce((sum, l) => sum + (l.amount * (l.taxPercent || 0)) / 100, 0)
+  );
+  return { subtotal, taxAmount, total: round(subtotal + taxAmount) };
+};
+
+// Put back receivedQuantity taken up by a receipt that did not complete
+const releaseLines = async (orderId, applied) => {
+  for (const { lineId, quantity } of applied) {
+    await PurchaseOrder.updateOne(
+      { _id: orderId, "lines._id": lineId },
+      { $inc: { "lines.$.receivedQuantity": -quantity } }
+    );
+  }
+};
+
+// Receive goods against an approved order. `lines` are {matCode, quantity,
+// rejectedQuantity, unit}: the accepted quantity of each becomes a new lot on
+// the order's project, priced at the order rate. Each order line is
+// incremented conditionally, so concurrent receipts can never take it past
+// the ordered quantity; anything already applied is undone if a later step
+// fails. Throws errors with a `status` for the caller to report.
+const receiveGoods = async ({ order, lines, user, date, details = {} }) => {
+  const receiptId = new mongoose.Types.ObjectId();
+  const receivedAt = date ? new Date(date) : new Date();
+
+  const items = await MaterialItem.find({
+    _id: { $in: order.lines.map((l) => l.item) },
+  }).setOptions({ withDeleted: true });
+
+  const receipt = lines.map((entry) => {
+    const line = order.lines.find((l) => l.matCode === entry.matCode);
+    if (!line) {
+      throw purchaseError(`${entry.matCode} is not on ${order.poNo}`, 400);
+    }
+    const item = items.find((i) => i._id.equals(line.item)) || {
+      code: line.matCode,
+      baseUnit: line.unit,
+    };
+    const quantity = toBase(item, entry.quantity || 0, entry.unit);
+    const rejectedQuantity = toBase(item, entry.rejectedQuantity || 0, entry.unit);
+    if (quantity === null || rejectedQuantity === null) {
+      throw purchaseError(`Unit ${entry.unit} is not permitted for ${line.matCode}`, 400);
+    }
+    const pending = round(line.quantity - line.receivedQuantity, 6);
+    if (quantity > pending) {
+      throw purchaseError(
+        `Only ${pending} ${line.unit} of ${line.matCode} is still to be received on ${order.poNo}`,
+        400
+      );
+    }
+    return { line, item, quantity, rejectedQuantity, entry };
+  });
+  if (!receipt.some((r) => r.quantity > 0 || r.rejectedQuantity > 0)) {
+    throw purchaseError("Nothing was received", 400);
+  }
+
+  const applied = [];
+  const lots = [];
+  try {
+    for (const r of receipt) {
+      if (!(r.quantity > 0)) continue;
+      const result = await PurchaseOrder.updateOne(
+        {
+          _id: order._id,
+          status: { $in: PurchaseOrder.RECEIVABLE_STATUSES },
+          lines: {
+            $elemMatch: {
+              _id: r.line._id,
+              receivedQuantity: { $lte: round(r.line.quantity - r.quantity, 6) },
+            },
+          },
+        },
+        { $inc: { "lines.$.receivedQuantity": r.quantity } }
+      );
+      if (!result.modifiedCount) {
+        throw purchaseError(
+          `${order.poNo} has changed since it was loaded; check what is still pending and try again`,
+          409
+        );
+      }
+      applied.push({ lineId: r.line._id, quantity: r.quantity });
+    }
+
+    const grnNo = await nextVoucherNo("GRN", receivedAt);
+    for (const r of receipt) {
+      if (!(r.quantity > 0)) continue;
+      const lot = await Material.create({
+        item: r.line.item,
+        name: r.line.name,
+        matCode: r.line.matCode,
+        quantity: r.quantity,
+        availableQuantity: r.quantity,
+        unit: r.line.unit,
+        enteredQuantity: r.entry.quantity,
+        enteredUnit: normaliseUnit(r.entry.unit) || r.line.unit,
+        amount: round(r.quantity * r.line.baseRate),
+        vendor: order.vendor,
+        purchaseOrder: order._id,
+        goodsReceipt: receiptId,
+        document: details.document,
+        date: receivedAt,
+        addedBy: user.username,
+        projectAssigned: order.project,
+      });
+      lots.push(lot);
+      r.material = lot._id;
+    }
+
+    const grnLines = receipt.map((r) => ({
+      poLine: r.line._id,
+      item: r.line.item,
+      matCode: r.line.matCode,
+      quantity: r.quantity,
+      rejectedQuantity: r.rejectedQuantity,
+      unit: r.line.unit,
+      enteredQuantity: r.entry.quantity || 0,
+      enteredUnit: normaliseUnit(r.entry.unit) || r.line.unit,
+      amount: round(r.quantity * r.line.baseRate),
+      material: r.material,
+    }));
+    const grn = await GoodsReceipt.create({
+      _id: receiptId,
+      grnNo,
+      purchaseOrder: order._id,
+      poNo: order.poNo,
+      vendor: order.vendor,
+      project: order.project,
+      lines: grnLines,
+      amount: round(grnLines.reduce((sum, l) => sum + l.amount, 0)),
+      ...details,
+      date: receivedAt,
+      receivedBy: user._id,
+    });
+
+    // Fully received once every line is in
+    const current = await PurchaseOrder.findById(order._id);
+    const complete = current.lines.every(
+      (l) => round(l.receivedQuantity, 6) >= round(l.quantity, 6)
+    );
+    const updated = await PurchaseOrder.findOneAndUpdate(
+      { _id: order._id, status: { $in: PurchaseOrder.RECEIVABLE_STATUSES } },
+      { status: complete ? "received" : "partially-received" },
+      { new: true }
+    );
+
+    await recordMovements(lots.map((lot) => receiptMovement(lot, user._id, grnNo)));
+    return { grn, lots, order: updated || current };
+  } catch (err) {
+    if (lots.length) {
+      await Material.deleteMany({ _id: { $in: lots.map((lot) => lot._id) } });
+    }
+    await releaseLines(order._id, applied);
+    throw err;
+  }
+};
+
+// Orders that have been placed with the vendor
+const COMMITTED_STATUSES = ["approved", "partially-received", "received", "closed"];
+
+// Ordered, received and pending quantity and value (before tax) of each line
+// of an order. Nothing is pending on a closed or cancelled order.
+const orderProgress = (order) => {
+  const open = PurchaseOrder.RECEIVABLE_STATUSES.includes(order.status);
+  const lines = order.lines.map((l) => {
+    const received = round(l.receivedQuantity || 0, 6);
+    const pending = open ? Math.max(round(l.quantity - received, 6), 0) : 0;
+    return {
+      matCode: l.matCode,
+      name: l.name,
+      unit: l.unit,
+      rate: l.baseRate,
+      orderedQuantity: l.quantity,
+      receivedQuantity: received,
+      pendingQuantity: pending,
+      orderedValue: l.amount,
+      receivedValue: round(received * l.baseRate),
+      pendingValue: round(pending * l.baseRate),
+    };
+  });
+  const sum = (field) => round(lines.reduce((s, l) => s + l[field], 0));
+  return {
+    _id: order._id,
+    poNo: order.poNo,
+    vendor: order.vendor,
+    project: order.project,
+    status: order.status,
+    expectedDate: order.expectedDate,
+    total: order.total,
+    orderedValue: sum("orderedValue"),
+    receivedValue: sum("receivedValue"),
+    pendingValue: sum("pendingValue"),
+    lines,
+  };
+};
+
+// Progress of every order placed matching `filter`
+const purchaseOrderReport = async (filter) => {
+  const orders = await PurchaseOrder.find({
+    status: { $in: COMMITTED_STATUSES },
+    ...filter,
+  })
+    .populate({ path: "vendor", select: "name gstin", options: { withDeleted: true } })
+    .populate("project", "name")
+    .sort({ createdAt: -1 })
+    .lean();
+  return orders.map(orderProgress);
+};
+
+// The same rolled up per vendor
+const vendorReport = async (filter) => {
+  const orders = await purchaseOrderReport(filter);
+  const vendors = new Map();
+  for (const order of orders) {
+    const key = String(order.vendor._id);
+    const row = vendors.get(key) || {
+      vendor: order.vendor,
+      orders: 0,
+      openOrders: 0,
+      orderedValue: 0,
+      receivedValue: 0,
+      pendingValue: 0,
+    };
+    row.orders++;
+    if (PurchaseOrder.RECEIVABLE_STATUSES.includes(order.status)) row.openOrders++;
+    row.orderedValue = round(row.orderedValue + order.orderedValue);
+    row.receivedValue = round(row.receivedValue + order.receivedValue);
+    row.pendingValue = round(row.pendingValue + order.pendingValue);
+    vendors.set(key, row);
+  }
+  return [...vendors.values()].sort((a, b) => a.vendor.name.localeCompare(b.vendor.name));
+};
+
+module.exports = {
+  COMMITTED_STATUSES,
+  buildOrderLines,
+  orderTotals,
+  receiveGoods,
+  orderProgress,
+  purchaseOrderReport,
+  vendorReport,
+};
@@ -0,0 +1,184 @@
+// services/reorder.js
+const mongoose = require("mongoose");
+const Material = require("../models/Material");
+const MaterialItem = require("../models/MaterialItem");
+const Project = require("../models/Project");
+const ReorderRule = require("../models/ReorderRule");
+const { raiseAlert, resolveAlerts } = require("./alerts");
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Days of issues the consumption rate is averaged over
+const CONSUMPTION_WINDOW_DAYS = Number(process.env.CONSUMPTION_WINDOW_DAYS) || 30;
+
+const round = (value, places = 2) => Math.round(value * 10 ** places) / 10 ** places;
+
+// Quantity per material code of the `field` entries matching `typeMatch`
+// since `since`
+const entryTotals = (projectId, matCodes, field, typeMatch, since) =>
+  Material.aggregate([
+    {
+      $match: {
+        projectAssigned: projectId,
+        ...(matCodes ? { matCode: { $in: matCodes } } : {}),
+      },
+    },
+    { $unwind: `$${field}` },
+    {
+      $match: {
+        [`${field}.date`]: { $gte: since },
+        [`${field}.type`]: typeMatch,
+      },
+    },
+    { $group: { _id: "$matCode", quantity: { $sum: `$${field}.quantity` } } },
+  ]);
+
+// Average quantity consumed per day over the window, per material code: what
+// was issued less approved returns to stock, as in the valuation report.
+// Stock sent to other sites is not consumption.
+const averageDailyConsumption = async (projectId, matCodes, days = CONSUMPTION_WINDOW_DAYS) => {
+  const since = new Date(Date.now() - days * DAY);
+  const [issues, returns] = await Promise.all([
+    entryTotals(projectId, matCodes, "usageHistory", { $ne: "transfer" }, since),
+    entryTotals(projectId, matCodes, "adjustments", "return", since),
+  ]);
+
+  const consumed = new Map(issues.map((row) => [row._id, row.quantity]));
+  for (const row of returns) {
+    consumed.set(row._id, (consumed.get(row._id) || 0) - row.quantity);
+  }
+  return new Map(
+    [...consumed].map(([matCode, quantity]) => [matCode, Math.max(quantity, 0) / days])
+  );
+};
+
+// Where each material on a project stands against its reorder level, with a
+// runout forecast at the current consumption rate:
+//   critical – at or below safety stock (or out)
+//   reorder  – at or below the reorder level, or due to run out before a new
+//              order could arrive (leadTimeDays)
+//   ok       – otherwise, or no level set (tracked: false)
+const stockStatus = async (projectId, { matCodes } = {}) => {
+  const id = new mongoose.Types.ObjectId(projectId);
+  const codeFilter = matCodes ? { matCode: { $in: matCodes } } : {};
+
+  const [stock, rules, consumption] = await Promise.all([
+    Material.aggregate([
+      { $match: { projectAssigned: id, ...codeFilter } },
+      {
+        $group: {
+          _id: "$matCode",
+          name: { $first: "$name" },
+          available: { $sum: { $ifNull: ["$availableQuantity", 0] } },
+        },
+      },
+    ]),
+    ReorderRule.find({ project: id, ...codeFilter }).lean(),
+    averageDailyConsumption(id, matCodes),
+  ]);
+
+  const stockByCode = new Map(stock.map((row) => [row._id, row]));
+  const rulesByCode = new Map(rules.map((rule) => [rule.matCode, rule]));
+  const codes = [...new Set([...stockByCode.keys(), ...rulesByCode.keys()])].sort();
+  const items = await MaterialItem.find({ code: { $in: codes } }).lean();
+  const itemsByCode = new Map(items.map((item) => [item.code, item]));
+
+  return codes.map((matCode) => {
+    const item = itemsByCode.get(matCode);
+    const rule = rulesByCode.get(matCode);
+    const available = round(stockByCode.get(matCode)?.available || 0, 6);
+    const reorderLevel = rule ? rule.reorderLevel : item?.reorderLevel || 0;
+    const safetyStock = rule?.safetyStock || 0;
+    const dailyConsumption = round(consumption.get(matCode) || 0, 4);
+
+    const daysRemaining = dailyConsumption > 0 ? round(available / dailyConsumption, 1) : null;
+    const runoutDate =
+      daysRemaining !== null ? new Date(Date.now() + daysRemaining * DAY) : null;
+
+    const tracked = Boolean(rule) || reorderLevel > 0;
+    let status = "ok";
+    if (tracked) {
+      if (available <= 0 || (safetyStock > 0 && available <= safetyStock)) {
+        status = "critical";
+      } else if (
+        available <= reorderLevel ||
+        (rule?.leadTimeDays && daysRemaining !== null && daysRemaining <= rule.leadTimeDays)
+      ) {
+        status = "reorder";
+      }
+    }
+
+    return {
+      matCode,
+      name: item?.name || stockByCode.get(matCode)?.name,
+      unit: item?.baseUnit,
+      available,
+      reorderLevel,
+      safetyStock,
+      reorderQuantity: rule?.reorderQuantity ?? null,
+      leadTimeDays: rule?.leadTimeDays ?? null,
+      dailyConsumption,
+      daysRemaining,
+      runoutDate,
+      tracked,
+      status,
+    };
+  });
+};
+
+const alertKey = (projectId, matCode, level) => `low-stock:${projectId}:${matCode}:${level}`;
+
+// Raise low-stock alerts for materials at or below their levels and resolve
+// them once stock is back up. An alert closed by hand while stock is still
+// low is raised again on the next evaluation. Never throws.
+const evaluateStock = async (projectId, matCodes) => {
+  try {
+    const project = await Project.findById(projectId).select("name");
+    if (!project) return [];
+
+    const statuses = await stockStatus(projectId, { matCodes });
+    for (const s of statuses) {
+      const keys = {
+        critical: alertKey(projectId, s.matCode, "critical"),
+        reorder: alertKey(projectId, s.matCode, "reorder"),
+      };
+
+      if (s.status === "ok") {
+        await resolveAlerts([keys.critical, keys.reorder]);
+        continue;
+      }
+
+      const forecast =
+        s.daysRemaining !== null ? `; about ${s.daysRemaining} days of stock left` : "";
+      await raiseAlert({
+        key: keys[s.status],
+        type: "low-stock",
+        severity: s.status === "critical" ? "critical" : "warning",
+        project: project._id,
+        message: `${s.name} (${s.matCode}) on ${project.name}: ${s.available}${
+          s.unit ? ` ${s.unit}` : ""
+        } left, reorder level ${s.reorderLevel}${forecast}`,
+        data: s,
+      });
+      await resolveAlerts([keys[s.status === "critical" ? "reorder" : "critical"]]);
+    }
+    return statuses;
+  } catch (err) {
+    console.error("Stock evaluation error:", err.message);
+    return [];
+  }
+};
+
+// Evaluate after the current request has been answered, so stock movements
+// are never slowed down or failed by alerting
+const queueStockEvaluation = (projectId, matCodes) => {
+  setImmediate(() => evaluateStock(projectId, matCodes));
+};
+
+module.exports = {
+  CONSUMPTION_WINDOW_DAYS,
+  averageDailyConsumption,
+  stockStatus,
+  evaluateStock,
+  queueStockEvaluation,
+};
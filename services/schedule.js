@@ -0,0 +1,180 @@
+// services/schedule.js
+const Task = require("../models/Task");
+const Project = require("../models/Project");
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Planned duration in whole days; a task starting and ending on the same day
+// takes one day, a milestone takes none
+const durationOf = (task) =>
+  task.type === "milestone"
+    ? 0
+    : Math.round((task.plannedEnd - task.plannedStart) / DAY) + 1;
+
+const idOf = (value) => (value._id || value).toString();
+
+// Returns the ids forming a dependency loop (first id repeated at the end),
+// or null when the graph is acyclic. Dependencies outside `tasks` are ignored.
+const findCycle = (tasks) => {
+  const byId = new Map(tasks.map((task) => [idOf(task), task]));
+  const state = new Map(); // undefined = unvisited, 1 = on stack, 2 = done
+  const stack = [];
+
+  const visit = (id) => {
+    state.set(id, 1);
+    stack.push(id);
+    for (const dep of byId.get(id).dependencies || []) {
+      const depId = idOf(dep);
+      if (!byId.has(depId)) continue;
+      if (state.get(depId) === 1) {
+        return [...stack.slice(stack.indexOf(depId)), depId];
+      }
+      if (!state.get(depId)) {
+        const cycle = visit(depId);
+        if (cycle) return cycle;
+      }
+    }
+    stack.pop();
+    state.set(id, 2);
+    return null;
+  };
+
+  for (const id of byId.keys()) {
+    if (!state.get(id)) {
+      const cycle = visit(id);
+      if (cycle) return cycle;
+    }
+  }
+  return null;
+};
+
+// Critical path method over planned durations. Returns per-task early/late
+// start and finish (in days from the project start), slack, and the tasks
+// with no slack in schedule order. Throws if the dependencies contain a loop.
+const computeCriticalPath = (tasks) => {
+  const cycle = findCycle(tasks);
+  if (cycle) {
+    const error = new Error("Task dependencies contain a cycle");
+    error.cycle = cycle;
+    throw error;
+  }
+
+  const byId = new Map(tasks.map((task) => [idOf(task), task]));
+  const predecessors = new Map();
+  const successors = new Map(tasks.map((task) => [idOf(task), []]));
+  tasks.forEach((task) => {
+    const deps = (task.dependencies || []).map(idOf).filter((id) => byId.has(id));
+    predecessors.set(idOf(task), deps);
+    deps.forEach((dep) => successors.get(dep).push(idOf(task)));
+  });
+
+  // Topological order (Kahn)
+  const pending = new Map(
+    [...predecessors].map(([id, deps]) => [id, deps.length])
+  );
+  const queue = [...pending].filter(([, n]) => n === 0).map(([id]) => id);
+  const order = [];
+  while (queue.length) {
+    const id = queue.shift();
+    order.push(id);
+    successors.get(id).forEach((next) => {
+      pending.set(next, pending.get(next) - 1);
+      if (pending.get(next) === 0) queue.push(next);
+    });
+  }
+
+  const plan = new Map();
+  order.forEach((id) => {
+    const duration = durationOf(byId.get(id));
+    const earlyStart = Math.max(
+      0,
+      ...predecessors.get(id).map((dep) => plan.get(dep).earlyFinish)
+    );
+    plan.set(id, { duration, earlyStart, earlyFinish: earlyStart + duration });
+  });
+
+  const projectDuration = Math.max(
+    0,
+    ...[...plan.values()].map((p) => p.earlyFinish)
+  );
+
+  [...order].reverse().forEach((id) => {
+    const entry = plan.get(id);
+    entry.lateFinish = Math.min(
+      projectDuration,
+      ...successors.get(id).map((next) => plan.get(next).lateStart)
+    );
+    entry.lateStart = entry.lateFinish - entry.duration;
+    entry.slack = entry.lateStart - entry.earlyStart;
+    entry.critical = entry.slack === 0;
+  });
+
+  return {
+    projectDuration,
+    plan,
+    criticalPath: order
+      .filter((id) => plan.get(id).critical)
+      .sort((a, b) => plan.get(a).earlyStart - plan.get(b).earlyStart),
+  };
+};
+
+// Rows for a Gantt chart, with critical-path flags when the graph is valid
+const toGantt = (tasks) => {
+  let plan = null;
+  try {
+    plan = computeCriticalPath(tasks).plan;
+  } catch (err) {
+    if (!err.cycle) throw err;
+  }
+
+  return tasks.map((task) => {
+    const entry = plan && plan.get(idOf(task));
+    return {
+      id: idOf(task),
+      name: task.name,
+      type: task.type,
+      start: task.plannedStart,
+      end: task.plannedEnd,
+      actualStart: task.actualStart || null,
+      actualEnd: task.actualEnd || null,
+      progress: task.percentComplete,
+      dependencies: (task.dependencies || []).map(idOf),
+      assignees: task.assignees || [],
+      critical: entry ? entry.critical : null,
+      slack: entry ? entry.slack : null,
+    };
+  });
+};
+
+// Project completion weighted by planned duration; milestones weigh one day
+const computeProgress = (tasks) => {
+  if (!tasks.length) return 0;
+  let total = 0;
+  let done = 0;
+  tasks.forEach((task) => {
+    const weight = Math.max(durationOf(task), 1);
+    total += weight;
+    done += weight * (task.percentComplete || 0);
+  });
+  return Math.round(done / total);
+};
+
+// Recompute and store the project's progress from its tasks
+const rollUpProgress = async (projectId) => {
+  const tasks = await Task.find({ project: projectId })
+    .select("type plannedStart plannedEnd percentComplete")
+    .lean();
+  const progress = computeProgress(tasks);
+  await Project.updateOne({ _id: projectId }, { progress });
+  return progress;
+};
+
+module.exports = {
+  DAY,
+  durationOf,
+  findCycle,
+  computeCriticalPath,
+  toGantt,
+  computeProgress,
+  rollUpProgress,
+};
@@ -0,0 +1,130 @@
+// services/sessions.js
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const mongoose = require("mongoose");
+const Session = require("../models/Session");
+
+const ACCESS_TOKEN_EXPIRE = process.env.ACCESS_TOKEN_EXPIRE || "15m";
+const REFRESH_TOKEN_TTL_DAYS =
+  parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30;
+
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+const generateAccessToken = (userId, sessionId) => {
+  return jwt.sign({ userId, sessionId }, process.env.JWT_SECRET, {
+    expiresIn: ACCESS_TOKEN_EXPIRE,
+  });
+};
+
+// Give the session a fresh refresh token; returns the plain token
+const issueRefreshToken = (session) => {
+  const secret = crypto.randomBytes(48).toString("hex");
+  session.refreshTokenHash = hashToken(secret);
+  session.expiresAt = new Date(
+    Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000
+  );
+  session.lastUsedAt = new Date();
+  return `${session._id}.${secret}`;
+};
+
+const buildTokens = (session, refreshToken) => ({
+  accessToken: generateAccessToken(session.user, session._id),
+  refreshToken,
+  accessTokenExpiresIn: ACCESS_TOKEN_EXPIRE,
+  refreshTokenExpiresAt: session.expiresAt,
+});
+
+// Start (or take over) the session for this user on this device
+const startSession = async (user, { deviceId, userAgent, ip } = {}) => {
+  const device = deviceId || "unknown";
+
+  let session = await Session.findOne({
+    user: user._id,
+    deviceId: device,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  });
+
+  if (!session) {
+    session = new Session({ user: user._id, deviceId: device });
+  }
+
+  session.userAgent = userAgent;
+  session.ip = ip;
+  const refreshToken = issueRefreshToken(session);
+  await session.save();
+
+  return { session, ...buildTokens(session, refreshToken) };
+};
+
+// Exchange a refresh token for a new token pair. Presenting an already
+// rotated token revokes the session, since it means the token leaked. The
+// swap only goes through while the presented token is still the current one,
+// so two requests racing with the same token cannot both rotate it.
+const rotateRefreshToken = async (refreshToken) => {
+  const [sessionId, secret] = String(refreshToken || "").split(".");
+  if (!sessionId || !secret || !mongoose.isValidObjectId(sessionId)) {
+    return null;
+  }
+
+  const session = await Session.findById(sessionId);
+  if (!session || !session.isActive()) return null;
+
+  const presentedHash = hashToken(secret);
+  if (session.refreshTokenHash === presentedHash) {
+    const nextToken = issueRefreshToken(session);
+    const rotated = await Session.findOneAndUpdate(
+      { _id: session._id, refreshTokenHash: presentedHash, revokedAt: null },
+      {
+        $set: {
+          refreshTokenHash: session.refreshTokenHash,
+          expiresAt: session.expiresAt,
+          lastUsedAt: session.lastUsedAt,
+        },
+      },
+      { new: true }
+    );
+    if (rotated) return { session: rotated, ...buildTokens(rotated, nextToken) };
+  }
+
+  await revokeSession(session._id, "refresh-token-reuse");
+  return null;
+};
+
+const revokeSession = async (sessionId, reason = "logout") => {
+  return Session.findOneAndUpdate(
+    { _id: sessionId, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason },
+    { new: true }
+  );
+};
+
+// Revoke every active session of a user, optionally keeping one
+const revokeUserSessions = async (userId, reason, { exceptSessionId } = {}) => {
+  const filter = { user: userId, revokedAt: null };
+  if (exceptSessionId) filter._id = { $ne: exceptSessionId };
+
+  const result = await Session.updateMany(filter, {
+    revokedAt: new Date(),
+    revokedReason: reason,
+  });
+  return result.modifiedCount;
+};
+
+// Revoke the user's sessions on one device, e.g. when a phone is lost
+const revokeDeviceSessions = async (userId, deviceId, reason) => {
+  const result = await Session.updateMany(
+    { user: userId, deviceId, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+  return result.modifiedCount;
+};
+
+module.exports = {
+  startSession,
+  rotateRefreshToken,
+  revokeSession,
+  revokeUserSessions,
+  revokeDeviceSessions,
+};
@@ -0,0 +1,265 @@
+// services/stockLedger.js
+const mongoose = require("mongoose");
+const StockMovement = require("../models/StockMovement");
+
+const round = (value) => Math.round(value * 1e6) / 1e6;
+
+// Ledger entries for the events that change a lot, keyed by the event so
+// writing one twice (a retry, the backfill) is harmless.
+
+const lotFields = (lot) => ({
+  project: lot.projectAssigned,
+  material: lot._id,
+  item: lot.item,
+  matCode: lot.matCode,
+  unit: lot.unit,
+});
+
+// The lot coming into stock: bought (on GRN `reference` when received
+// against a purchase order) or received on transfer challan `reference`
+const receiptMovement = (lot, userId, reference) => ({
+  ...lotFields(lot),
+  entryKey: `receipt:${lot._id}`,
+  type: lot.transfer ? "transfer-in" : "receipt",
+  quantity: lot.quantity,
+  date: lot.date,
+  sourceModel: lot.transfer ? "Transfer" : lot.goodsReceipt ? "GoodsReceipt" : "Material",
+  source: lot.transfer || lot.goodsReceipt || lot._id,
+  reference,
+  createdBy: userId,
+});
+
+// A usageHistory entry: an issue on voucher `reference`, or stock sent on
+// transfer challan `reference`
+const usageMovement = (lot, usage, { reference, userId } = {}) => ({
+  ...lotFields(lot),
+  entryKey: `usage:${usage._id}`,
+  type: usage.type === "transfer" ? "transfer-out" : "issue",
+  quantity: -usage.quantity,
+  date: usage.date,
+  sourceModel: usage.transfer ? "Transfer" : usage.voucher ? "IssueVoucher" : undefined,
+  source: usage.transfer || usage.voucher,
+  reference,
+  remarks: usage.takenBy,
+  createdBy: userId,
+});
+
+// An approved StockAdjustment (return, wastage or count adjustment)
+const adjustmentMovement = (lot, adjustment, userId) => ({
+  ...lotFields(lot),
+  entryKey: `adjustment:${adjustment._id}`,
+  type: adjustment.type,
+  quantity: adjustment.quantity,
+  date: adjustment.date,
+  sourceModel: "StockAdjustment",
+  source: adjustment._id,
+  reference: adjustment.adjustmentNo,
+  reasonCode: adjustment.reasonCode,
+  createdBy: userId,
+});
+
+// Stock written off or back outside the movement workflow: a lot moved to or
+// restored from the trash, or marked out of stock. `key` names the event.
+const balanceMovement = (lot, { key, quantity, remarks, userId, date = new Date() }) => ({
+  ...lotFields(lot),
+  entryKey: `${key}:${lot._id}`,
+  type: "adjustment",
+  quantity,
+  date,
+  sourceModel: "Material",
+  source: lot._id,
+  remarks,
+  createdBy: userId,
+});
+
+// Write ledger entries, skipping any already recorded. Never throws: the
+// stock change has happened by the time this runs, so a failure is logged
+// and the entry is picked up by scripts/backfill-stock-ledger.js.
+const recordMovements = async (entries) => {
+  const list = (Array.isArray(entries) ? entries : [entries]).filter(
+    (e) => e && e.quantity
+  );
+  if (!list.length) return [];
+  try {
+    return await StockMovement.insertMany(list, { ordered: false });
+  } catch (err) {
+    const failures = (err.writeErrors || []).filter((e) => e.code !== 11000);
+    if (err.writeErrors && !failures.length) return err.insertedDocs || [];
+    console.error("Stock ledger error:", err);
+    return [];
+  }
+};
+
+// Cancel the effect of earlier entries, e.g. when a transfer is cancelled
+const reverseMovements = async (filter, { userId, remarks, date = new Date() }) => {
+  const originals = await StockMovement.find({ ...filter, reverses: null }).lean();
+  return recordMovements(
+    originals.map((m) => ({
+      entryKey: `reversal:${m._id}`,
+      type: m.type,
+      project: m.project,
+      material: m.material,
+      item: m.item,
+      matCode: m.matCode,
+      unit: m.unit,
+      quantity: -m.quantity,
+      date,
+      sourceModel: m.sourceModel,
+      source: m.source,
+      reference: m.reference,
+      remarks,
+      reverses: m._id,
+      createdBy: userId,
+    }))
+  );
+};
+
+// Treat a date-only `to` as the end of that day
+const parseRange = ({ from, to }) => {
+  const range = {};
+  if (from) range.from = new Date(from);
+  if (to) {
+    range.to = new Date(to);
+    if (/^\d{4}-\d{2}-\d{2}$/.test(to)) range.to.setUTCHours(23, 59, 59, 999);
+  }
+  return range;
+};
+
+const toIds = (ids) => ids.map((id) => new mongoose.Types.ObjectId(id));
+
+// Movements of one material code on the given projects (all when null), with
+// the balance brought forward, a running balance per entry and the closing
+// balance
+const stockCard = async ({ matCode, projectIds, from, to }) => {
+  const match = { matCode, ...(projectIds ? { project: { $in: toIds(projectIds) } } : {}) };
+
+  let opening = 0;
+  if (from) {
+    const [row] = await StockMovement.aggregate([
+      { $match: { ...match, date: { $lt: from } } },
+      { $group: { _id: null, quantity: { $sum: "$quantity" } } },
+    ]);
+    opening = round(row?.quantity || 0);
+  }
+
+  const dateRange = {};
+  if (from) dateRange.$gte = from;
+  if (to) dateRange.$lte = to;
+  const movements = await StockMovement.find({
+    ...match,
+    ...(from || to ? { date: dateRange } : {}),
+  })
+    .populate("project", "name")
+    .populate("createdBy", "username")
+    .sort({ date: 1, _id: 1 })
+    .lean();
+
+  let balance = opening;
+  const entries = movements.map((m) => {
+    balance = round(balance + m.quantity);
+    return { ...m, balance };
+  });
+
+  return {
+    matCode,
+    unit: movements[0]?.unit,
+    opening,
+    inward: round(movements.filter((m) => m.quantity > 0).reduce((s, m) => s + m.quantity, 0)),
+    outward: round(movements.filter((m) => m.quantity < 0).reduce((s, m) => s - m.quantity, 0)),
+    closing: balance,
+    entries,
+  };
+};
+
+// Opening, in, out and closing per material code on a project for a period,
+// with the period's movements broken down by type
+const periodSummary = async ({ projectId, from, to }) => {
+  const project = new mongoose.Types.ObjectId(projectId);
+  const before = from ? { $lt: ["$date", from] } : false;
+  const inPeriod = {
+    $and: [from ? { $gte: ["$date", from] } : true, to ? { $lte: ["$date", to] } : true],
+  };
+  const sumIf = (cond) => ({ $sum: { $cond: [cond, "$quantity", 0] } });
+
+  const [totals, byType] = await Promise.all([
+    StockMovement.aggregate([
+      { $match: { project, ...(to ? { date: { $lte: to } } : {}) } },
+      {
+        $group: {
+          _id: "$matCode",
+          unit: { $last: "$unit" },
+          opening: sumIf(before),
+          inward: sumIf({ $and: [inPeriod, { $gt: ["$quantity", 0] }] }),
+          outward: sumIf({ $and: [inPeriod, { $lt: ["$quantity", 0] }] }),
+          closing: { $sum: "$quantity" },
+        },
+      },
+      { $sort: { _id: 1 } },
+    ]),
+    StockMovement.aggregate([
+      {
+        $match: {
+          project,
+          ...(from || to
+            ? { date: { ...(from ? { $gte: from } : {}), ...(to ? { $lte: to } : {}) } }
+            : {}),
+        },
+      },
+      { $group: { _id: { matCode: "$matCode", type: "$type" }, quantity: { $sum: "$quantity" } } },
+    ]),
+  ]);
+
+  return totals.map((row) => ({
+    matCode: row._id,
+    unit: row.unit,
+    opening: round(row.opening),
+    inward: round(row.inward),
+    outward: round(-row.outward),
+    closing: round(row.closing),
+    byType: Object.fromEntries(
+      byType
+        .filter((t) => t._id.matCode === row._id)
+        .map((t) => [t._id.type, round(t.quantity)])
+    ),
+  }));
+};
+
+// Stock on hand per project and material code at the end of `asOf`
+const balanceAsOf = async ({ projectIds, asOf }) => {
+  const rows = await StockMovement.aggregate([
+    {
+      $match: {
+        ...(projectIds ? { project: { $in: toIds(projectIds) } } : {}),
+        ...(asOf ? { date: { $lte: asOf } } : {}),
+      },
+    },
+    {
+      $group: {
+        _id: { project: "$project", matCode: "$matCode" },
+        unit: { $last: "$unit" },
+        quantity: { $sum: "$quantity" },
+      },
+    },
+    { $sort: { "_id.project": 1, "_id.matCode": 1 } },
+  ]);
+
+  return rows.map((row) => ({
+    project: row._id.project,
+    matCode: row._id.matCode,
+    unit: row.unit,
+    quantity: round(row.quantity),
+  }));
+};
+
+module.exports = {
+  receiptMovement,
+  usageMovement,
+  adjustmentMovement,
+  balanceMovement,
+  recordMovements,
+  reverseMovements,
+  parseRange,
+  stockCard,
+  periodSummary,
+  balanceAsOf,
+};
@@ -0,0 +1,148 @@
+// services/trash.js
+const Project = require("../models/Project");
+const Material = require("../models/Material");
+const Employee = require("../models/Employee");
+const User = require("../models/User");
+const Attendance = require("../models/Attendance");
+const Task = require("../models/Task");
+const Issue = require("../models/Issue");
+const Expense = require("../models/Expense");
+const ProjectTemplate = require("../models/ProjectTemplate");
+const MaterialItem = require("../models/MaterialItem");
+const Vendor = require("../models/Vendor");
+const { balanceMovement, recordMovements } = require("./stockLedger");
+
+// Everything that can sit in the trash. `scopeField` is the project field
+// used to limit non-admins to their own projects (none for organisation-wide
+// data); `permission` is needed to restore an item of that type.
+const TRASH_TYPES = {
+  project: { model: Project, scopeField: "_id", permission: "project:manage" },
+  material: {
+    model: Material,
+    scopeField: "projectAssigned",
+    permission: "material:manage",
+  },
+  employee: {
+    model: Employee,
+    scopeField: "assignedProjects",
+    permission: "employee:manage",
+  },
+  user: {
+    model: User,
+    scopeField: "projectAssignments.project",
+    permission: "user:manage",
+    select: "-password -otp -passwordResetOtp -passwordReset",
+  },
+  attendance: { model: Attendance, scopeField: "project", permission: "attendance:mark" },
+  task: { model: Task, scopeField: "project", permission: "task:manage" },
+  issue: { model: Issue, scopeField: "project", permission: "project:manage" },
+  expense: { model: Expense, scopeField: "project", permission: "budget:manage" },
+  template: {
+    model: ProjectTemplate,
+    scopeField: "sourceProject",
+    permission: "project:manage",
+  },
+  materialItem: { model: MaterialItem, permission: "material:manage" },
+  vendor: { model: Vendor, permission: "purchase:manage" },
+};
+
+// Records archived along with a parent. Employees only go when the archived
+// project was the only one they worked on.
+const CASCADES = {
+  Project: [
+    { model: Material, filter: (id) => ({ projectAssigned: id }) },
+    { model: Attendance, filter: (id) => ({ project: id }) },
+    { model: Task, filter: (id) => ({ project: id }) },
+    { model: Issue, filter: (id) => ({ project: id }) },
+    { model: Expense, filter: (id) => ({ project: id }) },
+    { model: Employee, filter: (id) => ({ assignedProjects: [id] }) },
+  ],
+};
+
+// Stock on archived lots leaves the ledger, and comes back on restore. Keyed
+// by the archive time so each archive/restore pair is recorded once.
+const recordLotBalances = (lots, { archived, userId }) =>
+  recordMovements(
+    lots.map((lot) =>
+      balanceMovement(lot, {
+        key: `${archived ? "trash" : "restore"}:${lot.deletedAt.getTime()}`,
+        quantity: (archived ? -1 : 1) * (lot.availableQuantity || 0),
+        remarks: archived ? "Lot moved to trash" : "Lot restored from trash",
+        userId,
+        date: archived ? lot.deletedAt : new Date(),
+      })
+    )
+  );
+
+// Soft delete a document and everything that cascades from it. Returns the
+// number of dependent records archived, per model.
+const archive = async (doc, userId) => {
+  await doc.softDelete(userId);
+  if (doc instanceof Material) {
+    await recordLotBalances([doc], { archived: true, userId });
+  }
+
+  const cascaded = {};
+  for (const rule of CASCADES[doc.constructor.modelName] || []) {
+    const lots =
+      rule.model === Material
+        ? await Material.find({ ...rule.filter(doc._id), availableQuantity: { $gt: 0 } }).lean()
+        : [];
+    const result = await rule.model.updateMany(rule.filter(doc._id), {
+      deletedAt: doc.deletedAt,
+      deletedBy: userId,
+      archivedWith: doc._id,
+    });
+    cascaded[rule.model.modelName] = result.modifiedCount;
+    await recordLotBalances(
+      lots.map((lot) => ({ ...lot, deletedAt: doc.deletedAt })),
+      { archived: true, userId }
+    );
+  }
+  return cascaded;
+};
+
+// Restore a document and whatever was archived along with it
+const restore = async (doc, userId) => {
+  if (doc instanceof Material) {
+    await recordLotBalances([doc], { archived: false, userId });
+  }
+  await doc.restore();
+
+  const restored = {};
+  for (const rule of CASCADES[doc.constructor.modelName] || []) {
+    const lots =
+      rule.model === Material
+        ? await Material.find({
+            archivedWith: doc._id,
+            deletedAt: { $ne: null },
+            availableQuantity: { $gt: 0 },
+          }).lean()
+        : [];
+    const result = await rule.model
+      .updateMany(
+        { archivedWith: doc._id, deletedAt: { $ne: null } },
+        { deletedAt: null, $unset: { deletedBy: 1, archivedWith: 1 } }
+      )
+      .setOptions({ withDeleted: true });
+    restored[rule.model.modelName] = result.modifiedCount;
+    await recordLotBalances(lots, { archived: false, userId });
+  }
+  return restored;
+};
+
+// The archived parent blocking a cascaded record from being restored alone
+const archivedParent = async (doc) => {
+  if (!doc.archivedWith) return null;
+  for (const [modelName, rules] of Object.entries(CASCADES)) {
+    if (!rules.some((rule) => rule.model === doc.constructor)) continue;
+    const parent = await doc.constructor.db
+      .model(modelName)
+      .findOne({ _id: doc.archivedWith, deletedAt: { $ne: null } })
+      .select("_id name");
+    if (parent) return parent;
+  }
+  return null;
+};
+
+module.exports = { TRASH_TYPES, archive, restore, archivedParent };
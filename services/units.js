@@ -0,0 +1,63 @@
+// services/units.js
+const { UNITS, normaliseUnit } = require("../config/units");
+
+// How many base units of `item` one `unit` holds, or null when the unit is
+// not permitted for the item. Item-specific conversions win over standard
+// ones, e.g. cement: baseUnit kg, conversions [{ unit: "bag", factor: 50 }].
+const conversionFactor = (item, unit) => {
+  const from = normaliseUnit(unit);
+  const base = normaliseUnit(item.baseUnit);
+  if (!from || from === base) return 1;
+
+  const custom = (item.conversions || []).find(
+    (c) => normaliseUnit(c.unit) === from
+  );
+  if (custom) return custom.factor;
+
+  const a = UNITS[from];
+  const b = UNITS[base];
+  if (a && b && a.dimension === b.dimension) return a.factor / b.factor;
+
+  // A standard unit reachable through one of the item's own units, e.g.
+  // "tonne" for an item counted in pieces with a piece = 12 kg conversion
+  if (a) {
+    for (const c of item.conversions || []) {
+      const via = UNITS[normaliseUnit(c.unit)];
+      if (via && via.dimension === a.dimension) {
+        return (a.factor / via.factor) * c.factor;
+      }
+    }
+  }
+  return null;
+};
+
+// Round away floating point noise from chained factors
+const round = (value) => Math.round(value * 1e6) / 1e6;
+
+const toBase = (item, quantity, unit) => {
+  const factor = conversionFactor(item, unit);
+  return factor === null ? null : round(Number(quantity) * factor);
+};
+
+const fromBase = (item, quantity, unit) => {
+  const factor = conversionFactor(item, unit);
+  return factor === null ? null : round(Number(quantity) / factor);
+};
+
+// Every unit a quantity of the item may be entered or reported in
+const permittedUnits = (item) => {
+  const base = normaliseUnit(item.baseUnit);
+  const units = new Set([
+    base,
+    ...(item.conversions || []).map((c) => normaliseUnit(c.unit)),
+  ]);
+  Object.keys(UNITS).forEach((unit) => {
+    if (conversionFactor(item, unit) !== null) units.add(unit);
+  });
+  return [...units].map((unit) => ({
+    unit,
+    factor: conversionFactor(item, unit),
+  }));
+};
+
+module.exports = { conversionFactor, toBase, fromBase, permittedUnits };
@@ -0,0 +1,258 @@
+// services/valuation.js
+const mongoose = require("mongoose");
+const Material = require("../models/Material");
+const StockMovement = require("../models/StockMovement");
+
+const round = (value, places = 2) => Math.round(value * 10 ** places) / 10 ** places;
+
+const MONTH = (field) => ({ $dateToString: { format: "%Y-%m", date: field } });
+
+const toIds = (ids) => ids.map((id) => new mongoose.Types.ObjectId(id));
+
+// Cost of one base unit of a lot: what was paid for it (for a lot received
+// on transfer, the value of the stock sent) over the quantity received.
+// Null when the lot was added without an amount.
+const unitCost = (lot) =>
+  typeof lot.amount === "number" && lot.quantity > 0
+    ? round(lot.amount / lot.quantity, 6)
+    : null;
+
+// The same inside an aggregation over lots
+const UNIT_COST = {
+  $cond: [
+    { $and: [{ $isNumber: "$amount" }, { $gt: ["$quantity", 0] }] },
+    { $divide: ["$amount", "$quantity"] },
+    null,
+  ],
+};
+
+// Value of a usage or adjustment entry on `lot`: the cost stamped on it at
+// issue, or the lot's unit cost for entries made before costs were kept
+const entryValue = (lot, entry) => {
+  if (typeof entry.value === "number") return entry.value;
+  const cost = unitCost(lot);
+  return cost === null ? null : round(entry.quantity * cost);
+};
+
+// Sum `fields` of `rows` per key(row)
+const rollUp = (rows, key, fields) => {
+  const totals = new Map();
+  for (const row of rows) {
+    const k = key(row);
+    const total = totals.get(k) || Object.fromEntries(fields.map((f) => [f, 0]));
+    fields.forEach((f) => (total[f] = round(total[f] + row[f], 6)));
+    totals.set(k, total);
+  }
+  return [...totals.entries()].map(([k, total]) => ({ key: k, ...total }));
+};
+
+// Totals per item (quantities and values), and per project and per month
+// (values only: quantities of different items do not add up)
+const totalsOf = (rows, quantityFields, valueFields) => {
+  const per = (field, key, fields) =>
+    rollUp(rows, key, fields).map(({ key: k, ...t }) => ({ [field]: k, ...t }));
+  const [overall] = rollUp(rows, () => "all", valueFields).map(({ key, ...t }) => t);
+  return {
+    byItem: per("matCode", (r) => r.matCode, [...quantityFields, ...valueFields]),
+    byProject: per("project", (r) => String(r.project), valueFields),
+    byMonth: per("month", (r) => r.month, valueFields),
+    overall: overall || Object.fromEntries(valueFields.map((f) => [f, 0])),
+  };
+};
+
+// Issues (not transfers) or approved returns and wastage off lots matching
+// `lotMatch`, per project, code, month and type, valued at cost. Lots since
+// moved to the trash still count: the material was used while they existed.
+const entryTotals = (field, typeMatch, lotMatch, { from, to }) => {
+  const dateRange = {};
+  if (from) dateRange.$gte = from;
+  if (to) dateRange.$lte = to;
+  const path = `$${field}`;
+
+  return Material.aggregate([
+    { $match: lotMatch },
+    { $addFields: { unitCost: UNIT_COST } },
+    { $unwind: path },
+    {
+      $match: {
+        [`${field}.type`]: typeMatch,
+        ...(from || to ? { [`${field}.date`]: dateRange } : {}),
+      },
+    },
+    {
+      $addFields: {
+        value: {
+          $ifNull: [`${path}.value`, { $multiply: [`${path}.quantity`, "$unitCost"] }],
+        },
+      },
+    },
+    {
+      $group: {
+        _id: {
+          project: "$projectAssigned",
+          matCode: "$matCode",
+          month: MONTH(`${path}.date`),
+          type: { $ifNull: [`${path}.type`, "issue"] },
+        },
+        name: { $last: "$name" },
+        unit: { $last: "$unit" },
+        quantity: { $sum: `${path}.quantity` },
+        value: { $sum: "$value" },
+        unvalued: {
+          $sum: { $cond: [{ $eq: ["$value", null] }, { $abs: `${path}.quantity` }, 0] },
+        },
+      },
+    },
+  ]).option({ withDeleted: true });
+};
+
+const CONSUMPTION_QUANTITIES = [
+  "issuedQuantity",
+  "returnedQuantity",
+  "consumedQuantity",
+  "wastedQuantity",
+  "unvaluedQuantity",
+];
+const CONSUMPTION_VALUES = ["issuedValue", "returnedValue", "consumedValue", "wastedValue"];
+
+// Value of material consumed on the given projects (all when null) between
+// `from` and `to`, per project, material code and month, with totals per
+// project, per item and per month. Each issue is valued at the cost of the
+// lots it was drawn from (FIFO); returns to stock come off consumption and
+// wastage is reported beside it. Quantities are in base units;
+// unvaluedQuantity is what came from lots added without an amount.
+const consumptionValue = async ({ projectIds, matCode, from, to }) => {
+  const lotMatch = {
+    ...(projectIds ? { projectAssigned: { $in: toIds(projectIds) } } : {}),
+    ...(matCode ? { matCode } : {}),
+  };
+  const [issues, adjustments] = await Promise.all([
+    entryTotals("usageHistory", { $ne: "transfer" }, lotMatch, { from, to }),
+    entryTotals("adjustments", { $in: ["return", "wastage"] }, lotMatch, { from, to }),
+  ]);
+
+  const rows = new Map();
+  for (const entry of [...issues, ...adjustments]) {
+    const { project, matCode: code, month, type } = entry._id;
+    const key = `${project}:${code}:${month}`;
+    const row = rows.get(key) || {
+      project,
+      matCode: code,
+      name: entry.name,
+      unit: entry.unit,
+      month,
+      ...Object.fromEntries(
+        [...CONSUMPTION_QUANTITIES, ...CONSUMPTION_VALUES].map((f) => [f, 0])
+      ),
+    };
+    // Returns are positive (back into stock) and wastage negative on the lot
+    const sign = type === "wastage" ? -1 : 1;
+    const prefix = { issue: "issued", return: "returned", wastage: "wasted" }[type];
+    row[`${prefix}Quantity`] = round(row[`${prefix}Quantity`] + sign * entry.quantity, 6);
+    row[`${prefix}Value`] = round(row[`${prefix}Value`] + sign * entry.value);
+    row.unvaluedQuantity = round(row.unvaluedQuantity + entry.unvalued, 6);
+    rows.set(key, row);
+  }
+
+  const list = [...rows.values()]
+    .map((row) => ({
+      ...row,
+      consumedQuantity: round(row.issuedQuantity - row.returnedQuantity, 6),
+      consumedValue: round(row.issuedValue - row.returnedValue),
+    }))
+    .sort(
+      (a, b) =>
+        a.month.localeCompare(b.month) ||
+        String(a.project).localeCompare(String(b.project)) ||
+        a.matCode.localeCompare(b.matCode)
+    );
+
+  return {
+    rows: list,
+    totals: totalsOf(list, CONSUMPTION_QUANTITIES, CONSUMPTION_VALUES),
+  };
+};
+
+// Stock on hand at the end of `asOf` per project and material code, valued
+// lot by lot at each lot's unit cost. Balances come from the stock ledger.
+const closingStockAsOf = async ({ projectIds, matCode, asOf }) => {
+  const balances = await StockMovement.aggregate([
+    {
+      $match: {
+        ...(projectIds ? { project: { $in: toIds(projectIds) } } : {}),
+        ...(matCode ? { matCode } : {}),
+        ...(asOf ? { date: { $lte: asOf } } : {}),
+      },
+    },
+    { $group: { _id: "$material", quantity: { $sum: "$quantity" } } },
+    { $match: { quantity: { $ne: 0 } } },
+  ]);
+
+  const lots = await Material.find({ _id: { $in: balances.map((b) => b._id) } })
+    .setOptions({ withDeleted: true })
+    .select("name matCode unit quantity amount projectAssigned")
+    .lean();
+  const lotsById = new Map(lots.map((lot) => [String(lot._id), lot]));
+
+  const rows = new Map();
+  for (const balance of balances) {
+    const lot = lotsById.get(String(balance._id));
+    if (!lot) continue;
+    const key = `${lot.projectAssigned}:${lot.matCode}`;
+    const row = rows.get(key) || {
+      project: lot.projectAssigned,
+      matCode: lot.matCode,
+      name: lot.name,
+      unit: lot.unit,
+      quantity: 0,
+      value: 0,
+      unvaluedQuantity: 0,
+    };
+    const cost = unitCost(lot);
+    row.quantity = round(row.quantity + balance.quantity, 6);
+    if (cost === null) {
+      row.unvaluedQuantity = round(row.unvaluedQuantity + balance.quantity, 6);
+    } else {
+      row.value = round(row.value + balance.quantity * cost);
+    }
+    rows.set(key, row);
+  }
+
+  return [...rows.values()].sort(
+    (a, b) =>
+      String(a.project).localeCompare(String(b.project)) || a.matCode.localeCompare(b.matCode)
+  );
+};
+
+const monthKey = (date) => date.toISOString().slice(0, 7);
+
+// Value of closing stock at the end of each month from `from` to `to`
+// (default: just the current month; the last month closes at `to`), per
+// project, material code and month, with totals per project, per item and
+// per month
+const closingStockValue = async ({ projectIds, matCode, from, to }) => {
+  const end = to || new Date();
+  const start = from || end;
+
+  const rows = [];
+  let cursor = new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth(), 1));
+  while (cursor <= end) {
+    const monthEnd = new Date(
+      Date.UTC(cursor.getUTCFullYear(), cursor.getUTCMonth() + 1, 0, 23, 59, 59, 999)
+    );
+    const asOf = monthEnd < end ? monthEnd : end;
+    const closing = await closingStockAsOf({ projectIds, matCode, asOf });
+    closing.forEach((row) => rows.push({ ...row, month: monthKey(cursor), asOf }));
+    cursor = new Date(Date.UTC(cursor.getUTCFullYear(), cursor.getUTCMonth() + 1, 1));
+  }
+
+  return { rows, totals: totalsOf(rows, ["quantity", "unvaluedQuantity"], ["value"]) };
+};
+
+module.exports = {
+  unitCost,
+  entryValue,
+  consumptionValue,
+  closingStockAsOf,
+  closingStockValue,
+};